@@ -1,47 +1,219 @@
 import express from "express";
 import fetch from "node-fetch";
+import { once } from "node:events";
+import { Agent as HttpAgent } from "node:http";
+import { Agent as HttpsAgent } from "node:https";
+import { setImmediate as nextTick, setTimeout as sleep } from "node:timers/promises";
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { fileURLToPath } from "node:url";
 
 const app = express();
 const PORT = 9090;
 
-app.use(express.json());
+// large enough for file uploads sent to /import
+app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 const defaultBaseUrl = process.argv[2] || '';
+const configPath = process.env.WEAVIATE_ADMIN_CONFIG || fileURLToPath(new URL('./config.json', import.meta.url));
+// evaluation sets and runs, GraphQL console queries, context templates, migration jobs, the backup history and the audit log are kept here
+const dataDir = process.env.WEAVIATE_ADMIN_DATA || fileURLToPath(new URL('./data', import.meta.url));
 
 /* ---------- Constants ---------- */
 
 const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 500;
+// Weaviate's QUERY_MAXIMUM_RESULTS default: offset + limit may not go past it
+const QUERY_MAXIMUM_RESULTS = 10000;
+const DEFAULT_LIST_SORT = "_creationTimeUnix";
+// sorting by _id lists objects in UUID order through the cursor API (after), which has no offset cap
+const CURSOR_SORT = "_id";
+const METADATA_SORT_PATHS = ["_creationTimeUnix", "_lastUpdateTimeUnix"];
+const FILTER_OPERATORS = [
+  "Equal", "NotEqual", "Like", "GreaterThan", "GreaterThanEqual",
+  "LessThan", "LessThanEqual", "ContainsAny", "ContainsAll", "IsNull",
+];
+// data types of the metadata paths filters can use besides class properties
+const FILTER_METADATA_TYPES = { _id: "uuid", _creationTimeUnix: "date", _lastUpdateTimeUnix: "date" };
+const FILTER_VALUE_KEYS = {
+  text: "valueText", string: "valueText", uuid: "valueText",
+  int: "valueInt", number: "valueNumber", boolean: "valueBoolean", date: "valueDate",
+};
+const SEARCH_TYPES = ["bm25", "hybrid", "nearText", "nearVector", "nearObject"];
+const HYBRID_FUSION_TYPES = ["rankedFusion", "relativeScoreFusion"];
 const DEFAULT_SEARCH_LIMIT = 5;
+const MAX_SEARCH_LIMIT = 100;
 const DEFAULT_NEARTEXT_CERTAINTY = 0.5;
-const DEFAULT_SEARCH_PROPERTIES = ["query", "content"];
+const TEXT_DATA_TYPES = ["text", "text[]", "string", "string[]"];
+const IMPORT_FORMATS = ["jsonl", "json", "csv"];
+const DEFAULT_IMPORT_BATCH_SIZE = 100;
+const MAX_IMPORT_BATCH_SIZE = 1000;
+const EXPORT_FORMATS = ["jsonl", "csv"];
+const DOCUMENT_FORMATS = ["text", "markdown", "html"];
+const CHUNK_STRATEGIES = ["tokens", "headings", "paragraphs"];
+// chunk sizes are in estimated tokens, see countTokens()
+const DEFAULT_CHUNK_SIZE = 300;
+const DEFAULT_CHUNK_OVERLAP = 50;
+const MAX_CHUNK_SIZE = 4000;
+// a document's chunks go to Weaviate in a single batch
+const MAX_DOCUMENT_CHUNKS = MAX_IMPORT_BATCH_SIZE;
+// properties that name the source document and position of each chunk, created when missing
+const DEFAULT_SOURCE_PROPERTY = "source";
+const DEFAULT_CHUNK_INDEX_PROPERTY = "chunkIndex";
+// runs of letters and digits, and every other non-space character on its own
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+// prompt a context preview starts with; {{context}} takes the hits, {{query}} the search query
+const DEFAULT_CONTEXT_TEMPLATE = "Answer the question using only the context below.\n\nContext:\n{{context}}\n\nQuestion: {{query}}";
+const DEFAULT_CONTEXT_HIT_TEMPLATE = "[{{rank}}] {{content}}";
+const CONTEXT_SEPARATOR = "\n\n";
+// token budgets of the whole prompt, template included
+const DEFAULT_CONTEXT_BUDGET = 2000;
+const MAX_CONTEXT_BUDGET = 200000;
+// alphas a hybrid evaluation sweeps when none are given
+const DEFAULT_EVAL_ALPHAS = [0, 0.25, 0.5, 0.75, 1];
+const DEFAULT_EVAL_K = 10;
+const MAX_EVAL_QUERIES = 1000;
+const MAX_EVAL_CONFIGS = 20;
+// runs kept per evaluation set, oldest dropped first
+const MAX_EVAL_RUNS = 50;
+const DEFAULT_DUPLICATE_THRESHOLD = 0.97;
+// the vector comparison is quadratic, so scans stop at this many objects
+const MAX_DUPLICATE_SCAN = 5000;
+// matching objects shown with the dry run of a bulk delete
+const BULK_DELETE_SAMPLE = 10;
+const MAP_METHODS = ["pca", "tsne"];
+const DEFAULT_MAP_SAMPLE = 1000;
+const MAX_MAP_SAMPLE = 5000;
+// t-SNE compares every pair of points on every iteration
+const MAX_TSNE_POINTS = 1500;
+const TSNE_PERPLEXITY = 30;
+const TSNE_ITERATIONS = 500;
+const BACKUP_ID_PATTERN = /^[a-z0-9_-]+$/;
+const BACKUP_FINAL_STATUSES = ["SUCCESS", "FAILED", "CANCELED"];
+// how often the UI asks for the status of a running backup or restore
+const BACKUP_POLL_MS = 2000;
+// backups and restores remembered locally, newest kept
+const MAX_BACKUP_HISTORY = 200;
+// migration jobs remembered locally, newest kept, and the object errors kept per job
+const MAX_MIGRATION_JOBS = 50;
+const MAX_MIGRATION_ERRORS = 100;
+// objects a data diff lists with their differences, and so the most a sync applies; all are counted
+const MAX_DIFF_CHANGES = 1000;
+// parts of a class definition that differ between instances by nature and are left out of schema diffs
+const SCHEMA_DIFF_IGNORED = ["class", "shardingConfig"];
+// auto-refresh intervals offered on the Health tab, and the default
+const HEALTH_POLL_INTERVALS = [5000, 10000, 30000, 60000];
+const HEALTH_POLL_MS = 10000;
+// HOT and COLD are the names older Weaviate versions know; newer ones also accept them
+const TENANT_ACTIVITY_STATUSES = ["HOT", "COLD"];
+// queries remembered per Weaviate instance in the GraphQL console, newest kept
+const MAX_GRAPHQL_HISTORY = 100;
+// every change made through the UI is appended to <dataDir>/audit.jsonl
+const AUDIT_LOG_FILE = "audit.jsonl";
+const AUDIT_ACTIONS = [
+  "add", "update", "delete", "import", "undo", "reference-add", "reference-delete",
+  "class-create", "property-add", "class-delete", "tenant-create", "tenant-update", "tenant-delete",
+  "shard-ready", "backup-restore", "migrate",
+];
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+// objects fetched at a time for the before snapshots of a batch delete
+const SNAPSHOT_CONCURRENCY = 10;
+const SESSION_COOKIE = "weaviate_admin_session";
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const CLASS_NAME_PATTERN = /^[A-Z][_0-9A-Za-z]*$/;
+const PROPERTY_NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*$/;
+// objects fetched per cursor page when walking a whole class
+const WALK_PAGE_SIZE = 200;
+// time allowed per request to Weaviate and retries of idempotent requests, unless config.json sets
+// requestTimeoutMs / requestRetries; retries wait RETRY_BACKOFF_MS, doubled for each further one
+const DEFAULT_REQUEST_TIMEOUT_MS = 60000;
+const DEFAULT_REQUEST_RETRIES = 2;
+const RETRY_BACKOFF_MS = 500;
+const RETRY_STATUSES = [429, 502, 503, 504];
+// how long /info answers are reused per instance; changes made through the UI drop them at once
+const INFO_CACHE_TTL_MS = 15000;
+
+/**
+ * Error carrying the HTTP status the route should answer with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
 
 /**
  * Helper function to make authenticated requests to Weaviate API
- * @param {string} base - Base URL of Weaviate instance
+ * @param {object} conn - Connection from resolveConnection(): { url, apiKey, headers }
+ * GET and HEAD requests and GraphQL queries are retried with backoff after a timeout,
+ * a connection error or a 429, 502, 503 or 504 answer; other requests are sent once
  * @param {string} path - API path (e.g., '/v1/graphql')
- * @param {string} apiKey - API key for authentication
- * @param {object} options - Additional fetch options
- * @returns {Promise<object>} Parsed JSON response
+ * @param {object} options - Additional fetch options, and timeout (ms, 0 for none) to override the profile's
+ * @returns {Promise<object|null>} Parsed JSON response, null for an empty body (e.g. 204 after DELETE)
+ * @throws {HttpError} If the host is not in the allowed hosts, 502 on a redirect, or 504 if the request timed out
  * @throws {Error} If request fails or response is not valid JSON
  */
-async function weaviateFetch(base, path, apiKey, options = {}) {
-  const url = `${base}${path}`;
-  const res = await fetch(url, {
-    ...options,
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-      ...(options.headers || {}),
-    },
-  });
-  
-  const text = await res.text();
-  
+async function weaviateFetch(conn, path, options = {}) {
+  const url = `${conn.url}${path}`;
+  assertAllowedHost(url);
+  const method = (options.method || 'GET').toUpperCase();
+  // Weaviate finishes batches, backups and deletes after the client gives up, so cutting one off
+  // would report a failure for a write that still happens; they get no timeout
+  const unbounded = path.startsWith('/v1/batch/') || (path.startsWith('/v1/backups') && method !== 'GET') || method === 'DELETE';
+  const { timeout = unbounded ? 0 : conn.timeoutMs || requestTimeoutMs, ...fetchOptions } = options;
+  // Weaviate's GraphQL API only reads, so a query can be sent again
+  const retries = ['GET', 'HEAD'].includes(method) || path === '/v1/graphql' ? requestRetries : 0;
+
+  let res;
+  let text;
+  for (let attempt = 0; ; attempt++) {
+    const timeoutSignal = timeout ? AbortSignal.timeout(timeout) : null;
+    const signals = [fetchOptions.signal, timeoutSignal].filter(Boolean);
+    try {
+      res = await fetch(url, {
+        ...fetchOptions,
+        agent: keepAliveAgents[new URL(url).protocol],
+        // a redirect could lead to a host outside the allowed hosts, which would get the API key
+        redirect: 'manual',
+        signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0],
+        headers: {
+          "Content-Type": "application/json",
+          ...(conn.apiKey ? { Authorization: `Bearer ${conn.apiKey}` } : {}),
+          ...conn.headers,
+          ...(fetchOptions.headers || {}),
+        },
+      });
+      text = await res.text();
+      if (attempt >= retries || !RETRY_STATUSES.includes(res.status)) break;
+    } catch (e) {
+      if (fetchOptions.signal?.aborted) throw e;
+      if (attempt >= retries) {
+        throw timeoutSignal?.aborted ? new HttpError(504, `Request to ${path} timed out after ${timeout} ms`) : e;
+      }
+    }
+    await sleep(RETRY_BACKOFF_MS * 2 ** attempt);
+  }
+
+  if (res.status >= 300 && res.status < 400) {
+    throw new HttpError(502, `Request to ${path} was redirected to ${res.headers.get('location') || 'another URL'}, redirects are not followed`);
+  }
+
   if (!res.ok) {
-    const msg = text?.trim() ? text.trim() : `${res.status} ${res.statusText}`;
+    let msg = text?.trim() ? text.trim() : `${res.status} ${res.statusText}`;
+    try {
+      // Weaviate reports errors as { error: [{ message }] }, e.g. validation errors on 422
+      const messages = JSON.parse(text)?.error?.map?.((e) => e.message);
+      if (messages?.length) msg = messages.join('; ');
+    } catch (e) {
+      // not JSON, keep the raw text
+    }
     throw new Error(`Request to ${path} failed: ${msg}`);
   }
+
+  if (!text?.trim()) return null;
   
   try {
     return JSON.parse(text);
@@ -50,6 +222,293 @@ async function weaviateFetch(base, path, apiKey, options = {}) {
   }
 }
 
+/**
+ * Read the server-side config file, if there is one
+ * @returns {object} Parsed config, empty when the file does not exist
+ * @throws {Error} If the file is not valid JSON
+ */
+function readConfig() {
+  if (!existsSync(configPath)) return {};
+  try {
+    return JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid config file ${configPath}: ${e.message}`);
+  }
+}
+
+/**
+ * Read a JSON store from the data directory
+ * @param {string} name - Store name, the file is <name>.json
+ * @param {*} fallback - Value when the store does not exist yet
+ * @returns {*} Stored value
+ * @throws {Error} If the file is not valid JSON
+ */
+function readStore(name, fallback) {
+  const path = `${dataDir}/${name}.json`;
+  if (!existsSync(path)) return fallback;
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid data file ${path}: ${e.message}`);
+  }
+}
+
+/**
+ * Write a JSON store to the data directory, replacing the file only once it is complete
+ * @param {string} name - Store name, the file is <name>.json
+ * @param {*} value - Value to store
+ */
+function writeStore(name, value) {
+  mkdirSync(dataDir, { recursive: true });
+  const path = `${dataDir}/${name}.json`;
+  writeFileSync(`${path}.tmp`, JSON.stringify(value, null, 2));
+  renameSync(`${path}.tmp`, path);
+}
+
+/**
+ * Append entries to the audit log, one JSON line each
+ * Every change made through the UI passes here, so the cached /info of the instance is dropped too
+ * A failed write is logged but does not fail the change that was already made
+ * @param {object} req - Express request, for the user and profile
+ * @param {object} conn - Connection the change went to
+ * @param {object|object[]} entries - { action, class, objectId, tenant, before, after, details }
+ */
+function recordAudit(req, conn, entries) {
+  invalidateInfo(conn);
+  const base = { time: new Date().toISOString(), user: req.user?.name || null, profile: req.body.profile || null, url: conn.url };
+  const lines = [].concat(entries).map((entry) => JSON.stringify({ id: randomUUID(), ...base, ...entry }) + '\n');
+  if (!lines.length) return;
+  try {
+    mkdirSync(dataDir, { recursive: true });
+    appendFileSync(`${dataDir}/${AUDIT_LOG_FILE}`, lines.join(''));
+  } catch (e) {
+    console.error('audit log write failed:', e.message);
+  }
+}
+
+/**
+ * Read the audit log, oldest entry first; unreadable lines are skipped
+ * @returns {object[]} Audit entries
+ */
+function readAuditLog() {
+  const path = `${dataDir}/${AUDIT_LOG_FILE}`;
+  if (!existsSync(path)) return [];
+  const entries = [];
+  for (const line of readFileSync(path, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // a line cut short by a crash
+    }
+  }
+  return entries;
+}
+
+/**
+ * Collect the named connection profiles from the command line URL (as 'default'),
+ * the config file's profiles and WEAVIATE_PROFILE_<NAME>_URL / _API_KEY / _HEADERS
+ * environment variables, later sources overriding earlier ones
+ * @param {object} config - Parsed config file
+ * @returns {Map<string, object>} Profiles by name: { name, url, apiKey, headers, timeoutMs }
+ * @throws {Error} If a _HEADERS variable is not valid JSON
+ */
+function loadProfiles(config) {
+  const profiles = new Map();
+  const add = (name, p) => {
+    if (!p?.url) return;
+    profiles.set(name, { name, url: p.url.replace(/\/+$/, ''), apiKey: p.apiKey || '', headers: p.headers || {}, timeoutMs: p.timeoutMs || null });
+  };
+
+  if (defaultBaseUrl) add('default', { url: defaultBaseUrl, apiKey: process.env.WEAVIATE_API_KEY });
+  for (const [name, p] of Object.entries(config.profiles || {})) add(name, p);
+
+  for (const [key, url] of Object.entries(process.env)) {
+    const match = key.match(/^WEAVIATE_PROFILE_(\w+?)_URL$/);
+    if (!match) continue;
+    const prefix = `WEAVIATE_PROFILE_${match[1]}`;
+    let headers;
+    try {
+      headers = JSON.parse(process.env[`${prefix}_HEADERS`] || '{}');
+    } catch (e) {
+      throw new Error(`Invalid ${prefix}_HEADERS, expected a JSON object: ${e.message}`);
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new Error(`Invalid ${prefix}_HEADERS, expected a JSON object`);
+    }
+    add(match[1].toLowerCase(), { url, apiKey: process.env[`${prefix}_API_KEY`], headers });
+  }
+
+  return profiles;
+}
+
+/**
+ * Resolve the Weaviate connection for a request from its profile name
+ * @param {object} body - Request body with profile
+ * @returns {object} Connection { name, url, apiKey, headers } for weaviateFetch()
+ * @throws {HttpError} If no profile is given or the profile is unknown
+ */
+function resolveConnection(body) {
+  if (!body.profile) throw new HttpError(400, 'Missing connection profile');
+  const profile = profiles.get(body.profile);
+  if (!profile) throw new HttpError(400, `Unknown connection profile ${body.profile}`);
+  return profile;
+}
+
+/**
+ * Collect the Weaviate hosts requests may go to: the config's allowedHosts
+ * ('host' for any port or 'host:port') and the hosts of all profiles
+ * @param {object} config - Parsed config file
+ * @param {Map<string, object>} profiles - Connection profiles
+ * @returns {Set<string>} Allowed hosts
+ */
+function loadAllowedHosts(config, profiles) {
+  const hosts = new Set(config.allowedHosts || []);
+  for (const p of profiles.values()) hosts.add(new URL(p.url).host);
+  return hosts;
+}
+
+/**
+ * Reject URLs outside the allowed hosts, so the server cannot be used as an open proxy
+ * @param {string} url - Full request URL
+ * @throws {HttpError} If the host is not allowed
+ */
+function assertAllowedHost(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new HttpError(400, `Invalid Weaviate URL ${url}`);
+  }
+  if (!allowedHosts.has(parsed.host) && !allowedHosts.has(parsed.hostname)) {
+    throw new HttpError(403, `Weaviate host ${parsed.host} is not in the allowed hosts`);
+  }
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - Expected value
+ * @param {string} b - Given value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const hashA = createHash('sha256').update(String(a)).digest();
+  const hashB = createHash('sha256').update(String(b)).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Find the configured user with a name and password
+ * Only own keys of the users object count, so names like constructor or __proto__ match nobody,
+ * and users without a password cannot log in
+ * @param {string} name - User name
+ * @param {string} password - Given password
+ * @returns {object|null} User config { password, role }, null if the name or password is wrong
+ */
+function findUser(name, password) {
+  const users = authConfig.users || {};
+  if (typeof name !== 'string' || !Object.hasOwn(users, name)) return null;
+  const user = users[name];
+  if (typeof user?.password !== 'string' || !user.password) return null;
+  return typeof password === 'string' && safeEqual(user.password, password) ? user : null;
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Cookie header value
+ * @returns {object} Cookie values by name
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return cookies;
+}
+
+/**
+ * Derive the CSRF token of a browser identity (session or basic auth user)
+ * @param {string} identity - Identity string from authenticateRequest()
+ * @returns {string} Hex token
+ */
+function csrfTokenFor(identity) {
+  return createHmac('sha256', serverSecret).update(identity).digest('hex');
+}
+
+/**
+ * Identify the user of a request by bearer token, basic auth or session cookie
+ * @param {object} req - Express request
+ * @returns {object|null} { name, role, via, identity }, null if not authenticated
+ */
+function authenticateRequest(req) {
+  const header = req.get('Authorization') || '';
+
+  if (header.startsWith('Bearer ')) {
+    const token = (authConfig.tokens || []).find((t) => t.token && safeEqual(t.token, header.slice(7)));
+    return token ? { name: token.name || 'token', role: token.role || 'admin', via: 'token' } : null;
+  }
+
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString();
+    const i = decoded.indexOf(':');
+    const name = decoded.slice(0, i);
+    const user = i > 0 ? findUser(name, decoded.slice(i + 1)) : null;
+    if (!user) return null;
+    return { name, role: user.role || 'admin', via: 'basic', identity: `basic:${name}` };
+  }
+
+  const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = sid ? sessions.get(sid) : null;
+  if (!session || session.expires < Date.now()) return null;
+  return { name: session.name, role: session.role, via: 'session', identity: `session:${sid}` };
+}
+
+/**
+ * Middleware requiring a login when the config has an auth section, and a valid CSRF
+ * token on every non-GET request from a browser (session or basic auth)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  if (!authConfig) {
+    req.user = { name: null, role: 'admin', via: 'none', identity: 'anonymous' };
+    return next();
+  }
+  if (req.path === '/login') return next();
+
+  const user = authenticateRequest(req);
+  if (!user) {
+    if (authConfig.mode === 'basic') res.set('WWW-Authenticate', 'Basic realm="Weaviate Admin"');
+    else if (req.method === 'GET' && req.path === '/') return res.redirect('/login');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.method !== 'GET' && user.via !== 'token') {
+    const token = req.get('X-CSRF-Token') || req.body?._csrf;
+    if (!token || !safeEqual(csrfTokenFor(user.identity), token)) {
+      return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    }
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Middleware for routes that change data: rejects read-only users, and requests that
+ * are not JSON, which cross-site forms cannot send (this guards writes when no login is configured)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function requireWrite(req, res, next) {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Read-only users cannot change data' });
+  if (!req.is('application/json')) return res.status(415).json({ error: 'Write requests must be sent as JSON' });
+  next();
+}
+
 /**
  * Helper function to check and log GraphQL errors
  * @param {object} data - GraphQL response data
@@ -64,6 +523,15 @@ function checkGraphQLErrors(data, endpoint) {
   return false;
 }
 
+/**
+ * Join the messages of GraphQL errors for returning them to the UI
+ * @param {object} data - GraphQL response data
+ * @returns {string} Error messages separated by semicolons
+ */
+function graphQLErrorMessage(data) {
+  return data.errors.map((e) => e.message).join('; ');
+}
+
 /**
  * Async error handler wrapper to reduce try-catch duplication
  * @param {function} fn - Async route handler function
@@ -72,7 +540,7 @@ function checkGraphQLErrors(data, endpoint) {
 function asyncHandler(fn) {
   return (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(e => {
-      res.status(500).json({ error: e.message });
+      res.status(e.status || 500).json({ error: e.message });
     });
   };
 }
@@ -88,774 +556,8001 @@ function escapeGraphQL(str) {
 }
 
 /**
- * Build GraphQL query for listing objects
+ * Fetch the definition of a single class from the Weaviate schema
+ * @param {object} conn - Connection from resolveConnection()
  * @param {string} className - Weaviate class name
- * @param {number} limit - Maximum number of results
- * @returns {string} GraphQL query string
+ * @returns {Promise<object>} Class definition including its properties
  */
-function buildListQuery(className, limit = DEFAULT_LIST_LIMIT) {
-  return `{
-    Get {
-      ${className}(
-        limit: ${limit}
-        sort: [{ path: ["_creationTimeUnix"], order: desc }]
-      ) {
-        query
-        content
-        _additional { id }
-      }
+async function fetchClassSchema(conn, className) {
+  return weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}`);
+}
+
+/**
+ * Check the tenant of a request against the class: multi-tenant classes need one,
+ * other classes ignore it
+ * @param {object} classDef - Class definition from fetchClassSchema()
+ * @param {string} tenant - Tenant name from the request
+ * @returns {string|null} Tenant to use, null for classes without multi-tenancy
+ * @throws {HttpError} If the class is multi-tenant and no tenant is given
+ */
+function resolveTenant(classDef, tenant) {
+  if (!classDef?.multiTenancyConfig?.enabled) return null;
+  if (!tenant) throw new HttpError(400, `Class ${classDef.class} is multi-tenant, choose a tenant`);
+  return String(tenant);
+}
+
+/**
+ * Add the tenant query parameter to a REST path
+ * @param {string} path - API path, with or without a query string
+ * @param {string} tenant - Tenant name, nothing is added when empty
+ * @returns {string} Path
+ */
+function withTenant(path, tenant) {
+  if (!tenant) return path;
+  return `${path}${path.includes('?') ? '&' : '?'}tenant=${encodeURIComponent(tenant)}`;
+}
+
+/**
+ * Build the tenant argument of a GraphQL Get or Aggregate query
+ * @param {string} tenant - Tenant name
+ * @returns {string|null} Argument, null without a tenant
+ */
+function tenantArg(tenant) {
+  return tenant ? `tenant: "${escapeGraphQL(tenant)}"` : null;
+}
+
+/**
+ * Get the primary data type of a schema property
+ * @param {object} prop - Schema property definition
+ * @returns {string} Data type such as 'text', 'int[]' or a referenced class name
+ */
+function propertyDataType(prop) {
+  return prop?.dataType?.[0] || 'text';
+}
+
+/**
+ * Check whether a schema property is a cross-reference to another class
+ * @param {object} prop - Schema property definition
+ * @returns {boolean} True for reference properties
+ */
+function isReferenceProperty(prop) {
+  return /^[A-Z]/.test(propertyDataType(prop));
+}
+
+/**
+ * List the named vectors of a class, empty for classes with a single vector
+ * @param {object} classDef - Class definition from fetchClassSchema()
+ * @returns {object[]} Named vectors: { name, vectorizer, vectorIndexType, distance }
+ */
+function namedVectors(classDef) {
+  return Object.entries(classDef?.vectorConfig || {}).map(([name, config]) => ({
+    name,
+    vectorizer: Object.keys(config.vectorizer || {})[0] || 'none',
+    vectorIndexType: config.vectorIndexType || 'hnsw',
+    distance: config.vectorIndexConfig?.distance || 'cosine',
+  }));
+}
+
+/**
+ * Build the beacon pointing a reference property at another object
+ * @param {object} classDef - Class definition of the referencing object
+ * @param {string} property - Reference property name
+ * @param {string} targetClass - Class of the referenced object, may be omitted when the property allows only one
+ * @param {string} targetId - UUID of the referenced object
+ * @returns {string} Beacon such as weaviate://localhost/Article/<uuid>
+ * @throws {HttpError} If the property is not a reference or cannot point at the target class
+ */
+function referenceBeacon(classDef, property, targetClass, targetId) {
+  const prop = (classDef.properties || []).find((p) => p.name === property);
+  if (!prop || !isReferenceProperty(prop)) throw new HttpError(400, `${property} is not a reference property of ${classDef.class}`);
+  const target = targetClass || (prop.dataType.length === 1 ? prop.dataType[0] : null);
+  if (!target) throw new HttpError(400, `Choose the class to reference, one of ${prop.dataType.join(', ')}`);
+  if (!prop.dataType.includes(target)) throw new HttpError(400, `${property} cannot reference ${target}`);
+  if (!targetId) throw new HttpError(400, 'Missing target object id');
+  return `weaviate://localhost/${target}/${encodeURIComponent(targetId)}`;
+}
+
+/**
+ * Build the GraphQL selection set for the properties of a class
+ * References and blobs are skipped, nested types get their sub-selection
+ * @param {object[]} properties - Schema property definitions
+ * @returns {string} Selection set fields separated by spaces
+ */
+function buildPropertySelection(properties = []) {
+  return properties.map((p) => {
+    const type = propertyDataType(p);
+    if (isReferenceProperty(p) || type === 'blob') return null;
+    if (type === 'geoCoordinates') return `${p.name} { latitude longitude }`;
+    if (type === 'phoneNumber') return `${p.name} { input internationalFormatted }`;
+    if (type === 'object' || type === 'object[]') {
+      const nested = buildPropertySelection(p.nestedProperties);
+      return nested ? `${p.name} { ${nested} }` : null;
     }
-  }`;
+    return p.name;
+  }).filter(Boolean).join(' ');
 }
 
 /**
- * Build GraphQL query for search (hybrid or nearText)
- * @param {string} className - Weaviate class name
- * @param {string} query - Search query
- * @param {string} type - Search type ('hybrid' or 'nearText')
- * @param {object} options - Additional search options
- * @returns {string} GraphQL query string
+ * Get the names of the text properties of a class, used for keyword search
+ * @param {object[]} properties - Schema property definitions
+ * @returns {string[]} Property names
  */
-function buildSearchQuery(className, query, type = 'hybrid', options = {}) {
-  const limit = options.limit || DEFAULT_SEARCH_LIMIT;
-  const escapedQuery = escapeGraphQL(query);
-  
-  if (type === 'hybrid') {
-    const alpha = options.alpha || 0.5;
-    const properties = options.properties || DEFAULT_SEARCH_PROPERTIES;
-    return `{
-      Get {
-        ${className}(
-          hybrid: {
-            query: "${escapedQuery}"
-            properties: ${JSON.stringify(properties)}
-            alpha: ${alpha}
-          }
-          limit: ${limit}
-        ) {
-          query
-          content
-          _additional { id score }
-        }
+function textPropertyNames(properties = []) {
+  return properties.filter((p) => TEXT_DATA_TYPES.includes(propertyDataType(p))).map((p) => p.name);
+}
+
+/**
+ * Convert a submitted value to the type a schema property expects
+ * @param {object} prop - Schema property definition
+ * @param {*} value - Raw value from the request (often a string from a form)
+ * @returns {*} Typed value, or undefined when the value is empty
+ * @throws {HttpError} If the value cannot be converted
+ */
+function coercePropertyValue(prop, value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const type = propertyDataType(prop);
+  const invalid = (expected) => new HttpError(400, `Property ${prop.name} expects ${expected}`);
+
+  if (type === 'object' || type === 'object[]') {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      throw invalid('JSON');
+    }
+  }
+
+  if (type.endsWith('[]')) {
+    let items = value;
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+      try {
+        items = JSON.parse(value);
+      } catch (e) {
+        throw invalid('a JSON array or one value per line');
       }
-    }`;
-  } else {
-    const certainty = options.certainty || DEFAULT_NEARTEXT_CERTAINTY;
-    return `{
-      Get {
-        ${className}(
-          nearText: { concepts: ["${escapedQuery}"], certainty: ${certainty} }
-          limit: ${limit}
-        ) {
-          content
-          _additional { id certainty }
+    }
+    if (!Array.isArray(items)) items = String(items).split('\n').map((v) => v.trim()).filter(Boolean);
+    const itemProp = { ...prop, dataType: [type.slice(0, -2)] };
+    return items.map((v) => coercePropertyValue(itemProp, v)).filter((v) => v !== undefined);
+  }
+
+  switch (type) {
+    case 'int': {
+      const n = Number(value);
+      if (!Number.isInteger(n)) throw invalid('an integer');
+      return n;
+    }
+    case 'number': {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw invalid('a number');
+      return n;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      throw invalid('true or false');
+    case 'date': {
+      const d = new Date(value);
+      if (Number.isNaN(d.getTime())) throw invalid('a date');
+      return d.toISOString();
+    }
+    case 'geoCoordinates': {
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (e) {
+          throw invalid('latitude and longitude');
         }
       }
-    }`;
+      const latitude = Number(value.latitude);
+      const longitude = Number(value.longitude);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) throw invalid('latitude and longitude');
+      return { latitude, longitude };
+    }
+    case 'phoneNumber':
+      return typeof value === 'object' ? value : { input: String(value) };
+    default:
+      return typeof value === 'string' ? value : String(value);
   }
 }
 
 /**
- * Build GraphQL query for getting schema classes
- * @returns {string} GraphQL query string
+ * Convert submitted property values using the class schema
+ * @param {object[]} properties - Schema property definitions
+ * @param {object} values - Property values keyed by name
+ * @returns {object} Typed property values, empty values dropped
+ * @throws {HttpError} If a property is unknown or a value is invalid
  */
-function buildClassesQuery() {
-  return `{
-    __schema {
-      types {
-        name
-        fields {
-          name
-        }
-      }
-    }
-  }`;
+function coerceProperties(properties = [], values = {}) {
+  const byName = new Map(properties.map((p) => [p.name, p]));
+  const out = {};
+  for (const [name, value] of Object.entries(values)) {
+    const prop = byName.get(name);
+    if (!prop) throw new HttpError(400, `Unknown property ${name}`);
+    const coerced = coercePropertyValue(prop, value);
+    if (coerced !== undefined) out[name] = coerced;
+  }
+  return out;
 }
 
 /**
- * Build GraphQL query for aggregate count
- * @param {string} className - Weaviate class name
- * @returns {string} GraphQL query string
+ * Type a filter value by the filtered property
+ * @param {string} name - Filtered property name
+ * @param {string} type - Scalar data type of the property
+ * @param {*} value - Raw filter value
+ * @returns {*} Typed value
+ * @throws {HttpError} If the value does not fit the data type
  */
-function buildAggregateQuery(className) {
-  return `{
-    Aggregate {
-      ${className} {
-        meta { count }
-      }
-    }
-  }`;
+function typedFilterValue(name, type, value) {
+  const typed = coercePropertyValue({ name, dataType: [type] }, value);
+  if (typed === undefined) throw new HttpError(400, `Missing filter value for ${name}`);
+  return typed;
 }
 
-/* ---------- Routes ---------- */
+/**
+ * Validate a filter model and type its values by the class schema
+ * A filter is either { operator: 'And'|'Or', operands: [filters] } or
+ * { path, operator, value } with path a property name or _id, _creationTimeUnix, _lastUpdateTimeUnix
+ * @param {object} filter - Filter model
+ * @param {object[]} properties - Schema property definitions of the class
+ * @returns {object} Where filter in the REST shape: path arrays, valueX keys, lists under valueXArray
+ * @throws {HttpError} If the filter is malformed
+ */
+function normalizeWhereFilter(filter, properties = []) {
+  if (!filter || typeof filter !== 'object') throw new HttpError(400, 'Filter must be an object');
 
-app.get("/", (_, res) => res.send(renderPage()));
+  if (filter.operator === 'And' || filter.operator === 'Or') {
+    if (!Array.isArray(filter.operands) || !filter.operands.length) {
+      throw new HttpError(400, `${filter.operator} filter needs operands`);
+    }
+    return { operator: filter.operator, operands: filter.operands.map((o) => normalizeWhereFilter(o, properties)) };
+  }
 
-app.post("/list", asyncHandler(async (req, res) => {
-  const { base, class: className, apiKey } = req.body;
-  if (!base) return res.status(400).json({ error: 'Missing base URL' });
-  if (!className) return res.status(400).json({ error: 'Missing class name' });
-  
-  const data = await weaviateFetch(base, "/v1/graphql", apiKey, {
-    method: "POST",
-    body: JSON.stringify({
-      query: buildListQuery(className),
-    }),
-  });
-  checkGraphQLErrors(data, '/list');
-  res.json(data?.data?.Get?.[className] ?? []);
-}));
+  if (!FILTER_OPERATORS.includes(filter.operator)) throw new HttpError(400, `Unknown filter operator ${filter.operator}`);
 
-app.post("/add", asyncHandler(async (req, res) => {
-  const { base, class: className, query, content, apiKey } = req.body;
-  if (!base) return res.status(400).json({ error: 'Missing base URL' });
-  if (!className) return res.status(400).json({ error: 'Missing class name' });
-  if (!query) return res.status(400).json({ error: 'Missing query' });
-  if (!content) return res.status(400).json({ error: 'Missing content' });
-  
-  await weaviateFetch(base, "/v1/objects", apiKey, {
-    method: "POST",
-    body: JSON.stringify({
-      class: className,
-      properties: {
-        query,
-        content,
-      },
-    }),
-  });
-  res.sendStatus(200);
-}));
+  const name = Array.isArray(filter.path) ? filter.path[0] : filter.path;
+  let type = FILTER_METADATA_TYPES[name];
+  if (!type) {
+    const prop = properties.find((p) => p.name === name);
+    if (!prop || isReferenceProperty(prop)) throw new HttpError(400, `Unknown filter property ${name}`);
+    type = propertyDataType(prop).replace('[]', '');
+  }
 
-app.post("/delete", asyncHandler(async (req, res) => {
-  const { base, id, apiKey } = req.body;
-  if (!base) return res.status(400).json({ error: 'Missing base URL' });
-  if (!id) return res.status(400).json({ error: 'Missing object id' });
-  
-  await weaviateFetch(base, `/v1/objects/${id}`, apiKey, {
-    method: "DELETE",
-  });
-  res.sendStatus(200);
-}));
+  if (filter.operator === 'IsNull') {
+    return { path: [name], operator: 'IsNull', valueBoolean: filter.value !== false && filter.value !== 'false' };
+  }
 
-app.post('/object', asyncHandler(async (req, res) => {
-  const { base, apiKey, id } = req.body;
-  if (!base) return res.status(400).json({ error: 'Missing base URL' });
-  if (!id) return res.status(400).json({ error: 'Missing object id' });
+  const valueKey = FILTER_VALUE_KEYS[type];
+  if (!valueKey) throw new HttpError(400, `Cannot filter on ${type} property ${name}`);
 
-  let obj;
-  try {
-    obj = await weaviateFetch(base, `/v1/objects/${encodeURIComponent(id)}?include=vector`, apiKey);
-  } catch (e) {
-    obj = await weaviateFetch(base, `/v1/objects/${encodeURIComponent(id)}`, apiKey);
+  if (filter.operator.startsWith('Contains')) {
+    const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+    return { path: [name], operator: filter.operator, [`${valueKey}Array`]: values.map((v) => typedFilterValue(name, type, v)) };
   }
+  return { path: [name], operator: filter.operator, [valueKey]: typedFilterValue(name, type, filter.value) };
+}
 
-  res.json(obj);
-}));
+/**
+ * Serialize a where filter from normalizeWhereFilter() as a GraphQL where argument
+ * GraphQL takes lists under the plain valueX key
+ * @param {object} where - Where filter in the REST shape
+ * @returns {string} GraphQL where argument value
+ */
+function serializeWhereFilter(where) {
+  if (where.operands) {
+    return `{ operator: ${where.operator}, operands: [${where.operands.map(serializeWhereFilter).join(', ')}] }`;
+  }
+  const [key, value] = Object.entries(where).find(([k]) => k.startsWith('value'));
+  const literal = (v) => (typeof v === 'string' ? `"${escapeGraphQL(v)}"` : String(v));
+  const serialized = Array.isArray(value) ? `[${value.map(literal).join(', ')}]` : literal(value);
+  return `{ path: ["${escapeGraphQL(where.path[0])}"], operator: ${where.operator}, ${key.replace(/Array$/, '')}: ${serialized} }`;
+}
 
-app.post("/search", asyncHandler(async (req, res) => {
-  const { base, class: className, query, type, alpha, apiKey } = req.body;
-  if (!base) return res.status(400).json({ error: 'Missing base URL' });
-  if (!className) return res.status(400).json({ error: 'Missing class name' });
-  if (!query) return res.status(400).json({ error: 'Missing query' });
-  
-  const gql = buildSearchQuery(className, query, type, { alpha });
-  
-  const data = await weaviateFetch(base, "/v1/graphql", apiKey, {
-    method: "POST",
-    body: JSON.stringify({ query: gql }),
-  });
-  checkGraphQLErrors(data, '/search');
-  res.json(data?.data?.Get?.[className] ?? []);
-}));
-
-app.post("/classes", asyncHandler(async (req, res) => {
-  const { base, apiKey } = req.body;
-  if (!base) return res.status(400).json({ error: "Missing base URL" });
-
-  const json = await weaviateFetch(base, "/v1/graphql", apiKey, {
-    method: "POST",
-    body: JSON.stringify({
-      query: buildClassesQuery(),
-    }),
-  });
-  checkGraphQLErrors(json, '/classes');
-
-  const types = json.data.__schema.types.find((type) => type.name === "GetObjectsObj")?.fields;
-  res.json(types?.map((type) => type.name));
-}));
-
-app.post('/info', asyncHandler(async (req, res) => {
-  const { base, apiKey } = req.body;
-  if (!base) return res.status(400).json({ error: 'Missing base URL' });
-
-  async function aggregateCountForClass(className) {
-    const data = await weaviateFetch(base, '/v1/graphql', apiKey, {
-      method: 'POST',
-      body: JSON.stringify({ query: buildAggregateQuery(className) }),
-    });
+/**
+ * Build a GraphQL where filter from the filter model
+ * @param {object} filter - Filter model, see normalizeWhereFilter()
+ * @param {object[]} properties - Schema property definitions of the class
+ * @returns {string} GraphQL where argument value
+ * @throws {HttpError} If the filter is malformed
+ */
+function buildWhereFilter(filter, properties = []) {
+  return serializeWhereFilter(normalizeWhereFilter(filter, properties));
+}
 
-    const count = data?.data?.Aggregate?.[className]?.[0]?.meta?.count;
-    return typeof count === 'number' ? count : null;
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields, blank lines skipped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else inQuotes = false;
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
   }
 
-  const meta = await weaviateFetch(base, '/v1/meta', apiKey);
-  const schema = await weaviateFetch(base, '/v1/schema', apiKey);
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+}
 
-  const classes = schema?.classes || [];
-  const classDetails = {};
-  let total = 0;
+/**
+ * Parse an uploaded file into plain records
+ * @param {string} text - File contents
+ * @param {string} format - 'jsonl', 'json' (array) or 'csv' (first row is the header)
+ * @returns {object[]} Records in file order
+ * @throws {HttpError} If the file cannot be parsed
+ */
+function parseImportRecords(text, format) {
+  const content = text.replace(/^\uFEFF/, '');
 
-  await Promise.all(classes.map(async (c) => {
-    const className = c.class || c.name || c;
-    const details = {
-      name: className,
-      vectorizer: c.vectorizer || null,
-      vectorIndexType: c.vectorIndexType || null,
-      properties: Array.isArray(c.properties) ? c.properties.map((p) => p.name) : undefined,
-      count: null,
-    };
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) return [];
+    return rows.map((r) => Object.fromEntries(header.map((h, i) => [h.trim(), r[i] ?? ''])));
+  }
 
+  if (format === 'json') {
+    let records;
     try {
-      details.count = await aggregateCountForClass(className);
-      if (typeof details.count === 'number') total += details.count;
+      records = JSON.parse(content);
     } catch (e) {
-      console.error('count error for', className, e.message);
+      throw new HttpError(400, `Invalid JSON: ${e.message}`);
     }
+    if (!Array.isArray(records)) throw new HttpError(400, 'JSON import must be an array of objects');
+    return records;
+  }
 
-    classDetails[className] = details;
-  }));
-
-  res.json({ meta, classes: classes.map((c) => c.class || c.name), classDetails, total });
-}));
+  return content.split('\n').map((line, i) => [line.trim(), i + 1]).filter(([line]) => line).map(([line, lineNo]) => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new HttpError(400, `Invalid JSON on line ${lineNo}: ${e.message}`);
+    }
+  });
+}
 
+/**
+ * Parse a vector given as an array, a JSON array string or numbers separated by commas or spaces
+ * @param {*} value - Raw vector
+ * @returns {number[]|undefined} Vector, or undefined when empty
+ * @throws {HttpError} If the JSON is malformed or an element is not a number
+ */
+function parseVector(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  let items = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('[')) {
+      try {
+        items = JSON.parse(text);
+      } catch (e) {
+        throw new HttpError(400, `Invalid vector: ${e.message}`);
+      }
+    } else {
+      items = text.split(/[\s,;]+/).filter(Boolean);
+    }
+  }
+  const vector = Array.isArray(items) ? items.map(Number) : [];
+  if (!vector.length || vector.some((n) => !Number.isFinite(n))) {
+    throw new HttpError(400, 'Vector must be a list of numbers');
+  }
+  return vector;
+}
 
-/* ---------- UI ---------- */
+/**
+ * Turn an import record into a Weaviate object for the batch API
+ * Records shaped like { id, vector, properties } are taken as they are, flat records
+ * are mapped field by field: mapping values are property names, '_id', '_vector' or
+ * empty to skip. Without a mapping, id/_id and vector/_vector are recognized by name.
+ * @param {string} className - Target class name
+ * @param {object[]} properties - Schema property definitions of the class
+ * @param {object} record - Parsed record
+ * @param {object} mapping - Optional field to target mapping
+ * @returns {object} Object with class, properties and optional id and vector
+ * @throws {HttpError} If the record does not fit the class
+ */
+function buildImportObject(className, properties, record, mapping) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new HttpError(400, 'Record is not an object');
+  }
 
-function renderPage() {
-  return `<!doctype html>
-<html>
-<head>
-<meta charset="utf-8">
-<title>Weaviate RAG Admin</title>
-<meta name="viewport" content="width=device-width, initial-scale=1">
+  let id = null;
+  let vector = null;
+  let values = {};
+  if (!mapping && record.properties && typeof record.properties === 'object') {
+    ({ id, vector } = record);
+    values = record.properties;
+  } else {
+    for (const [field, value] of Object.entries(record)) {
+      let target = mapping ? mapping[field] : field;
+      if (!mapping && (field === 'id' || field === 'vector')) target = `_${field}`;
+      if (!target) continue;
+      if (target === '_id') id = value;
+      else if (target === '_vector') vector = value;
+      else values[target] = value;
+    }
+  }
 
-<style>
-:root {
-  --bg1: #1b2040;
-  --bg2: #0f1220;
-  --panel: #171a2b;
-  --accent: #6cf2c2;
-  --muted: #9aa0c3;
+  const object = { class: className, properties: coerceProperties(properties, values) };
+  if (id) object.id = String(id);
+  const parsedVector = parseVector(vector);
+  if (parsedVector) object.vector = parsedVector;
+  return object;
 }
 
-* { box-sizing: border-box }
-
-html {
-  min-height: 100%;
+/**
+ * Estimate the number of tokens in a text
+ * Words and punctuation marks are counted as one token each, which is close enough to the
+ * sub-word tokens of embedding models to size chunks
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function countTokens(text) {
+  return text.match(TOKEN_PATTERN)?.length || 0;
 }
 
-body {
-  min-height: 100%;
-  margin: 0;
-  font-family: system-ui;
-  color: #fff;
-  background: linear-gradient(180deg, var(--bg1), var(--bg2));
-  background-attachment: fixed;
+/**
+ * Turn an HTML document into markdown-like text: headings become # lines, block elements
+ * are separated by blank lines, scripts, styles and all other markup are dropped
+ * @param {string} html - HTML source
+ * @returns {string} Text with blank lines between blocks
+ */
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  const decode = (match, entity) => {
+    if (entity[0] !== '#') return entities[entity.toLowerCase()] ?? match;
+    const code = /^#x/i.test(entity) ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isInteger(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  };
+  return html
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => (
+      `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim()}\n\n`
+    ))
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|section|article|aside|header|footer|main|nav|ul|ol|table|tr|blockquote|pre|figure)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, decode)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
 }
 
-header {
-  max-width: 1200px;
-  margin: 0 auto;
-  padding: 30px 20px 10px;
+/**
+ * Cut a text into windows of a fixed number of tokens, each repeating the last tokens of the one before
+ * The chunks are slices of the original text, so line breaks and spacing are kept
+ * @param {string} text - Text to cut
+ * @param {number} size - Tokens per chunk
+ * @param {number} overlap - Tokens shared by neighbouring chunks, less than size
+ * @returns {string[]} Chunks
+ */
+function splitByTokens(text, size, overlap) {
+  const tokens = [...text.matchAll(TOKEN_PATTERN)];
+  if (!tokens.length) return [];
+  const chunks = [];
+  for (let start = 0; ; start += size - overlap) {
+    const end = Math.min(start + size, tokens.length);
+    const last = tokens[end - 1];
+    chunks.push(text.slice(tokens[start].index, last.index + last[0].length));
+    if (end === tokens.length) return chunks;
+  }
 }
 
-.app {
-  max-width: 1200px;
-  margin: 0 auto;
-  padding: 0 20px 30px;
-  display: grid;
-  grid-template-columns: 1fr 280px;
-  gap: 20px;
+/**
+ * Pack consecutive blocks into chunks of at most size tokens; a block larger than that is cut by splitByTokens()
+ * @param {string[]} blocks - Paragraphs or sections in document order
+ * @param {number} size - Tokens per chunk
+ * @param {number} overlap - Tokens shared by the pieces of a cut block
+ * @returns {string[]} Chunks, blocks joined by blank lines
+ */
+function packBlocks(blocks, size, overlap) {
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  const flush = () => {
+    if (current.length) chunks.push(current.join('\n\n'));
+    current = [];
+    tokens = 0;
+  };
+
+  for (const block of blocks) {
+    const count = countTokens(block);
+    if (count > size) {
+      flush();
+      chunks.push(...splitByTokens(block, size, overlap));
+      continue;
+    }
+    if (tokens + count > size) flush();
+    current.push(block);
+    tokens += count;
+  }
+  flush();
+  return chunks;
 }
 
-.panel {
-  background: linear-gradient(180deg, #1a1e35, var(--panel));
-  border-radius: 14px;
-  padding: 16px;
+/**
+ * Split a document into chunks
+ * 'tokens' cuts fixed windows with overlap, 'paragraphs' packs whole paragraphs up to the size,
+ * 'headings' makes a chunk of every markdown section (HTML headings count too); sections larger
+ * than the size are packed by paragraph, with the heading repeated at the top of every piece
+ * @param {string} data - Document contents
+ * @param {object} options - { format, strategy, size, overlap }
+ * @returns {string[]} Chunk texts in document order, trimmed and none empty
+ */
+function chunkDocument(data, { format, strategy, size, overlap }) {
+  const text = (format === 'html' ? htmlToText(data) : data).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const paragraphs = (part) => part.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+
+  let chunks;
+  if (strategy === 'tokens') {
+    chunks = splitByTokens(text, size, overlap);
+  } else if (strategy === 'paragraphs') {
+    chunks = packBlocks(paragraphs(text), size, overlap);
+  } else {
+    // plain text has no headings, so it ends up as one section packed by paragraphs
+    const sections = format === 'text' ? [text] : text.split(/^(?=#{1,6}\s)/m);
+    chunks = sections.flatMap((section) => {
+      if (countTokens(section) <= size) return [section];
+      const heading = section.match(/^#{1,6}\s.*/)?.[0];
+      const room = heading ? size - countTokens(heading) : 0;
+      if (room <= overlap) return packBlocks(paragraphs(section), size, overlap);
+      return packBlocks(paragraphs(section.slice(heading.length)), room, overlap).map((c) => `${heading}\n\n${c}`);
+    });
+  }
+  return chunks.map((c) => c.trim()).filter(Boolean);
 }
 
-.sidebar {
-  align-self: start;
-  height: 100%;
-  display: flex;
-  flex-direction: column;
-  gap: 20px;
+/**
+ * Parse and validate the chunking options of a request
+ * @param {object} body - Request body with format, strategy, size and overlap
+ * @returns {object} { format, strategy, size, overlap } with defaults filled in
+ * @throws {HttpError} If an option is out of range
+ */
+function parseChunkOptions(body) {
+  const format = body.format || 'text';
+  if (!DOCUMENT_FORMATS.includes(format)) throw new HttpError(400, `format must be one of ${DOCUMENT_FORMATS.join(', ')}`);
+  const strategy = body.strategy || 'tokens';
+  if (!CHUNK_STRATEGIES.includes(strategy)) throw new HttpError(400, `strategy must be one of ${CHUNK_STRATEGIES.join(', ')}`);
+
+  const size = body.size === undefined || body.size === '' ? DEFAULT_CHUNK_SIZE : Number(body.size);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_CHUNK_SIZE) {
+    throw new HttpError(400, `size must be between 1 and ${MAX_CHUNK_SIZE}`);
+  }
+  const overlap = body.overlap === undefined || body.overlap === '' ? Math.min(DEFAULT_CHUNK_OVERLAP, size - 1) : Number(body.overlap);
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= size) {
+    throw new HttpError(400, 'overlap must be at least 0 and less than size');
+  }
+  return { format, strategy, size, overlap };
 }
 
-.sidebar > div {
-  display: flex;
-  flex-direction: column;
-  gap: 10px;
+/**
+ * Build the where filter matching the chunks of a source document
+ * @param {string} sourceProperty - Property holding the document name
+ * @param {string} source - Document name
+ * @returns {object} Where filter in the REST shape
+ */
+function sourceFilter(sourceProperty, source) {
+  return { path: [sourceProperty], operator: 'Equal', valueText: source };
 }
 
-h1 { margin: 0 }
-h2 { margin: 0 }
+/**
+ * Start a newline-delimited JSON response for streaming progress events
+ * @param {object} res - Express response
+ * @returns {function} send(event) writing one event per line
+ */
+function startNdjsonStream(res) {
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+  return (event) => res.write(JSON.stringify(event) + '\n');
+}
 
-input, textarea, button, select {
-  background: #101324;
-  border: 1px solid #2a2f55;
-  color: #fff;
-  padding: 10px;
-  border-radius: 8px;
+/**
+ * Write objects through the batch API
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {object[]} objects - Objects to create or replace
+ * @returns {Promise<(string|null)[]>} Error message per object, null for success
+ */
+async function batchWriteObjects(conn, objects) {
+  const results = await weaviateFetch(conn, '/v1/batch/objects', {
+    method: 'POST',
+    body: JSON.stringify({ objects }),
+  });
+  return objects.map((_, i) => {
+    const errors = results?.[i]?.result?.errors?.error;
+    return errors?.length ? errors.map((e) => e.message).join('; ') : null;
+  });
 }
 
-button {
-  background: linear-gradient(135deg, var(--accent), #58d8ff);
-  color: #000;
-  font-weight: 600;
-  cursor: pointer;
-  align-self: flex-start;
+/**
+ * Build a GraphQL Get query from a selection set and query arguments
+ * @param {string} className - Weaviate class name
+ * @param {string} selection - Selection set including _additional
+ * @param {string[]} args - Query arguments such as 'limit: 10'
+ * @returns {string} GraphQL query string
+ */
+function buildGetQuery(className, selection, args) {
+  return `{
+    Get {
+      ${className}(
+        ${args.join('\n        ')}
+      ) {
+        ${selection}
+      }
+    }
+  }`;
 }
 
-button:disabled { opacity: .5 }
+/**
+ * Walk every object of a class with the cursor API, one page at a time
+ * The cursor cannot be combined with a where filter, so with a filter each cursor page
+ * of IDs is narrowed by a second query for the objects matching the filter among them.
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {string} className - Weaviate class name
+ * @param {object[]} properties - Schema property definitions to select
+ * @param {object} options - { where (serialized filter), additional (extra _additional fields), pageSize, tenant }
+ * @yields {object[]} Pages of objects as returned by GraphQL Get
+ */
+async function* walkClass(conn, className, properties, options = {}) {
+  const { where = null, additional = [], pageSize = WALK_PAGE_SIZE, tenant = null } = options;
+  const selection = `${buildPropertySelection(properties)} _additional { ${['id', ...additional].join(' ')} }`;
+  const get = async (gqlSelection, args) => {
+    const data = await weaviateFetch(conn, '/v1/graphql', {
+      method: 'POST',
+      body: JSON.stringify({ query: buildGetQuery(className, gqlSelection, args) }),
+    });
+    if (checkGraphQLErrors(data, 'walkClass')) throw new Error(graphQLErrorMessage(data));
+    return data?.data?.Get?.[className] ?? [];
+  };
 
-.col { display: flex; flex-direction: column; gap: 10px }
-.row { display: flex; gap: 10px; align-items: center }
+  let after = null;
+  while (true) {
+    const args = [`limit: ${pageSize}`];
+    if (tenant) args.push(tenantArg(tenant));
+    if (after) args.push(`after: "${escapeGraphQL(after)}"`);
+    const page = await get(where ? '_additional { id }' : selection, args);
+    if (!page.length) return;
+    after = page[page.length - 1]._additional.id;
+
+    if (!where) {
+      yield page;
+    } else {
+      const ids = page.map((o) => `"${escapeGraphQL(o._additional.id)}"`).join(', ');
+      const idFilter = `{ path: ["_id"], operator: ContainsAny, valueText: [${ids}] }`;
+      const matched = await get(selection, [
+        `limit: ${page.length}`,
+        ...(tenant ? [tenantArg(tenant)] : []),
+        `where: { operator: And, operands: [${where}, ${idFilter}] }`,
+      ]);
+      if (matched.length) yield matched;
+    }
 
-.section-header {
-  display: flex;
-  justify-content: space-between;
-  align-items: center;
+    if (page.length < pageSize) return;
+  }
 }
 
-.list {
-  max-height: 360px;
-  overflow-y: auto;
-  display: flex;
-  flex-direction: column;
-  gap: 10px;
+/**
+ * Fetch objects with their vectors as snapshots for the audit log
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {string} className - Weaviate class name, looked up by ID alone when empty
+ * @param {string[]} ids - Object UUIDs
+ * @param {string} tenant - Tenant of a multi-tenant class
+ * @returns {Promise<Map<string, object>>} Objects by ID, missing ones left out
+ */
+async function fetchObjectSnapshots(conn, className, ids, tenant = null) {
+  const snapshots = new Map();
+  for (let i = 0; i < ids.length; i += SNAPSHOT_CONCURRENCY) {
+    await Promise.all(ids.slice(i, i + SNAPSHOT_CONCURRENCY).map(async (id) => {
+      const path = className ? `/v1/objects/${encodeURIComponent(className)}/${encodeURIComponent(id)}` : `/v1/objects/${encodeURIComponent(id)}`;
+      try {
+        snapshots.set(id, await weaviateFetch(conn, withTenant(`${path}?include=vector`, tenant)));
+      } catch (e) {
+        // gone already, nothing to snapshot
+      }
+    }));
+  }
+  return snapshots;
 }
 
-.card {
-  background: #0f1328;
-  padding: 12px;
-  border-radius: 10px;
-  display: flex;
-  justify-content: space-between;
-  align-items: flex-start;
-  gap: 10px;
+/**
+ * Turn the snapshot of a deleted object back into a create request with the same UUID
+ * @param {object} snapshot - Object as fetched by fetchObjectSnapshots()
+ * @returns {object} Body for POST /v1/objects
+ */
+function snapshotToObject(snapshot) {
+  const properties = {};
+  for (const [name, value] of Object.entries(snapshot.properties || {})) {
+    // references are read back with an href that Weaviate does not accept when creating
+    const isReference = Array.isArray(value) && value.length && value.every((v) => v?.beacon);
+    properties[name] = isReference ? value.map((v) => ({ beacon: v.beacon })) : value;
+  }
+  const object = { class: snapshot.class, id: snapshot.id, properties };
+  if (snapshot.vector?.length) object.vector = snapshot.vector;
+  if (snapshot.vectors && Object.keys(snapshot.vectors).length) object.vectors = snapshot.vectors;
+  if (snapshot.tenant) object.tenant = snapshot.tenant;
+  return object;
 }
 
-.json {
-  background: #0f1328;
-  border: 1px solid #2a2f55;
-  border-radius: 10px;
-  padding: 10px;
-  margin: 0;
-  max-height: 260px;
-  overflow: auto;
-  white-space: pre-wrap;
-  word-break: break-word;
+/**
+ * Read a page of full objects with the REST cursor, which also returns references,
+ * blobs and named vectors that a GraphQL walk leaves out
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {string} className - Weaviate class name
+ * @param {object} options - { after (last ID of the previous page), limit, includeVectors, tenant }
+ * @returns {Promise<object[]>} Objects in UUID order, empty after the last page
+ */
+async function fetchObjectPage(conn, className, options) {
+  const { after = null, limit, includeVectors = false, tenant = null } = options;
+  const params = new URLSearchParams({ class: className, limit: String(limit) });
+  if (after) params.set('after', after);
+  if (includeVectors) params.set('include', 'vector');
+  const data = await weaviateFetch(conn, withTenant(`/v1/objects?${params}`, tenant));
+  return data?.objects || [];
 }
 
-.card.selected {
-  outline: 1px solid var(--accent);
+/**
+ * Turn an object of the source class into a batch object for the target class of a migration
+ * Properties are renamed by the mapping (an empty name drops one) and references to the source
+ * class point at the target class. The UUID is kept, so writing an object again overwrites it.
+ * @param {object} obj - Object from fetchObjectPage()
+ * @param {object} options - { sourceClass, targetClass, mapping, includeVectors, tenant }
+ * @returns {object} Object for the batch API
+ */
+function migrateObject(obj, { sourceClass, targetClass, mapping, includeVectors, tenant }) {
+  const properties = {};
+  for (const [name, value] of Object.entries(obj.properties || {})) {
+    const target = mapping && name in mapping ? mapping[name] : name;
+    if (!target) continue;
+    const isReference = Array.isArray(value) && value.length && value.every((v) => v?.beacon);
+    properties[target] = isReference
+      ? value.map((v) => ({ beacon: v.beacon.replace(`weaviate://localhost/${sourceClass}/`, `weaviate://localhost/${targetClass}/`) }))
+      : value;
+  }
+  const object = { class: targetClass, id: obj.id, properties };
+  if (includeVectors && obj.vector?.length) object.vector = obj.vector;
+  if (includeVectors && obj.vectors && Object.keys(obj.vectors).length) object.vectors = obj.vectors;
+  if (tenant) object.tenant = tenant;
+  return object;
 }
 
-.small { font-size: 12px; color: var(--muted) }
-
-.results > div {
-  background: #0f1328;
-  padding: 8px;
-  border-radius: 8px;
+/**
+ * Walk every object of a class in UUID order with the REST cursor
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {string} className - Weaviate class name
+ * @param {object} options - { includeVectors, tenant, pageSize }
+ * @yields {object} Objects as returned by fetchObjectPage()
+ */
+async function* walkObjects(conn, className, options = {}) {
+  const { includeVectors = false, tenant = null, pageSize = WALK_PAGE_SIZE } = options;
+  let after = null;
+  while (true) {
+    const page = await fetchObjectPage(conn, className, { after, limit: pageSize, includeVectors, tenant });
+    yield* page;
+    if (page.length < pageSize) return;
+    after = page[page.length - 1].id;
+  }
 }
 
-.right-align {
-  text-align: right;
+/**
+ * Serialize a value as JSON with object keys sorted, so equal content gives equal text
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON, undefined written as null
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
 }
 
-.bold {
-	font-weight: bold;
+/**
+ * List the differences between two values, descending into plain objects
+ * @param {*} source - Value on the source side
+ * @param {*} target - Value on the target side
+ * @param {string} path - Dotted path of the values
+ * @returns {object[]} Differences: { path, source, target }, missing values as null
+ */
+function diffValues(source, target, path = '') {
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  if (isObject(source) && isObject(target)) {
+    return [...new Set([...Object.keys(source), ...Object.keys(target)])].sort()
+      .flatMap((key) => diffValues(source[key], target[key], path ? `${path}.${key}` : key));
+  }
+  return stableStringify(source) === stableStringify(target) ? [] : [{ path, source: source ?? null, target: target ?? null }];
 }
-</style>
-</head>
 
-<body>
+/**
+ * Shape a class definition for diffing: properties keyed by name, instance specific parts left out,
+ * and references to the class itself named as the other side's class
+ * @param {object} classDef - Class definition
+ * @param {string} selfName - Name references to the class itself are given
+ * @returns {object} Comparable definition
+ */
+function comparableSchema(classDef, selfName) {
+  const definition = Object.fromEntries(Object.entries(classDef).filter(([key]) => !SCHEMA_DIFF_IGNORED.includes(key)));
+  definition.properties = Object.fromEntries((classDef.properties || []).map((p) => [p.name, {
+    ...p,
+    dataType: (p.dataType || []).map((t) => (t === classDef.class ? selfName : t)),
+  }]));
+  return definition;
+}
 
-<header>
+/**
+ * Hash the content of an object for diffing
+ * @param {object} object - Object from migrateObject(), references reduced to beacons
+ * @param {boolean} includeVectors - Whether the vectors count as content
+ * @returns {string} SHA-256 hex digest
+ */
+function contentHash(object, includeVectors) {
+  const content = includeVectors ? [object.properties, object.vector ?? null, object.vectors ?? null] : object.properties;
+  return createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+/**
+ * Parse and validate the selection of a diff sync request
+ * Vectors are only copied when asked for, as with migrations
+ * @param {object} body - Request body with add, update and remove (UUIDs) and includeVectors
+ * @returns {object} { write, remove, includeVectors }, write holding the added and changed IDs
+ * @throws {HttpError} If nothing or too much is selected
+ */
+function parseSyncRequest(body) {
+  const list = (key) => (Array.isArray(body[key]) ? body[key].map(String) : []);
+  const write = [...list('add'), ...list('update')];
+  const remove = list('remove');
+  if (!write.length && !remove.length) throw new HttpError(400, 'Nothing selected to sync');
+  if (write.length + remove.length > MAX_DIFF_CHANGES) throw new HttpError(400, `At most ${MAX_DIFF_CHANGES} objects per sync`);
+  return { write, remove, includeVectors: body.includeVectors === true };
+}
+
+/**
+ * Count the objects of a class, or of one tenant
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {string} className - Weaviate class name
+ * @param {string} tenant - Tenant of a multi-tenant class
+ * @returns {Promise<number>} Object count
+ * @throws {HttpError} If the aggregate query fails
+ */
+async function countObjects(conn, className, tenant = null) {
+  const data = await weaviateFetch(conn, "/v1/graphql", {
+    method: "POST",
+    body: JSON.stringify({ query: buildAggregateQuery(className, tenant) }),
+  });
+  if (checkGraphQLErrors(data, 'countObjects')) throw new HttpError(400, graphQLErrorMessage(data));
+  return data?.data?.Aggregate?.[className]?.[0]?.meta?.count ?? 0;
+}
+
+/**
+ * Resolve the two classes a diff or sync compares: the source from profile, class and tenant,
+ * the target from targetProfile, targetClass and targetTenant, each defaulting to the source's
+ * @param {object} body - Request body
+ * @returns {Promise<object>} { source, target }, each { conn, class, classDef, tenant }; classDef is
+ *   null when the target class does not exist
+ * @throws {HttpError} If the source class is missing or both sides are the same
+ */
+async function resolveDiffSides(body) {
+  if (!body.class) throw new HttpError(400, 'Missing class name');
+  const targetClass = body.targetClass || body.class;
+  if (!CLASS_NAME_PATTERN.test(targetClass)) throw new HttpError(400, 'Invalid target class name');
+  const source = { conn: resolveConnection(body), class: body.class, tenant: body.tenant };
+  const target = {
+    conn: resolveConnection({ ...body, profile: body.targetProfile || body.profile }),
+    class: targetClass,
+    tenant: body.targetTenant || body.tenant,
+  };
+
+  for (const side of [source, target]) {
+    const schema = await weaviateFetch(side.conn, '/v1/schema');
+    side.classDef = schema?.classes?.find((c) => c.class === side.class) || null;
+    side.tenant = side.classDef ? resolveTenant(side.classDef, side.tenant) : null;
+  }
+  if (!source.classDef) throw new HttpError(404, `Class ${source.class} does not exist`);
+  if (source.conn.url === target.conn.url && source.class === target.class && source.tenant === target.tenant) {
+    throw new HttpError(400, 'Source and target are the same class');
+  }
+  return { source, target };
+}
+
+/**
+ * Delete the objects of a class matching a where filter through the batch API
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {string} className - Weaviate class name
+ * @param {object} where - Where filter in the REST shape (path arrays and valueX keys)
+ * @param {string} tenant - Tenant of a multi-tenant class
+ * @param {boolean} dryRun - Only count and name the matching objects
+ * @returns {Promise<object>} { matches, limit, successful, failed, ids, errors: [{ id, message }] }
+ *   with ids the objects deleted, or that would be in a dry run
+ */
+async function batchDeleteObjects(conn, className, where, tenant = null, dryRun = false) {
+  const data = await weaviateFetch(conn, '/v1/batch/objects', {
+    method: 'DELETE',
+    body: JSON.stringify({ match: { class: className, where }, output: 'verbose', dryRun, ...(tenant ? { tenant } : {}) }),
+  });
+  const results = data?.results || {};
+  return {
+    matches: results.matches || 0,
+    // Weaviate deletes at most QUERY_MAXIMUM_RESULTS objects per request
+    limit: results.limit ?? null,
+    successful: results.successful || 0,
+    failed: results.failed || 0,
+    ids: (results.objects || []).filter((o) => o.status !== 'FAILED').map((o) => o.id),
+    errors: (results.objects || []).filter((o) => o.status === 'FAILED').map((o) => ({
+      id: o.id,
+      message: o.errors?.error?.map((e) => e.message).join('; ') || 'failed',
+    })),
+  };
+}
+
+/**
+ * Normalize the text properties of an object for exact duplicate detection
+ * @param {object} obj - Object as returned by GraphQL Get
+ * @param {string[]} names - Text properties to compare
+ * @returns {string} Lower-cased text with collapsed whitespace, empty when there is no text
+ */
+function duplicateTextKey(obj, names) {
+  const parts = names.map((n) => [].concat(obj[n] ?? []).join(' ').trim().toLowerCase().replace(/\s+/g, ' '));
+  return parts.some(Boolean) ? parts.join('\u0000') : '';
+}
+
+/**
+ * Scale a vector to unit length, so cosine similarity becomes a dot product
+ * @param {number[]} vector - Stored vector
+ * @returns {Float64Array|null} Unit vector, null when missing or zero
+ */
+function unitVector(vector) {
+  if (!vector?.length) return null;
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm ? Float64Array.from(vector, (x) => x / norm) : null;
+}
+
+/**
+ * Group objects that are exact text duplicates or whose vectors are at least
+ * threshold similar (cosine); groups are joined transitively
+ * @param {object[]} objects - Objects with _additional { id, vector, creationTimeUnix }
+ * @param {object} options - { textProperties, threshold, vectors (compare vectors), exact (compare text), onProgress }
+ * @returns {Promise<object[]>} Clusters, largest first: { exact, members: [{ id, creationTimeUnix, similarity, exact, properties }] },
+ *   members oldest first; similarity and exact are relative to the first member
+ */
+async function findDuplicateClusters(objects, options) {
+  const { textProperties, threshold, vectors = true, exact = true, onProgress } = options;
+  const parent = objects.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+
+  const keys = objects.map((o) => duplicateTextKey(o, textProperties));
+  if (exact) {
+    const seen = new Map();
+    keys.forEach((key, i) => {
+      if (!key) return;
+      if (seen.has(key)) union(i, seen.get(key));
+      else seen.set(key, i);
+    });
+  }
+
+  const units = objects.map((o) => unitVector(o._additional?.vector));
+  const dot = (a, b) => {
+    if (!a || !b || a.length !== b.length) return null;
+    let sum = 0;
+    for (let d = 0; d < a.length; d++) sum += a[d] * b[d];
+    return sum;
+  };
+  if (vectors) {
+    for (let i = 0; i < units.length; i++) {
+      for (let j = i + 1; j < units.length; j++) {
+        if (find(i) !== find(j) && dot(units[i], units[j]) >= threshold) union(i, j);
+      }
+      // let progress events out during long scans
+      if (i % 100 === 99) {
+        onProgress?.(i + 1, units.length);
+        await nextTick();
+      }
+    }
+  }
+
+  const groups = new Map();
+  objects.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  return [...groups.values()].filter((g) => g.length > 1).map((group) => {
+    group.sort((a, b) => Number(objects[a]._additional?.creationTimeUnix || 0) - Number(objects[b]._additional?.creationTimeUnix || 0));
+    const first = group[0];
+    const members = group.map((i) => {
+      const { _additional: additional = {}, ...properties } = objects[i];
+      const similarity = dot(units[first], units[i]);
+      return {
+        id: additional.id,
+        creationTimeUnix: additional.creationTimeUnix,
+        similarity: similarity === null ? null : Math.min(1, similarity),
+        exact: Boolean(keys[first]) && keys[i] === keys[first],
+        properties,
+      };
+    });
+    return { exact: members.every((m) => m.exact), members };
+  }).sort((a, b) => b.members.length - a.members.length);
+}
+
+/**
+ * Project unit vectors to 2D with principal component analysis (power iteration)
+ * Yields to the event loop between iterations, which take a while on large samples
+ * @param {Float64Array[]} vectors - Unit vectors of equal length
+ * @returns {Promise<object>} { points: [[x, y]], mean, components, explained (variance share per component) }
+ */
+async function projectPca(vectors) {
+  const n = vectors.length;
+  const d = vectors[0].length;
+  const dot = (a, b) => {
+    let sum = 0;
+    for (let k = 0; k < d; k++) sum += a[k] * b[k];
+    return sum;
+  };
+
+  const mean = new Float64Array(d);
+  for (const v of vectors) for (let k = 0; k < d; k++) mean[k] += v[k] / n;
+  const centered = vectors.map((v) => v.map((x, k) => x - mean[k]));
+  const totalVariance = centered.reduce((sum, row) => sum + dot(row, row), 0);
+
+  const components = [];
+  for (let c = 0; c < 2; c++) {
+    let w = Float64Array.from({ length: d }, () => Math.random() - 0.5);
+    for (let iter = 0; iter < 200; iter++) {
+      const next = new Float64Array(d);
+      for (const row of centered) {
+        const s = dot(row, w);
+        for (let k = 0; k < d; k++) next[k] += s * row[k];
+      }
+      if (iter % 5 === 4) await nextTick();
+      for (const prev of components) {
+        const s = dot(next, prev);
+        for (let k = 0; k < d; k++) next[k] -= s * prev[k];
+      }
+      const norm = Math.sqrt(dot(next, next));
+      if (!norm) break;
+      for (let k = 0; k < d; k++) next[k] /= norm;
+      const converged = Math.abs(dot(next, w)) > 1 - 1e-9;
+      w = next;
+      if (converged) break;
+    }
+    components.push(w);
+  }
+
+  const points = centered.map((row) => components.map((c) => dot(row, c)));
+  const explained = components.map((_, c) => (totalVariance ? points.reduce((sum, p) => sum + p[c] ** 2, 0) / totalVariance : 0));
+  return { points, mean: Array.from(mean), components: components.map((c) => Array.from(c)), explained };
+}
+
+/**
+ * Project unit vectors to 2D with exact t-SNE (gradient descent with momentum and gains)
+ * @param {Float64Array[]} vectors - Unit vectors of equal length
+ * @param {number[][]} initial - Starting 2D positions, e.g. from projectPca()
+ * @param {object} options - { perplexity, iterations, onProgress(iteration, iterations) }
+ * @returns {Promise<number[][]>} 2D positions
+ */
+async function projectTsne(vectors, initial, options = {}) {
+  const { perplexity = TSNE_PERPLEXITY, iterations = TSNE_ITERATIONS, onProgress } = options;
+  const n = vectors.length;
+
+  // squared distances, turned into joint probabilities in place
+  const P = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let sum = 0;
+      for (let k = 0; k < vectors[i].length; k++) sum += (vectors[i][k] - vectors[j][k]) ** 2;
+      P[i * n + j] = P[j * n + i] = sum;
+    }
+  }
+
+  // per point, find the Gaussian precision giving the wanted perplexity
+  const target = Math.log(Math.min(perplexity, (n - 1) / 3));
+  const row = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let beta = 1;
+    let betaMin = 0;
+    let betaMax = Infinity;
+    for (let tries = 0; tries < 50; tries++) {
+      let sum = 0;
+      let weighted = 0;
+      for (let j = 0; j < n; j++) {
+        row[j] = j === i ? 0 : Math.exp(-P[i * n + j] * beta);
+        sum += row[j];
+        weighted += P[i * n + j] * row[j];
+      }
+      const entropy = Math.log(sum || 1e-12) + beta * weighted / (sum || 1e-12);
+      if (Math.abs(entropy - target) < 1e-5) break;
+      if (entropy > target) {
+        betaMin = beta;
+        beta = betaMax === Infinity ? beta * 2 : (beta + betaMax) / 2;
+      } else {
+        betaMax = beta;
+        beta = (beta + betaMin) / 2;
+      }
+    }
+    const sum = row.reduce((a, b) => a + b, 0) || 1e-12;
+    for (let j = 0; j < n; j++) P[i * n + j] = row[j] / sum;
+  }
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      P[i * n + j] = P[j * n + i] = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-12);
+    }
+  }
+
+  // start from the initial layout scaled down, as t-SNE expects small coordinates
+  const spread = Math.sqrt(initial.reduce((sum, [x, y]) => sum + x * x + y * y, 0) / n) || 1;
+  const Y = initial.map(([x, y]) => [x / spread * 1e-4, y / spread * 1e-4]);
+  const velocity = Y.map(() => [0, 0]);
+  const gains = Y.map(() => [1, 1]);
+  const learningRate = Math.max(n / 12, 50);
+  const num = new Float64Array(n * n);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const exaggeration = iter < 100 ? 12 : 1;
+    const momentum = iter < 250 ? 0.5 : 0.8;
+
+    let sumQ = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const q = 1 / (1 + (Y[i][0] - Y[j][0]) ** 2 + (Y[i][1] - Y[j][1]) ** 2);
+        num[i * n + j] = num[j * n + i] = q;
+        sumQ += 2 * q;
+      }
+    }
+
+    for (let i = 0; i < n; i++) {
+      let gx = 0;
+      let gy = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const q = num[i * n + j];
+        const force = (exaggeration * P[i * n + j] - q / sumQ) * q;
+        gx += force * (Y[i][0] - Y[j][0]);
+        gy += force * (Y[i][1] - Y[j][1]);
+      }
+      [gx * 4, gy * 4].forEach((g, k) => {
+        gains[i][k] = Math.sign(g) !== Math.sign(velocity[i][k]) ? gains[i][k] + 0.2 : Math.max(gains[i][k] * 0.8, 0.01);
+        velocity[i][k] = momentum * velocity[i][k] - learningRate * gains[i][k] * g;
+      });
+    }
+
+    let mx = 0;
+    let my = 0;
+    for (let i = 0; i < n; i++) {
+      Y[i][0] += velocity[i][0];
+      Y[i][1] += velocity[i][1];
+      mx += Y[i][0] / n;
+      my += Y[i][1] / n;
+    }
+    for (const y of Y) {
+      y[0] -= mx;
+      y[1] -= my;
+    }
+
+    if (iter % 25 === 24) {
+      onProgress?.(iter + 1, iterations);
+      await nextTick();
+    }
+  }
+  return Y;
+}
+
+/**
+ * Convert a GraphQL Get result into the export record shape, which /import reads back
+ * @param {string} className - Weaviate class name
+ * @param {object} obj - Object as returned by GraphQL Get
+ * @returns {object} { id, class, properties, vector?, creationTimeUnix?, lastUpdateTimeUnix? }
+ */
+function toExportRecord(className, obj) {
+  const { _additional: additional = {}, ...properties } = obj;
+  const record = { id: additional.id, class: className, properties };
+  if (additional.vector) record.vector = additional.vector;
+  if (additional.creationTimeUnix) record.creationTimeUnix = additional.creationTimeUnix;
+  if (additional.lastUpdateTimeUnix) record.lastUpdateTimeUnix = additional.lastUpdateTimeUnix;
+  return record;
+}
+
+/**
+ * Quote a value as a CSV field when needed; arrays and objects become JSON
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write to a response, waiting for the client to drain its buffer when it is full
+ * A client that disconnects never drains, so the wait also ends when the response closes
+ * @param {object} res - Express response
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>}
+ * @throws {Error} If the response fails while waiting
+ */
+async function writeWithBackpressure(res, chunk) {
+  if (res.write(chunk) || res.destroyed) return;
+  const done = new AbortController();
+  try {
+    await Promise.race([once(res, 'drain', { signal: done.signal }), once(res, 'close', { signal: done.signal })]);
+  } finally {
+    // drops the listener of the event that did not happen
+    done.abort();
+  }
+}
+
+/**
+ * Validate the paging and sorting options of a list request
+ * @param {object} body - Request body with limit, sort, order, offset and after
+ * @param {object[]} properties - Schema property definitions of the class
+ * @returns {object} Normalized { limit, sort, order, offset, after }
+ * @throws {HttpError} If an option is invalid
+ */
+function parseListPaging(body, properties = []) {
+  const limit = body.limit === undefined ? DEFAULT_LIST_LIMIT : Number(body.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_LIST_LIMIT}`);
+  }
+
+  const sort = body.sort || DEFAULT_LIST_SORT;
+  const order = body.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') throw new HttpError(400, 'order must be asc or desc');
+
+  if (sort === CURSOR_SORT) {
+    if (body.offset) throw new HttpError(400, 'offset cannot be combined with the after cursor');
+    if (body.where) throw new HttpError(400, `Filters cannot be combined with sort ${CURSOR_SORT}, choose another sort`);
+    return { limit, sort, order: 'asc', offset: 0, after: body.after || null };
+  }
+
+  if (!METADATA_SORT_PATHS.includes(sort) && !properties.some((p) => p.name === sort)) {
+    throw new HttpError(400, `Unknown sort property ${sort}`);
+  }
+  if (body.after) throw new HttpError(400, `after cursor requires sort ${CURSOR_SORT}`);
+
+  const offset = body.offset === undefined ? 0 : Number(body.offset);
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, 'offset must be a non-negative integer');
+  if (offset + limit > QUERY_MAXIMUM_RESULTS) {
+    throw new HttpError(400, `offset + limit may not exceed ${QUERY_MAXIMUM_RESULTS}, sort by ${CURSOR_SORT} to page further`);
+  }
+
+  return { limit, sort, order, offset, after: null };
+}
+
+/**
+ * Build GraphQL query for listing objects
+ * @param {string} className - Weaviate class name
+ * @param {object[]} properties - Schema property definitions to select
+ * @param {object} paging - Paging options from parseListPaging()
+ * @param {string} where - Serialized where filter from buildWhereFilter()
+ * @param {string} tenant - Tenant of a multi-tenant class
+ * @returns {string} GraphQL query string
+ */
+function buildListQuery(className, properties, paging = {}, where = null, tenant = null) {
+  const { limit = DEFAULT_LIST_LIMIT, sort = DEFAULT_LIST_SORT, order = 'desc', offset = 0, after = null } = paging;
+  const args = [`limit: ${limit}`];
+  if (tenant) args.push(tenantArg(tenant));
+  if (where) args.push(`where: ${where}`);
+  if (sort === CURSOR_SORT) {
+    if (after) args.push(`after: "${escapeGraphQL(after)}"`);
+  } else {
+    if (offset) args.push(`offset: ${offset}`);
+    args.push(`sort: [{ path: [${JSON.stringify(sort)}], order: ${order} }]`);
+  }
+
+  return `{
+    Get {
+      ${className}(
+        ${args.join('\n        ')}
+      ) {
+        ${buildPropertySelection(properties)}
+        _additional { id }
+      }
+    }
+  }`;
+}
+
+/**
+ * Work out the paging options for the page following a list result
+ * @param {object} paging - Paging options the page was fetched with
+ * @param {object[]} objects - Objects returned for the page
+ * @returns {object|null} { offset } or { after } for the next page, null on the last page
+ */
+function nextListPage(paging, objects) {
+  if (objects.length < paging.limit) return null;
+  if (paging.sort === CURSOR_SORT) return { after: objects[objects.length - 1]._additional.id };
+  const offset = paging.offset + paging.limit;
+  if (offset + paging.limit > QUERY_MAXIMUM_RESULTS) return null;
+  return { offset };
+}
+
+/**
+ * Validate the options of a search request
+ * @param {object} body - Request body of /search
+ * @param {object} classDef - Class definition from fetchClassSchema()
+ * @returns {object} Normalized options for buildSearchQuery()
+ * @throws {HttpError} If an option is invalid
+ */
+function parseSearchOptions(body, classDef) {
+  const type = body.type || 'hybrid';
+  if (!SEARCH_TYPES.includes(type)) throw new HttpError(400, `type must be one of ${SEARCH_TYPES.join(', ')}`);
+
+  const options = { type, query: body.query, tenant: resolveTenant(classDef, body.tenant) };
+
+  // classes with named vectors search one of them, the first unless the request picks another
+  const vectors = namedVectors(classDef);
+  let vectorDistance = classDef.vectorIndexConfig?.distance;
+  if (vectors.length && type !== 'bm25') {
+    const target = vectors.find((v) => v.name === (body.targetVector || vectors[0].name));
+    if (!target) throw new HttpError(400, `Unknown named vector ${body.targetVector}`);
+    options.targetVector = target.name;
+    vectorDistance = target.distance;
+  }
+  if (['bm25', 'hybrid', 'nearText'].includes(type) && !body.query) throw new HttpError(400, 'Missing query');
+
+  const limit = body.limit === undefined || body.limit === '' ? DEFAULT_SEARCH_LIMIT : Number(body.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_SEARCH_LIMIT}`);
+  }
+  const offset = body.offset ? Number(body.offset) : 0;
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, 'offset must be a non-negative integer');
+  if (offset + limit > QUERY_MAXIMUM_RESULTS) throw new HttpError(400, `offset + limit may not exceed ${QUERY_MAXIMUM_RESULTS}`);
+  Object.assign(options, { limit, offset });
+
+  if (body.autocut) {
+    options.autocut = Number(body.autocut);
+    if (!Number.isInteger(options.autocut) || options.autocut < 1) throw new HttpError(400, 'autocut must be a positive integer');
+  }
+
+  if (type === 'bm25' || type === 'hybrid') {
+    // weighted names like "content^2" boost a property's keyword score
+    if (body.properties != null && typeof body.properties !== 'string' && !Array.isArray(body.properties)) {
+      throw new HttpError(400, 'properties must be a list of property names');
+    }
+    const names = typeof body.properties === 'string' ? body.properties.split(',') : body.properties || [];
+    options.properties = names.map((n) => String(n).trim()).filter(Boolean);
+    for (const name of options.properties) {
+      const match = /^([_A-Za-z][_0-9A-Za-z]*)(\^\d+(\.\d+)?)?$/.exec(name);
+      if (!match || !classDef.properties.some((p) => p.name === match[1])) {
+        throw new HttpError(400, `Unknown search property ${name}`);
+      }
+    }
+  }
+
+  if (type === 'hybrid') {
+    options.alpha = body.alpha === undefined || body.alpha === '' ? 0.5 : Number(body.alpha);
+    if (!(options.alpha >= 0 && options.alpha <= 1)) throw new HttpError(400, 'alpha must be between 0 and 1');
+    options.fusionType = body.fusionType || null;
+    if (options.fusionType && !HYBRID_FUSION_TYPES.includes(options.fusionType)) {
+      throw new HttpError(400, `fusionType must be one of ${HYBRID_FUSION_TYPES.join(', ')}`);
+    }
+  }
+
+  if (type.startsWith('near')) {
+    // certainty only exists for cosine distance
+    options.cosine = (vectorDistance || 'cosine') === 'cosine';
+    for (const key of ['certainty', 'distance']) {
+      if (body[key] === undefined || body[key] === '' || body[key] === null) continue;
+      options[key] = Number(body[key]);
+      if (!Number.isFinite(options[key])) throw new HttpError(400, `${key} must be a number`);
+    }
+    if (options.certainty !== undefined && options.distance !== undefined) {
+      throw new HttpError(400, 'Use either certainty or distance, not both');
+    }
+    if (options.certainty !== undefined && !options.cosine) {
+      throw new HttpError(400, 'certainty requires cosine distance, use distance instead');
+    }
+    if (type === 'nearText' && options.distance === undefined && options.certainty === undefined && options.cosine) {
+      options.certainty = DEFAULT_NEARTEXT_CERTAINTY;
+    }
+  }
+
+  if (type === 'nearVector') {
+    options.vector = parseVector(body.vector);
+    if (!options.vector) throw new HttpError(400, 'Missing vector');
+  }
+  if (type === 'nearObject') {
+    if (!body.id) throw new HttpError(400, 'Missing id');
+    options.id = body.id;
+  }
+
+  return options;
+}
+
+/**
+ * Build GraphQL query for search (bm25, hybrid, nearText, nearVector or nearObject)
+ * @param {string} className - Weaviate class name
+ * @param {object[]} properties - Schema property definitions to select
+ * @param {object} options - Search options from parseSearchOptions()
+ * @param {string} where - Serialized where filter from buildWhereFilter()
+ * @returns {string} GraphQL query string
+ */
+function buildSearchQuery(className, properties, options, where = null) {
+  const { type = 'hybrid', query = '', limit = DEFAULT_SEARCH_LIMIT, offset = 0, autocut } = options;
+  const escapedQuery = escapeGraphQL(query);
+  const selection = buildPropertySelection(properties);
+  const threshold = options.distance !== undefined ? `distance: ${options.distance}`
+    : options.certainty !== undefined ? `certainty: ${options.certainty}` : '';
+  const targetArg = options.targetVector ? `targetVectors: ["${escapeGraphQL(options.targetVector)}"]` : '';
+
+  let search;
+  let additional = 'id distance' + (options.cosine ? ' certainty' : '');
+  if (type === 'bm25') {
+    const propertiesArg = options.properties?.length ? `properties: ${JSON.stringify(options.properties)}` : '';
+    search = `bm25: { query: "${escapedQuery}" ${propertiesArg} }`;
+    additional = 'id score';
+  } else if (type === 'hybrid') {
+    const searchProperties = options.properties?.length ? options.properties : textPropertyNames(properties);
+    const propertiesArg = searchProperties.length ? `properties: ${JSON.stringify(searchProperties)}` : '';
+    const fusionArg = options.fusionType ? `fusionType: ${options.fusionType}` : '';
+    search = `hybrid: { query: "${escapedQuery}" ${propertiesArg} alpha: ${options.alpha ?? 0.5} ${fusionArg} ${targetArg} }`;
+    additional = 'id score explainScore';
+  } else if (type === 'nearText') {
+    search = `nearText: { concepts: ["${escapedQuery}"] ${threshold} ${targetArg} }`;
+  } else if (type === 'nearVector') {
+    search = `nearVector: { vector: ${JSON.stringify(options.vector)} ${threshold} ${targetArg} }`;
+  } else {
+    search = `nearObject: { id: "${escapeGraphQL(options.id)}" ${threshold} ${targetArg} }`;
+  }
+
+  const args = [search, `limit: ${limit}`];
+  if (options.tenant) args.push(tenantArg(options.tenant));
+  if (offset) args.push(`offset: ${offset}`);
+  if (autocut) args.push(`autocut: ${autocut}`);
+  if (where) args.push(`where: ${where}`);
+
+  return buildGetQuery(className, `${selection}\n        _additional { ${additional} }`, args);
+}
+
+/**
+ * Run a search and return the matching objects
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {object} classDef - Class definition from fetchClassSchema()
+ * @param {object} options - Search options from parseSearchOptions()
+ * @param {string} where - Serialized where filter from buildWhereFilter()
+ * @returns {Promise<object[]>} Objects as returned by GraphQL Get
+ * @throws {HttpError} If Weaviate rejects the query
+ */
+async function searchObjects(conn, classDef, options, where = null) {
+  const gql = buildSearchQuery(classDef.class, classDef.properties, options, where);
+  const data = await weaviateFetch(conn, "/v1/graphql", {
+    method: "POST",
+    body: JSON.stringify({ query: gql }),
+  });
+  if (checkGraphQLErrors(data, '/search')) throw new HttpError(400, graphQLErrorMessage(data));
+  return data?.data?.Get?.[classDef.class] ?? [];
+}
+
+/**
+ * Fill the {{name}} placeholders of a template; names without a value become empty
+ * @param {string} template - Template text
+ * @param {object} values - Values by name, objects are written as JSON
+ * @returns {string} Filled text
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Assemble search hits into a prompt within a token budget
+ * Hits are added in rank order until the next one does not fit; it and all after it are dropped,
+ * so the prompt never skips over a better hit to fit a worse one
+ * @param {object[]} hits - Results of searchObjects()
+ * @param {object} options - { template, hitTemplate, budget, query }
+ * @returns {object} { prompt, tokens, templateTokens, hits: [{ id, rank, text, tokens, included }] }
+ */
+function buildContextPrompt(hits, { template, hitTemplate, budget, query }) {
+  const templateTokens = countTokens(fillTemplate(template, { query, context: '' }));
+  let used = templateTokens;
+  let full = false;
+  const entries = hits.map((hit, i) => {
+    const { _additional: extra = {}, ...properties } = hit;
+    const text = fillTemplate(hitTemplate, {
+      ...properties,
+      rank: i + 1,
+      id: extra.id,
+      score: extra.score,
+      distance: extra.distance,
+      certainty: extra.certainty,
+    });
+    const tokens = countTokens(text);
+    full ||= used + tokens > budget;
+    if (!full) used += tokens;
+    return { id: extra.id, rank: i + 1, text, tokens, included: !full };
+  });
+
+  const context = entries.filter((e) => e.included).map((e) => e.text).join(CONTEXT_SEPARATOR);
+  const prompt = fillTemplate(template, { query, context });
+  return { prompt, tokens: countTokens(prompt), templateTokens, hits: entries };
+}
+
+/**
+ * Turn uploaded or edited evaluation records into test queries
+ * Each record needs a query and its expected object IDs, as an array or a string
+ * separated by commas, semicolons or whitespace (for CSV)
+ * @param {object[]} records - Records from parseImportRecords()
+ * @returns {object[]} Queries: { query, expected }
+ * @throws {HttpError} If a record has no query or no expected IDs
+ */
+function parseEvalQueries(records) {
+  if (records.length > MAX_EVAL_QUERIES) throw new HttpError(400, `An evaluation set may have at most ${MAX_EVAL_QUERIES} queries`);
+  return records.map((record, i) => {
+    const query = String(record.query ?? '').trim();
+    const raw = record.expected ?? record.expectedIds ?? [];
+    const expected = (Array.isArray(raw) ? raw : String(raw).split(/[\s,;]+/)).map(String).filter(Boolean);
+    if (!query) throw new HttpError(400, `Query ${i + 1} has no query text`);
+    if (!expected.length) throw new HttpError(400, `Query ${i + 1} has no expected IDs`);
+    return { query, expected };
+  });
+}
+
+/**
+ * Expand the search modes and alphas of an evaluation into search configurations
+ * @param {object} body - Request body with types, alphas and fusionType
+ * @returns {object[]} Configurations: { label, type, alpha, fusionType }
+ * @throws {HttpError} If a mode or alpha is invalid
+ */
+function parseEvalConfigs(body) {
+  if (body.types != null && !Array.isArray(body.types)) throw new HttpError(400, 'types must be a list of search types');
+  if (body.alphas != null && !Array.isArray(body.alphas)) throw new HttpError(400, 'alphas must be a list of numbers');
+  const types = body.types?.length ? body.types : ['hybrid'];
+  const alphas = body.alphas?.length ? body.alphas.map((a) => (typeof a === 'number' || (typeof a === 'string' && a.trim()) ? Number(a) : NaN)) : DEFAULT_EVAL_ALPHAS;
+  if (alphas.some((a) => !(Number.isFinite(a) && a >= 0 && a <= 1))) throw new HttpError(400, 'alphas must be numbers between 0 and 1');
+
+  const configs = [];
+  for (const type of types) {
+    if (!['bm25', 'hybrid', 'nearText'].includes(type)) throw new HttpError(400, `Cannot evaluate search type ${type}`);
+    if (type !== 'hybrid') {
+      configs.push({ label: type, type });
+      continue;
+    }
+    for (const alpha of alphas) {
+      configs.push({ label: `hybrid α=${alpha}`, type, alpha, fusionType: body.fusionType || undefined });
+    }
+  }
+  if (configs.length > MAX_EVAL_CONFIGS) throw new HttpError(400, `At most ${MAX_EVAL_CONFIGS} configurations per run`);
+  return configs;
+}
+
+/**
+ * Score one ranked result list against the expected IDs (binary relevance)
+ * @param {string[]} resultIds - Returned object IDs, best first
+ * @param {string[]} expected - IDs that should be found
+ * @param {number} k - Cutoff
+ * @returns {object} { recall, precision, reciprocalRank, ndcg } at k
+ */
+function scoreRanking(resultIds, expected, k) {
+  const relevant = new Set(expected);
+  const top = resultIds.slice(0, k);
+  let hits = 0;
+  let dcg = 0;
+  let firstHit = 0;
+  top.forEach((id, i) => {
+    if (!relevant.has(id)) return;
+    hits++;
+    dcg += 1 / Math.log2(i + 2);
+    if (!firstHit) firstHit = i + 1;
+  });
+
+  let idealDcg = 0;
+  for (let i = 0; i < Math.min(relevant.size, k); i++) idealDcg += 1 / Math.log2(i + 2);
+
+  return {
+    recall: hits / relevant.size,
+    precision: hits / k,
+    reciprocalRank: firstHit ? 1 / firstHit : 0,
+    ndcg: idealDcg ? dcg / idealDcg : 0,
+  };
+}
+
+/**
+ * Average per-query scores into the metrics of a configuration
+ * @param {object[]} scores - Results of scoreRanking()
+ * @returns {object} { recall, precision, mrr, ndcg }
+ */
+function meanScores(scores) {
+  const mean = (key) => (scores.length ? scores.reduce((sum, s) => sum + s[key], 0) / scores.length : 0);
+  return { recall: mean('recall'), precision: mean('precision'), mrr: mean('reciprocalRank'), ndcg: mean('ndcg') };
+}
+
+/**
+ * Validate the classes a backup or restore is limited to
+ * @param {*} include - Class names from the request body
+ * @returns {string[]|null} Class names, null for all classes
+ * @throws {HttpError} If include is not a list of class names
+ */
+function parseBackupInclude(include) {
+  if (include == null || (Array.isArray(include) && !include.length)) return null;
+  if (!Array.isArray(include) || !include.every((c) => typeof c === 'string' && CLASS_NAME_PATTERN.test(c))) {
+    throw new HttpError(400, 'include must be a list of class names');
+  }
+  return include;
+}
+
+/**
+ * Call the backup API, explaining the usual cause when the backend is not available
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {string} path - API path below /v1/backups
+ * @param {object} options - Additional fetch options
+ * @returns {Promise<object|null>} Parsed JSON response
+ * @throws {HttpError} If Weaviate rejects the request
+ */
+async function backupFetch(conn, path, options = {}) {
+  try {
+    return await weaviateFetch(conn, `/v1/backups${path}`, options);
+  } catch (e) {
+    if (e instanceof HttpError) throw e;
+    const hint = /backend|module|not (found|enabled|configured)/i.test(e.message)
+      ? '. Enable a backup module such as backup-filesystem (ENABLE_MODULES and BACKUP_FILESYSTEM_PATH) on the Weaviate server'
+      : '';
+    throw new HttpError(422, `${e.message}${hint}`);
+  }
+}
+
+/**
+ * Record a backup or restore in the local history, replacing an older entry for the same operation
+ * @param {object} entry - { profile, backend, id, operation, classes, status, started, error }
+ */
+function recordBackup(entry) {
+  const history = readStore('backups', []);
+  const same = (b) => b.profile === entry.profile && b.backend === entry.backend && b.id === entry.id && b.operation === entry.operation;
+  const existing = history.find(same);
+  const updated = [...history.filter((b) => !same(b)), { ...existing, ...entry }].slice(-MAX_BACKUP_HISTORY);
+  writeStore('backups', updated);
+}
+
+/**
+ * Add or update a migration job in the local job list
+ * @param {object} job - Job with its id and current state
+ */
+function recordMigration(job) {
+  const jobs = readStore('migrations', []);
+  writeStore('migrations', [...jobs.filter((j) => j.id !== job.id), job].slice(-MAX_MIGRATION_JOBS));
+}
+
+/**
+ * Collect the version, classes and object counts shown in the sidebar
+ * Tenant lists are fetched per multi-tenant class, then all counts are asked in one Aggregate query;
+ * a count that cannot be had is null
+ * @param {object} conn - Connection from resolveConnection()
+ * @returns {Promise<object>} { meta, classes, classDetails, total }
+ */
+async function collectInfo(conn) {
+  const [meta, schema] = await Promise.all([weaviateFetch(conn, '/v1/meta'), weaviateFetch(conn, '/v1/schema')]);
+  const classes = schema?.classes || [];
+  const classDetails = {};
+  const counts = []; // { className, tenant, target } per count in the query, target receiving it
+
+  await Promise.all(classes.map(async (c) => {
+    const className = c.class || c.name;
+    const details = {
+      name: className,
+      vectorizer: c.vectorizer || null,
+      vectorIndexType: c.vectorIndexType || null,
+      properties: Array.isArray(c.properties) ? c.properties.map((p) => p.name) : undefined,
+      count: null,
+    };
+    classDetails[className] = details;
+    if (!c.multiTenancyConfig?.enabled) {
+      counts.push({ className, tenant: null, target: details });
+      return;
+    }
+
+    try {
+      const tenants = await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}/tenants`);
+      details.tenants = (tenants || []).map((t) => ({ name: t.name, activityStatus: t.activityStatus, count: null }));
+      // inactive tenants cannot be queried
+      for (const t of details.tenants) {
+        if (['HOT', 'ACTIVE'].includes(t.activityStatus)) counts.push({ className, tenant: t.name, target: t });
+      }
+    } catch (e) {
+      console.error('tenant list error for', className, e.message);
+    }
+  }));
+
+  if (counts.length) {
+    try {
+      const data = await weaviateFetch(conn, '/v1/graphql', {
+        method: 'POST',
+        body: JSON.stringify({ query: buildCountsQuery(counts) }),
+      });
+      // a class that cannot be counted fails only its own field
+      for (const e of data?.errors || []) console.error('count error:', e.message);
+      counts.forEach((entry, i) => {
+        const count = data?.data?.Aggregate?.[`c${i}`]?.[0]?.meta?.count;
+        entry.target.count = typeof count === 'number' ? count : null;
+      });
+    } catch (e) {
+      console.error('count error:', e.message);
+    }
+  }
+
+  let total = 0;
+  for (const details of Object.values(classDetails)) {
+    if (details.tenants) details.count = details.tenants.reduce((sum, t) => sum + (t.count || 0), 0);
+    if (typeof details.count === 'number') total += details.count;
+  }
+
+  return { meta, classes: classes.map((c) => c.class || c.name), classDetails, total };
+}
+
+/**
+ * Drop the cached /info answers of an instance, after a change to its classes or objects
+ * @param {object} conn - Connection the change went to
+ */
+function invalidateInfo(conn) {
+  for (const key of infoCache.keys()) {
+    if (key.startsWith(`${conn.url} `)) infoCache.delete(key);
+  }
+}
+
+/**
+ * Ask one of Weaviate's liveness or readiness probes
+ * @param {object} conn - Connection from resolveConnection()
+ * @param {string} probe - 'live' or 'ready'
+ * @returns {Promise<boolean>} True when the probe answers with success
+ */
+async function probeWeaviate(conn, probe) {
+  try {
+    await weaviateFetch(conn, `/v1/.well-known/${probe}`);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Collect node and shard status for the health view
+ * Shard status comes from the schema shards endpoint; multi-tenant classes have one
+ * shard per tenant and are only reported through the nodes
+ * @param {object} conn - Connection from resolveConnection()
+ * @returns {Promise<object>} { live, ready, nodes, shards, errors }
+ */
+async function collectHealth(conn) {
+  const [live, ready] = await Promise.all([probeWeaviate(conn, 'live'), probeWeaviate(conn, 'ready')]);
+  const errors = [];
+
+  let nodes = [];
+  try {
+    nodes = (await weaviateFetch(conn, '/v1/nodes?output=verbose'))?.nodes || [];
+  } catch (e) {
+    errors.push(e.message);
+  }
+
+  const statuses = new Map();
+  try {
+    const classes = (await weaviateFetch(conn, '/v1/schema'))?.classes || [];
+    await Promise.all(classes.filter((c) => !c.multiTenancyConfig?.enabled).map(async (c) => {
+      try {
+        for (const shard of (await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(c.class)}/shards`)) || []) {
+          statuses.set(`${c.class}/${shard.name}`, shard);
+        }
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }));
+  } catch (e) {
+    errors.push(e.message);
+  }
+
+  const shards = [];
+  for (const node of nodes) {
+    for (const shard of node.shards || []) {
+      const status = statuses.get(`${shard.class}/${shard.name}`);
+      shards.push({
+        node: node.name,
+        class: shard.class,
+        name: shard.name,
+        objectCount: shard.objectCount ?? null,
+        status: status?.status || shard.vectorIndexingStatus || null,
+        vectorIndexingStatus: shard.vectorIndexingStatus || null,
+        vectorQueueLength: shard.vectorQueueLength ?? status?.vectorQueueSize ?? 0,
+      });
+    }
+  }
+
+  return {
+    live,
+    ready,
+    nodes: nodes.map((n) => ({
+      name: n.name,
+      status: n.status,
+      version: n.version || null,
+      objectCount: n.stats?.objectCount ?? null,
+      shardCount: n.stats?.shardCount ?? (n.shards || []).length,
+      vectorQueueLength: (n.shards || []).reduce((sum, sh) => sum + (sh.vectorQueueLength || 0), 0),
+    })),
+    shards,
+    errors,
+  };
+}
+
+/**
+ * Build GraphQL query for aggregate count
+ * @param {string} className - Weaviate class name
+ * @param {string} tenant - Tenant of a multi-tenant class
+ * @param {string} where - GraphQL where argument value, counting only matching objects
+ * @returns {string} GraphQL query string
+ */
+function buildAggregateQuery(className, tenant = null, where = null) {
+  const args = [tenantArg(tenant), where ? `where: ${where}` : null].filter(Boolean);
+  return `{
+    Aggregate {
+      ${className}${args.length ? `(${args.join(', ')})` : ''} {
+        meta { count }
+      }
+    }
+  }`;
+}
+
+/**
+ * Build one GraphQL query counting several classes or tenants
+ * Each count gets an alias (c0, c1, …), since a class counted for several tenants appears more than once
+ * @param {object[]} counts - { className, tenant } per count
+ * @returns {string} GraphQL query string
+ */
+function buildCountsQuery(counts) {
+  const fields = counts.map(({ className, tenant }, i) => (
+    `c${i}: ${className}${tenant ? `(${tenantArg(tenant)})` : ''} { meta { count } }`
+  ));
+  return `{
+    Aggregate {
+      ${fields.join('\n      ')}
+    }
+  }`;
+}
+
+const config = readConfig();
+const profiles = loadProfiles(config);
+const allowedHosts = loadAllowedHosts(config, profiles);
+const requestTimeoutMs = config.requestTimeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+const requestRetries = config.requestRetries ?? DEFAULT_REQUEST_RETRIES;
+// connections to Weaviate stay open and are reused by later requests
+const keepAliveAgents = { 'http:': new HttpAgent({ keepAlive: true }), 'https:': new HttpsAgent({ keepAlive: true }) };
+// /info answers by instance and API key: { expires, promise }
+const infoCache = new Map();
+const authConfig = config.auth || null;
+// signs CSRF tokens; sessions and tokens end with the process
+const serverSecret = randomBytes(32);
+const sessions = new Map();
+// IDs of the migration jobs running in this process; a job stored as running but not in here was interrupted
+const activeMigrations = new Set();
+
+app.use(authenticate);
+
+/* ---------- Routes ---------- */
+
+app.get("/", (req, res) => res.send(renderPage(req.user)));
+
+app.get("/login", (_, res) => {
+  if (!authConfig) return res.redirect('/');
+  res.send(renderLoginPage());
+});
+
+app.post("/login", (req, res) => {
+  if (!authConfig) return res.redirect('/');
+  const { username, password } = req.body;
+  const user = findUser(username, password);
+  if (!user) {
+    return res.status(401).send(renderLoginPage('Invalid username or password'));
+  }
+
+  for (const [id, session] of sessions) {
+    if (session.expires < Date.now()) sessions.delete(id);
+  }
+  const sid = randomBytes(32).toString('hex');
+  sessions.set(sid, { name: username, role: user.role || 'admin', expires: Date.now() + SESSION_TTL_MS });
+  res.set('Set-Cookie', `${SESSION_COOKIE}=${sid}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_TTL_MS / 1000}`);
+  res.redirect('/');
+});
+
+app.post("/logout", (req, res) => {
+  const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (sid) sessions.delete(sid);
+  res.set('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+  res.sendStatus(200);
+});
+
+app.get("/profiles", (_, res) => {
+  // names and URLs only: API keys and headers stay on the server
+  res.json([...profiles.values()].map((p) => ({ name: p.name, url: p.url })));
+});
+
+app.post("/list", asyncHandler(async (req, res) => {
+  const { class: className } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const paging = parseListPaging(req.body, classDef.properties);
+  const where = req.body.where ? buildWhereFilter(req.body.where, classDef.properties) : null;
+  const data = await weaviateFetch(conn, "/v1/graphql", {
+    method: "POST",
+    body: JSON.stringify({
+      query: buildListQuery(className, classDef.properties, paging, where, tenant),
+    }),
+  });
+  if (checkGraphQLErrors(data, '/list')) throw new HttpError(400, graphQLErrorMessage(data));
+  const objects = data?.data?.Get?.[className] ?? [];
+  res.json({ objects, next: nextListPage(paging, objects) });
+}));
+
+app.post("/add", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, properties } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!properties || typeof properties !== 'object') return res.status(400).json({ error: 'Missing properties' });
+  
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const values = coerceProperties(classDef.properties, properties);
+  if (!Object.keys(values).length) return res.status(400).json({ error: 'No property values given' });
+
+  const created = await weaviateFetch(conn, "/v1/objects", {
+    method: "POST",
+    body: JSON.stringify({
+      class: className,
+      properties: values,
+      ...(tenant ? { tenant } : {}),
+    }),
+  });
+  recordAudit(req, conn, { action: 'add', class: className, objectId: created?.id, tenant, after: created });
+  res.sendStatus(200);
+}));
+
+app.post("/delete", requireWrite, asyncHandler(async (req, res) => {
+  const { id, class: className, tenant } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!id) return res.status(400).json({ error: 'Missing object id' });
+
+  // objects of multi-tenant classes are only found by class and tenant
+  const path = className ? `/v1/objects/${encodeURIComponent(className)}/${encodeURIComponent(id)}` : `/v1/objects/${encodeURIComponent(id)}`;
+  const before = (await fetchObjectSnapshots(conn, className, [id], tenant)).get(id) || null;
+  await weaviateFetch(conn, withTenant(path, tenant), {
+    method: "DELETE",
+  });
+  recordAudit(req, conn, { action: 'delete', class: before?.class || className || null, objectId: id, tenant: tenant || null, before });
+  res.sendStatus(200);
+}));
+
+app.post("/delete/batch", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, ids } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ error: 'Missing object ids' });
+  if (ids.length > QUERY_MAXIMUM_RESULTS) return res.status(400).json({ error: `At most ${QUERY_MAXIMUM_RESULTS} objects per batch delete` });
+
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const snapshots = await fetchObjectSnapshots(conn, className, ids.map(String), tenant);
+  const result = await batchDeleteObjects(conn, className, {
+    path: ['id'],
+    operator: 'ContainsAny',
+    valueTextArray: ids.map(String),
+  }, tenant);
+  const failed = new Set(result.errors.map((e) => e.id));
+  recordAudit(req, conn, [...snapshots].filter(([id]) => !failed.has(id)).map(([id, before]) => (
+    { action: 'delete', class: className, objectId: id, tenant, before, details: { batch: true } }
+  )));
+  res.json(result);
+}));
+
+app.post("/delete/filter", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, where, expected } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!where) return res.status(400).json({ error: 'Missing filter; delete the class to remove all its objects' });
+
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const match = normalizeWhereFilter(where, classDef.properties);
+
+  // every bulk delete starts with a dry run, which counts and names the matching objects
+  const preview = await batchDeleteObjects(conn, className, match, tenant, true);
+  if (req.body.dryRun !== false) {
+    const data = await weaviateFetch(conn, "/v1/graphql", {
+      method: "POST",
+      body: JSON.stringify({
+        query: buildListQuery(className, classDef.properties, { limit: BULK_DELETE_SAMPLE }, serializeWhereFilter(match), tenant),
+      }),
+    });
+    if (checkGraphQLErrors(data, '/delete/filter')) throw new HttpError(400, graphQLErrorMessage(data));
+    return res.json({ dryRun: true, matches: preview.matches, limit: preview.limit, sample: data?.data?.Get?.[className] ?? [] });
+  }
+
+  // the count confirmed in the UI must still hold, otherwise the filter caught objects nobody has seen
+  if (Number(expected) !== preview.matches) {
+    return res.status(409).json({ error: `The filter now matches ${preview.matches} objects, not ${expected}. Preview again before deleting` });
+  }
+  const snapshots = await fetchObjectSnapshots(conn, className, preview.ids, tenant);
+  const result = await batchDeleteObjects(conn, className, match, tenant);
+  recordAudit(req, conn, result.ids.filter((id) => snapshots.has(id)).map((id) => (
+    { action: 'delete', class: className, objectId: id, tenant, before: snapshots.get(id), details: { filter: where } }
+  )));
+  const { ids, ...summary } = result;
+  res.json({ dryRun: false, ...summary });
+}));
+
+app.post("/update", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, id, properties, vector, replace } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!id) return res.status(400).json({ error: 'Missing object id' });
+  if (!properties || typeof properties !== 'object') return res.status(400).json({ error: 'Missing properties' });
+
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const body = { class: className, id, properties: coerceProperties(classDef.properties, properties) };
+  if (tenant) body.tenant = tenant;
+  const parsedVector = parseVector(vector);
+  if (parsedVector) body.vector = parsedVector;
+  const path = withTenant(`/v1/objects/${encodeURIComponent(className)}/${encodeURIComponent(id)}`, tenant);
+  const current = (await fetchObjectSnapshots(conn, className, [id], tenant)).get(id) || null;
+
+  // null clears a property; a merge cannot remove one, so the merged object is written whole instead
+  const cleared = Object.keys(properties).filter((name) => properties[name] === null);
+  const put = replace || cleared.length > 0;
+  if (!replace && cleared.length) {
+    if (!current) throw new HttpError(404, `Object ${id} not found`);
+    body.properties = { ...current.properties, ...body.properties };
+    for (const name of cleared) delete body.properties[name];
+  }
+
+  if (put) {
+    // PUT replaces the whole object: keep what the edit form cannot show (references, blobs),
+    // and the vector when there is no vectorizer to compute a new one
+    for (const p of classDef.properties || []) {
+      const hidden = isReferenceProperty(p) || propertyDataType(p) === 'blob';
+      if (hidden && current?.properties?.[p.name] !== undefined) body.properties[p.name] = current.properties[p.name];
+    }
+    const vectorizer = classDef.vectorizer || 'none';
+    if (!body.vector && vectorizer === 'none' && current?.vector) body.vector = current.vector;
+    const kept = namedVectors(classDef).filter((v) => v.vectorizer === 'none' && current?.vectors?.[v.name]);
+    if (kept.length) body.vectors = Object.fromEntries(kept.map((v) => [v.name, current.vectors[v.name]]));
+  }
+
+  await weaviateFetch(conn, path, {
+    method: put ? "PUT" : "PATCH",
+    body: JSON.stringify(body),
+  });
+  const after = (await fetchObjectSnapshots(conn, className, [id], tenant)).get(id) || null;
+  recordAudit(req, conn, { action: 'update', class: className, objectId: id, tenant, before: current, after, details: { replace: !!replace } });
+  res.sendStatus(200);
+}));
+
+app.post('/object', asyncHandler(async (req, res) => {
+  const { id, class: className } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!id) return res.status(400).json({ error: 'Missing object id' });
+
+  // referenced objects may live in a class without tenants
+  const tenant = className ? resolveTenant(await fetchClassSchema(conn, className), req.body.tenant) : req.body.tenant;
+  const path = className ? `/v1/objects/${encodeURIComponent(className)}/${encodeURIComponent(id)}` : `/v1/objects/${encodeURIComponent(id)}`;
+  let obj;
+  try {
+    obj = await weaviateFetch(conn, withTenant(`${path}?include=vector`, tenant));
+  } catch (e) {
+    obj = await weaviateFetch(conn, withTenant(path, tenant));
+  }
+
+  res.json(obj);
+}));
+
+app.post("/references/add", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, id, property, targetClass, targetId } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className || !id) return res.status(400).json({ error: 'Missing class or object id' });
+
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const beacon = referenceBeacon(classDef, property, targetClass, targetId);
+  await weaviateFetch(conn, withTenant(`/v1/objects/${encodeURIComponent(className)}/${encodeURIComponent(id)}/references/${encodeURIComponent(property)}`, tenant), {
+    method: 'POST',
+    body: JSON.stringify({ beacon }),
+  });
+  recordAudit(req, conn, { action: 'reference-add', class: className, objectId: id, tenant, details: { property, beacon } });
+  res.json({ beacon });
+}));
+
+app.post("/references/delete", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, id, property, beacon } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className || !id || !property) return res.status(400).json({ error: 'Missing class, object id or property' });
+  if (!/^weaviate:\/\//.test(beacon || '')) return res.status(400).json({ error: 'Missing beacon of the reference to remove' });
+
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  await weaviateFetch(conn, withTenant(`/v1/objects/${encodeURIComponent(className)}/${encodeURIComponent(id)}/references/${encodeURIComponent(property)}`, tenant), {
+    method: 'DELETE',
+    body: JSON.stringify({ beacon }),
+  });
+  recordAudit(req, conn, { action: 'reference-delete', class: className, objectId: id, tenant, details: { property, beacon } });
+  res.json({ ok: true });
+}));
+
+app.post("/search", asyncHandler(async (req, res) => {
+  const { class: className, where } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+
+  const classDef = await fetchClassSchema(conn, className);
+  const options = parseSearchOptions(req.body, classDef);
+  res.json(await searchObjects(conn, classDef, options, where ? buildWhereFilter(where, classDef.properties) : null));
+}));
+
+app.post("/context", asyncHandler(async (req, res) => {
+  const { class: className, where, template, hitTemplate } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (typeof template !== 'string' || !/\{\{\s*context\s*\}\}/.test(template)) {
+    return res.status(400).json({ error: 'The prompt template needs a {{context}} placeholder' });
+  }
+  if (typeof hitTemplate !== 'string' || !hitTemplate.trim()) return res.status(400).json({ error: 'Missing hit template' });
+  const budget = req.body.budget === undefined || req.body.budget === '' ? DEFAULT_CONTEXT_BUDGET : Number(req.body.budget);
+  if (!Number.isInteger(budget) || budget < 1 || budget > MAX_CONTEXT_BUDGET) {
+    return res.status(400).json({ error: `budget must be between 1 and ${MAX_CONTEXT_BUDGET}` });
+  }
+
+  const classDef = await fetchClassSchema(conn, className);
+  const options = parseSearchOptions(req.body, classDef);
+  const hits = await searchObjects(conn, classDef, options, where ? buildWhereFilter(where, classDef.properties) : null);
+  res.json({ budget, ...buildContextPrompt(hits, { template, hitTemplate, budget, query: options.query }) });
+}));
+
+app.post("/context/templates", asyncHandler(async (req, res) => {
+  const { class: className } = req.body;
+  const { templates } = readStore('context-templates', { templates: [] });
+  res.json(className ? templates.filter((t) => t.class === className) : templates);
+}));
+
+app.post("/context/templates/save", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, name, template, hitTemplate } = req.body;
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!name?.trim()) return res.status(400).json({ error: 'Missing name' });
+  if (typeof template !== 'string' || !template.trim()) return res.status(400).json({ error: 'Missing prompt template' });
+  if (typeof hitTemplate !== 'string' || !hitTemplate.trim()) return res.status(400).json({ error: 'Missing hit template' });
+  const budget = req.body.budget === undefined || req.body.budget === '' ? DEFAULT_CONTEXT_BUDGET : Number(req.body.budget);
+  if (!Number.isInteger(budget) || budget < 1 || budget > MAX_CONTEXT_BUDGET) {
+    return res.status(400).json({ error: `budget must be between 1 and ${MAX_CONTEXT_BUDGET}` });
+  }
+
+  // names are per class; saving under an existing one replaces that template
+  const store = readStore('context-templates', { templates: [] });
+  const existing = store.templates.find((t) => t.class === className && t.name === name.trim());
+  const saved = {
+    id: existing ? existing.id : randomUUID(),
+    class: className,
+    name: name.trim(),
+    template,
+    hitTemplate,
+    budget,
+    updated: new Date().toISOString(),
+  };
+  store.templates = existing ? store.templates.map((t) => (t.id === saved.id ? saved : t)) : [...store.templates, saved];
+  store.templates.sort((a, b) => a.class.localeCompare(b.class) || a.name.localeCompare(b.name));
+  writeStore('context-templates', store);
+  res.json(saved);
+}));
+
+app.post("/context/templates/delete", requireWrite, asyncHandler(async (req, res) => {
+  const { id } = req.body;
+  if (!id) return res.status(400).json({ error: 'Missing id' });
+  const store = readStore('context-templates', { templates: [] });
+  store.templates = store.templates.filter((t) => t.id !== id);
+  writeStore('context-templates', store);
+  res.json({ ok: true });
+}));
+
+app.post("/duplicates", asyncHandler(async (req, res) => {
+  const { class: className, where } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+
+  const threshold = req.body.threshold === undefined || req.body.threshold === '' ? DEFAULT_DUPLICATE_THRESHOLD : Number(req.body.threshold);
+  if (!(threshold > 0 && threshold <= 1)) return res.status(400).json({ error: 'threshold must be between 0 and 1' });
+  const vectors = req.body.vectors !== false;
+  const exact = req.body.exact !== false;
+  if (!vectors && !exact) return res.status(400).json({ error: 'Compare vectors, exact text or both' });
+  const { properties } = req.body;
+  if (properties !== undefined && !(Array.isArray(properties) && properties.every((n) => typeof n === 'string'))) {
+    return res.status(400).json({ error: 'properties must be a list of property names' });
+  }
+
+  const classDef = await fetchClassSchema(conn, className);
+  const textProperties = properties?.length ? properties : textPropertyNames(classDef.properties);
+  const unknown = textProperties.find((n) => !(classDef.properties || []).some((p) => p.name === n));
+  if (unknown) return res.status(400).json({ error: `Unknown property ${unknown}` });
+  const filter = where ? buildWhereFilter(where, classDef.properties) : null;
+  const tenant = resolveTenant(classDef, req.body.tenant);
+
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const send = startNdjsonStream(res);
+  const objects = [];
+  try {
+    const additional = vectors ? ['vector', 'creationTimeUnix'] : ['creationTimeUnix'];
+    for await (const page of walkClass(conn, className, classDef.properties, { where: filter, additional, tenant })) {
+      if (aborted) return;
+      objects.push(...page);
+      if (objects.length > MAX_DUPLICATE_SCAN) {
+        send({ type: 'error', message: `More than ${MAX_DUPLICATE_SCAN} objects, narrow the scan with a filter` });
+        return res.end();
+      }
+      send({ type: 'progress', phase: 'fetch', processed: objects.length });
+    }
+
+    const clusters = await findDuplicateClusters(objects, {
+      textProperties,
+      threshold,
+      vectors,
+      exact,
+      onProgress: (processed, total) => {
+        if (!aborted) send({ type: 'progress', phase: 'compare', processed, total });
+      },
+    });
+    if (aborted) return;
+    send({ type: 'done', scanned: objects.length, clusters });
+  } catch (e) {
+    send({ type: 'error', message: e.message });
+  }
+  res.end();
+}));
+
+app.post("/map", asyncHandler(async (req, res) => {
+  const { class: className, where } = req.body;
+  const method = req.body.method || 'pca';
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!MAP_METHODS.includes(method)) return res.status(400).json({ error: `method must be one of ${MAP_METHODS.join(', ')}` });
+
+  const maxSample = method === 'tsne' ? MAX_TSNE_POINTS : MAX_MAP_SAMPLE;
+  const sampleSize = req.body.sample === undefined || req.body.sample === '' ? Math.min(DEFAULT_MAP_SAMPLE, maxSample) : Number(req.body.sample);
+  if (!Number.isInteger(sampleSize) || sampleSize < 2 || sampleSize > maxSample) {
+    return res.status(400).json({ error: `sample must be between 2 and ${maxSample} for ${method}` });
+  }
+
+  const classDef = await fetchClassSchema(conn, className);
+  const textNames = textPropertyNames(classDef.properties);
+  const filter = where ? buildWhereFilter(where, classDef.properties) : null;
+  const tenant = resolveTenant(classDef, req.body.tenant);
+
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const send = startNdjsonStream(res);
+  try {
+    // reservoir sampling keeps an even sample of the whole walk
+    const sample = [];
+    let seen = 0;
+    const textProperties = classDef.properties.filter((p) => textNames.includes(p.name));
+    for await (const page of walkClass(conn, className, textProperties, { where: filter, additional: ['vector'], tenant })) {
+      if (aborted) return;
+      for (const obj of page) {
+        if (!obj._additional?.vector?.length) continue;
+        seen++;
+        if (sample.length < sampleSize) sample.push(obj);
+        else {
+          const slot = Math.floor(Math.random() * seen);
+          if (slot < sampleSize) sample[slot] = obj;
+        }
+      }
+      send({ type: 'progress', phase: 'fetch', processed: seen });
+    }
+
+    // objects with vectors of another length (e.g. another vectorizer) cannot share the projection
+    const dimensions = sample[0]?._additional.vector.length;
+    const objects = sample.filter((o) => o._additional.vector.length === dimensions);
+    if (objects.length < 2) {
+      send({ type: 'error', message: 'Need at least two objects with vectors' });
+      return res.end();
+    }
+
+    const vectors = objects.map((o) => unitVector(o._additional.vector) || new Float64Array(dimensions));
+    const pca = await projectPca(vectors);
+    let positions = pca.points;
+    if (method === 'tsne') {
+      positions = await projectTsne(vectors, pca.points, {
+        onProgress: (processed, total) => {
+          if (!aborted) send({ type: 'progress', phase: 'project', processed, total });
+        },
+      });
+      if (aborted) return;
+    }
+
+    send({
+      type: 'done',
+      class: className,
+      method,
+      scanned: seen,
+      points: objects.map((o, i) => ({
+        id: o._additional.id,
+        x: positions[i][0],
+        y: positions[i][1],
+        text: textNames.map((n) => [].concat(o[n] ?? []).join(', ')).filter(Boolean).join(' — ').slice(0, 300),
+      })),
+      // only PCA is a linear map that places new vectors exactly
+      projection: method === 'pca' ? { mean: pca.mean, components: pca.components } : null,
+      explained: method === 'pca' ? pca.explained : null,
+    });
+  } catch (e) {
+    send({ type: 'error', message: e.message });
+  }
+  res.end();
+}));
+
+app.post("/eval/sets", asyncHandler(async (_, res) => {
+  const { sets } = readStore('evaluations', { sets: [], runs: [] });
+  res.json(sets);
+}));
+
+app.post("/eval/sets/save", requireWrite, asyncHandler(async (req, res) => {
+  const { id, name, class: className, queries, data, format } = req.body;
+  if (!name) return res.status(400).json({ error: 'Missing name' });
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+
+  const records = typeof data === 'string' ? parseImportRecords(data, IMPORT_FORMATS.includes(format) ? format : 'jsonl') : queries;
+  if (!Array.isArray(records) || !records.length) return res.status(400).json({ error: 'Missing queries' });
+
+  const store = readStore('evaluations', { sets: [], runs: [] });
+  const existing = id && store.sets.find((s) => s.id === id);
+  const set = {
+    id: existing ? existing.id : randomUUID(),
+    name,
+    class: className,
+    queries: parseEvalQueries(records),
+    created: existing ? existing.created : new Date().toISOString(),
+    updated: new Date().toISOString(),
+  };
+  store.sets = existing ? store.sets.map((s) => (s.id === set.id ? set : s)) : [...store.sets, set];
+  writeStore('evaluations', store);
+  res.json(set);
+}));
+
+app.post("/eval/sets/delete", requireWrite, asyncHandler(async (req, res) => {
+  const { id } = req.body;
+  if (!id) return res.status(400).json({ error: 'Missing id' });
+  const store = readStore('evaluations', { sets: [], runs: [] });
+  store.sets = store.sets.filter((s) => s.id !== id);
+  store.runs = store.runs.filter((r) => r.setId !== id);
+  writeStore('evaluations', store);
+  res.json({ ok: true });
+}));
+
+app.post("/eval/runs", asyncHandler(async (req, res) => {
+  const { setId } = req.body;
+  const { runs } = readStore('evaluations', { sets: [], runs: [] });
+  res.json(runs.filter((r) => !setId || r.setId === setId));
+}));
+
+app.post("/eval/run", asyncHandler(async (req, res) => {
+  const { setId, where } = req.body;
+  const conn = resolveConnection(req.body);
+  const set = readStore('evaluations', { sets: [], runs: [] }).sets.find((s) => s.id === setId);
+  if (!set) return res.status(404).json({ error: `Unknown evaluation set ${setId}` });
+
+  const k = req.body.k === undefined || req.body.k === '' ? DEFAULT_EVAL_K : Number(req.body.k);
+  if (!Number.isInteger(k) || k < 1 || k > MAX_SEARCH_LIMIT) {
+    return res.status(400).json({ error: `k must be between 1 and ${MAX_SEARCH_LIMIT}` });
+  }
+  const configs = parseEvalConfigs(req.body);
+  const classDef = await fetchClassSchema(conn, set.class);
+  const filter = where ? buildWhereFilter(where, classDef.properties) : null;
+  const tenant = resolveTenant(classDef, req.body.tenant);
+
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const startedAt = new Date().toISOString();
+  const send = startNdjsonStream(res);
+  const total = configs.length * set.queries.length;
+  let processed = 0;
+  const results = [];
+
+  try {
+    for (const config of configs) {
+      const perQuery = [];
+      for (const { query, expected } of set.queries) {
+        if (aborted) return;
+        const options = parseSearchOptions({ ...config, query, limit: k, tenant }, classDef);
+        const objects = await searchObjects(conn, classDef, options, filter);
+        const ids = objects.map((o) => o._additional?.id);
+        perQuery.push({ query, expected, results: ids, ...scoreRanking(ids, expected, k) });
+        send({ type: 'progress', total, processed: ++processed });
+      }
+      results.push({ ...config, metrics: meanScores(perQuery), perQuery });
+    }
+  } catch (e) {
+    send({ type: 'error', message: e.message });
+    return res.end();
+  }
+
+  const run = {
+    id: randomUUID(),
+    setId: set.id,
+    setName: set.name,
+    class: set.class,
+    profile: req.body.profile || null,
+    tenant,
+    k,
+    startedAt,
+    results,
+  };
+  const store = readStore('evaluations', { sets: [], runs: [] });
+  const others = store.runs.filter((r) => r.setId !== set.id);
+  store.runs = [...others, ...store.runs.filter((r) => r.setId === set.id).slice(-(MAX_EVAL_RUNS - 1)), run];
+  writeStore('evaluations', store);
+
+  send({ type: 'done', run });
+  res.end();
+}));
+
+app.post("/import", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, format, data, mapping, rows } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!IMPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${IMPORT_FORMATS.join(', ')}` });
+  if (typeof data !== 'string') return res.status(400).json({ error: 'Missing data' });
+
+  const batchSize = req.body.batchSize === undefined ? DEFAULT_IMPORT_BATCH_SIZE : Number(req.body.batchSize);
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_IMPORT_BATCH_SIZE) {
+    return res.status(400).json({ error: `batchSize must be between 1 and ${MAX_IMPORT_BATCH_SIZE}` });
+  }
+
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const records = parseImportRecords(data, format);
+  // 1-based row numbers, so a retry can send back only the rows that failed
+  const selected = Array.isArray(rows) ? rows : records.map((_, i) => i + 1);
+
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const send = startNdjsonStream(res);
+  const progress = { type: 'progress', total: selected.length, processed: 0, imported: 0, failed: 0 };
+  const fail = (row, message) => {
+    progress.failed++;
+    send({ type: 'error', row, message });
+  };
+  let pending = [];
+
+  const flush = async () => {
+    if (!pending.length) return;
+    const batch = pending;
+    pending = [];
+    try {
+      const objects = batch.map((p) => (tenant ? { ...p.object, tenant } : p.object));
+      const errors = await batchWriteObjects(conn, objects);
+      errors.forEach((message, i) => {
+        if (message) fail(batch[i].row, message);
+        else progress.imported++;
+      });
+      recordAudit(req, conn, objects.filter((_, i) => !errors[i]).map((object) => (
+        { action: 'import', class: className, objectId: object.id, tenant, after: object }
+      )));
+    } catch (e) {
+      batch.forEach((p) => fail(p.row, e.message));
+    }
+    progress.processed += batch.length;
+    send(progress);
+  };
+
+  send(progress);
+  for (const row of selected) {
+    if (aborted) break;
+    try {
+      const record = records[row - 1];
+      if (!record) throw new HttpError(400, 'No such row');
+      const object = buildImportObject(className, classDef.properties, record, mapping);
+      // give every object its ID here, so the audit log can name the objects Weaviate created
+      object.id ||= randomUUID();
+      pending.push({ row, object });
+    } catch (e) {
+      progress.processed++;
+      fail(row, e.message);
+    }
+    if (pending.length >= batchSize) await flush();
+  }
+  if (!aborted) await flush();
+
+  send({ ...progress, type: 'done' });
+  res.end();
+}));
+
+app.post("/chunk", asyncHandler(async (req, res) => {
+  const { class: className, source, data } = req.body;
+  const conn = resolveConnection(req.body);
+  if (typeof data !== 'string' || !data.trim()) return res.status(400).json({ error: 'Missing document' });
+
+  const options = parseChunkOptions(req.body);
+  const chunks = chunkDocument(data, options);
+  if (chunks.length > MAX_DOCUMENT_CHUNKS) {
+    return res.status(400).json({ error: `The document makes ${chunks.length} chunks, at most ${MAX_DOCUMENT_CHUNKS} fit; choose a larger size` });
+  }
+
+  // chunks an ingest would replace; the source property does not exist before the first ingest
+  let existing = 0;
+  const sourceProperty = req.body.sourceProperty || DEFAULT_SOURCE_PROPERTY;
+  if (className && source) {
+    const classDef = await fetchClassSchema(conn, className);
+    if (classDef.properties?.some((p) => p.name === sourceProperty)) {
+      const tenant = resolveTenant(classDef, req.body.tenant);
+      const result = await weaviateFetch(conn, "/v1/graphql", {
+        method: "POST",
+        body: JSON.stringify({ query: buildAggregateQuery(className, tenant, serializeWhereFilter(sourceFilter(sourceProperty, source))) }),
+      });
+      if (checkGraphQLErrors(result, '/chunk')) throw new HttpError(400, graphQLErrorMessage(result));
+      existing = result?.data?.Aggregate?.[className]?.[0]?.meta?.count ?? 0;
+    }
+  }
+
+  res.json({ ...options, chunks: chunks.map((text) => ({ text, tokens: countTokens(text) })), existing });
+}));
+
+app.post("/chunk/ingest", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, source, chunks, contentProperty } = req.body;
+  const conn = resolveConnection(req.body);
+  const sourceProperty = req.body.sourceProperty || DEFAULT_SOURCE_PROPERTY;
+  const indexProperty = req.body.indexProperty || DEFAULT_CHUNK_INDEX_PROPERTY;
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (typeof source !== 'string' || !source.trim()) return res.status(400).json({ error: 'Missing source document name' });
+  if (!Array.isArray(chunks) || !chunks.length || chunks.some((c) => typeof c !== 'string' || !c.trim())) {
+    return res.status(400).json({ error: 'chunks must be a list of non-empty texts' });
+  }
+  if (chunks.length > MAX_DOCUMENT_CHUNKS) return res.status(400).json({ error: `At most ${MAX_DOCUMENT_CHUNKS} chunks per document` });
+  if (![sourceProperty, indexProperty].every((name) => PROPERTY_NAME_PATTERN.test(name))) {
+    return res.status(400).json({ error: 'Invalid source or chunk index property name' });
+  }
+  if (new Set([contentProperty, sourceProperty, indexProperty]).size < 3) {
+    return res.status(400).json({ error: 'Content, source and chunk index need three different properties' });
+  }
+
+  const classDef = await fetchClassSchema(conn, className);
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const properties = classDef.properties || [];
+  const content = properties.find((p) => p.name === contentProperty);
+  if (!content || propertyDataType(content) !== 'text') return res.status(400).json({ error: 'Pick a text property for the chunk content' });
+
+  // the source is matched exactly, so a property created here is not split into words
+  const wanted = [
+    { name: sourceProperty, dataType: ['text'], tokenization: 'field' },
+    { name: indexProperty, dataType: ['int'] },
+  ];
+  const missing = [];
+  for (const property of wanted) {
+    const existing = properties.find((p) => p.name === property.name);
+    if (!existing) missing.push(property);
+    else if (propertyDataType(existing) !== property.dataType[0]) {
+      return res.status(400).json({ error: `Property ${property.name} must be of type ${property.dataType[0]}` });
+    }
+  }
+
+  // chunks of an earlier ingest of the document, replaced once the new ones are in; with word
+  // tokenization Equal also matches other names made of the same words, so compare exactly
+  let previous = new Map();
+  if (!missing.some((p) => p.name === sourceProperty)) {
+    const match = await batchDeleteObjects(conn, className, sourceFilter(sourceProperty, source), tenant, true);
+    const snapshots = await fetchObjectSnapshots(conn, className, match.ids, tenant);
+    previous = new Map([...snapshots].filter(([, obj]) => obj.properties?.[sourceProperty] === source));
+  }
+
+  for (const property of missing) {
+    const created = await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}/properties`, {
+      method: "POST",
+      body: JSON.stringify(property),
+    });
+    recordAudit(req, conn, { action: 'property-add', class: className, after: created, details: { source } });
+  }
+
+  const objects = chunks.map((text, index) => ({
+    class: className,
+    id: randomUUID(),
+    properties: { [contentProperty]: text, [sourceProperty]: source, [indexProperty]: index },
+    ...(tenant ? { tenant } : {}),
+  }));
+  const errors = await batchWriteObjects(conn, objects);
+
+  // all chunks or none: on any failure the new chunks are removed again and the old ones stay
+  const failed = errors.filter(Boolean);
+  if (failed.length) {
+    const written = objects.filter((_, i) => !errors[i]).map((o) => o.id);
+    if (written.length) {
+      await batchDeleteObjects(conn, className, { path: ['id'], operator: 'ContainsAny', valueTextArray: written }, tenant);
+    }
+    throw new HttpError(502, `${failed.length} of ${objects.length} chunks failed, nothing was changed: ${failed[0]}`);
+  }
+  recordAudit(req, conn, objects.map((object, index) => (
+    { action: 'import', class: className, objectId: object.id, tenant, after: object, details: { source, chunk: index } }
+  )));
+
+  let replaced = 0;
+  if (previous.size) {
+    const result = await batchDeleteObjects(conn, className, {
+      path: ['id'],
+      operator: 'ContainsAny',
+      valueTextArray: [...previous.keys()],
+    }, tenant);
+    replaced = result.successful;
+    recordAudit(req, conn, result.ids.filter((id) => previous.has(id)).map((id) => (
+      { action: 'delete', class: className, objectId: id, tenant, before: previous.get(id), details: { source, replaced: true } }
+    )));
+  }
+
+  res.json({ inserted: objects.length, replaced, propertiesAdded: missing.map((p) => p.name) });
+}));
+
+app.post("/export", asyncHandler(async (req, res) => {
+  const { class: className } = req.body;
+  const format = req.body.format || 'jsonl';
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+
+  // also posted as a plain HTML form to trigger a download, so flags and filter may arrive as strings
+  const includeVectors = [true, 'true', 'on'].includes(req.body.includeVectors);
+  const includeMetadata = [true, 'true', 'on'].includes(req.body.includeMetadata);
+  let filter = req.body.where;
+  if (typeof filter === 'string') {
+    try {
+      filter = filter ? JSON.parse(filter) : null;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid where filter' });
+    }
+  }
+
+  const classDef = await fetchClassSchema(conn, className);
+  const properties = (classDef.properties || []).filter((p) => !isReferenceProperty(p) && propertyDataType(p) !== 'blob');
+  // CSV metadata columns start with _ so properties named id or vector keep their own column
+  const metadataColumns = [
+    '_id',
+    ...(includeVectors ? ['_vector'] : []),
+    ...(includeMetadata ? ['_creationTimeUnix', '_lastUpdateTimeUnix'] : []),
+  ];
+  const clash = properties.find((p) => metadataColumns.includes(p.name));
+  if (format === 'csv' && clash) {
+    return res.status(400).json({ error: `Property ${clash.name} has the name of a CSV metadata column, export as JSONL instead` });
+  }
+  const where = filter ? buildWhereFilter(filter, properties) : null;
+  const additional = [
+    ...(includeVectors ? ['vector'] : []),
+    ...(includeMetadata ? ['creationTimeUnix', 'lastUpdateTimeUnix'] : []),
+  ];
+  const tenant = resolveTenant(classDef, req.body.tenant);
+  const pages = walkClass(conn, className, properties, { where, additional, tenant });
+  // fetch the first page before answering, so an unreachable instance still gets a JSON error
+  const first = await pages.next();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="${className}.${format}"`);
+
+  const columns = [metadataColumns[0], ...properties.map((p) => p.name), ...metadataColumns.slice(1)];
+  if (format === 'csv') await writeWithBackpressure(res, columns.map(csvField).join(',') + '\r\n');
+
+  try {
+    for (let page = first; !page.done && !closed; page = await pages.next()) {
+      const lines = page.value.map((obj) => {
+        const record = toExportRecord(className, obj);
+        if (format === 'jsonl') return JSON.stringify(record) + '\n';
+        const row = {
+          ...record.properties,
+          _id: record.id,
+          _vector: record.vector,
+          _creationTimeUnix: record.creationTimeUnix,
+          _lastUpdateTimeUnix: record.lastUpdateTimeUnix,
+        };
+        return columns.map((c) => csvField(row[c])).join(',') + '\r\n';
+      });
+      await writeWithBackpressure(res, lines.join(''));
+    }
+    res.end();
+  } catch (e) {
+    // headers are sent, so fail the download instead of ending it as if it were complete
+    console.error('export error for', className, e.message);
+    res.destroy();
+  }
+}));
+
+app.post("/schema", asyncHandler(async (req, res) => {
+  const { class: className } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+
+  res.json(await fetchClassSchema(conn, className));
+}));
+
+app.post("/schema/create", requireWrite, asyncHandler(async (req, res) => {
+  const { definition } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!definition || typeof definition !== 'object') return res.status(400).json({ error: 'Missing class definition' });
+  if (!CLASS_NAME_PATTERN.test(definition.class || '')) {
+    return res.status(400).json({ error: 'Class name must start with an uppercase letter and contain only letters, digits and _' });
+  }
+  if (definition.properties != null && !Array.isArray(definition.properties)) {
+    return res.status(400).json({ error: 'properties must be a list of property definitions' });
+  }
+  const badProperty = (definition.properties || []).find((p) => !PROPERTY_NAME_PATTERN.test(p?.name || ''));
+  if (badProperty) return res.status(400).json({ error: `Invalid property name ${badProperty?.name}` });
+
+  const created = await weaviateFetch(conn, "/v1/schema", {
+    method: "POST",
+    body: JSON.stringify(definition),
+  });
+  recordAudit(req, conn, { action: 'class-create', class: definition.class, after: created });
+  res.json(created);
+}));
+
+app.post("/schema/property", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, property } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!PROPERTY_NAME_PATTERN.test(property?.name || '')) return res.status(400).json({ error: 'Invalid property name' });
+  if (!Array.isArray(property.dataType) || !property.dataType.length) return res.status(400).json({ error: 'Missing data type' });
+
+  const created = await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}/properties`, {
+    method: "POST",
+    body: JSON.stringify(property),
+  });
+  recordAudit(req, conn, { action: 'property-add', class: className, after: created });
+  res.json(created);
+}));
+
+app.post("/schema/delete", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, confirm } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (confirm !== className) return res.status(400).json({ error: 'Type the class name to confirm deletion' });
+
+  // the definition only; the objects go with the class
+  const before = await fetchClassSchema(conn, className);
+  await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}`, {
+    method: "DELETE",
+  });
+  recordAudit(req, conn, { action: 'class-delete', class: className, before });
+  res.sendStatus(200);
+}));
+
+app.post("/backups", asyncHandler(async (req, res) => {
+  const conn = resolveConnection(req.body);
+  const meta = await weaviateFetch(conn, '/v1/meta');
+  const backends = Object.keys(meta?.modules || {}).filter((m) => m.startsWith('backup-')).map((m) => m.slice(7));
+  const backend = backends.includes(req.body.backend) ? req.body.backend : backends[0];
+  if (!backend) return res.json({ backends, backend: null, backups: [] });
+
+  const backups = new Map();
+  for (const b of readStore('backups', [])) {
+    if (b.profile !== (req.body.profile || null) || b.backend !== backend || b.operation !== 'create') continue;
+    backups.set(b.id, { id: b.id, classes: b.classes, status: b.status, started: b.started, error: b.error });
+  }
+
+  let listError = null;
+  try {
+    // listing exists since Weaviate 1.27; older servers only know the backups made here
+    for (const b of (await backupFetch(conn, `/${encodeURIComponent(backend)}`)) || []) {
+      backups.set(b.id, { ...backups.get(b.id), id: b.id, classes: b.classes, status: b.status, started: b.startedAt || backups.get(b.id)?.started });
+    }
+  } catch (e) {
+    listError = e.message;
+  }
+
+  const list = [...backups.values()].sort((a, b) => String(b.started || '').localeCompare(String(a.started || '')));
+  res.json({ backends, backend, backups: list, listError });
+}));
+
+app.post("/backups/create", requireWrite, asyncHandler(async (req, res) => {
+  const { backend, id } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!backend) return res.status(400).json({ error: 'Missing backend' });
+  if (!BACKUP_ID_PATTERN.test(id || '')) return res.status(400).json({ error: 'Backup id may only use lower-case letters, digits, _ and -' });
+  const include = parseBackupInclude(req.body.include);
+
+  const status = await backupFetch(conn, `/${encodeURIComponent(backend)}`, {
+    method: 'POST',
+    body: JSON.stringify({ id, ...(include ? { include } : {}) }),
+  });
+  recordBackup({
+    profile: req.body.profile || null,
+    backend,
+    id,
+    operation: 'create',
+    classes: status?.classes || include || [],
+    status: status?.status,
+    started: new Date().toISOString(),
+  });
+  res.json(status);
+}));
+
+app.post("/backups/status", asyncHandler(async (req, res) => {
+  const { backend, id, operation = 'create' } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!backend || !id) return res.status(400).json({ error: 'Missing backend or id' });
+
+  const path = `/${encodeURIComponent(backend)}/${encodeURIComponent(id)}${operation === 'restore' ? '/restore' : ''}`;
+  const status = await backupFetch(conn, path);
+  if (BACKUP_FINAL_STATUSES.includes(status?.status)) {
+    recordBackup({ profile: req.body.profile || null, backend, id, operation, status: status.status, error: status.error || null });
+  }
+  res.json(status);
+}));
+
+app.post("/backups/restore", requireWrite, asyncHandler(async (req, res) => {
+  const { backend, id, confirm } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!backend || !id) return res.status(400).json({ error: 'Missing backend or id' });
+  if (confirm !== id) return res.status(400).json({ error: 'Type the backup id to confirm the restore' });
+  const include = parseBackupInclude(req.body.include);
+
+  // Weaviate refuses to restore over existing classes, so name them up front
+  const schema = await weaviateFetch(conn, '/v1/schema');
+  const existing = new Set((schema?.classes || []).map((c) => c.class));
+  let classes = include;
+  if (!classes) {
+    const known = readStore('backups', []).find((b) => b.backend === backend && b.id === id && b.operation === 'create');
+    classes = known?.classes || [];
+    try {
+      classes = ((await backupFetch(conn, `/${encodeURIComponent(backend)}`)) || []).find((b) => b.id === id)?.classes || classes;
+    } catch (e) {
+      // listing is not supported, rely on the local history
+    }
+  }
+  const conflicts = classes.filter((c) => existing.has(c));
+  if (conflicts.length) {
+    return res.status(409).json({ error: `Classes already exist: ${conflicts.join(', ')}. Delete them or leave them out of the restore` });
+  }
+
+  const status = await backupFetch(conn, `/${encodeURIComponent(backend)}/${encodeURIComponent(id)}/restore`, {
+    method: 'POST',
+    body: JSON.stringify(include ? { include } : {}),
+  });
+  recordBackup({
+    profile: req.body.profile || null,
+    backend,
+    id,
+    operation: 'restore',
+    classes: status?.classes || classes,
+    status: status?.status,
+    started: new Date().toISOString(),
+  });
+  recordAudit(req, conn, { action: 'backup-restore', details: { backend, id, classes: status?.classes || classes } });
+  res.json(status);
+}));
+
+app.post("/migrate", requireWrite, asyncHandler(async (req, res) => {
+  let job;
+  if (req.body.resume) {
+    job = readStore('migrations', []).find((j) => j.id === req.body.resume);
+    if (!job) return res.status(404).json({ error: 'Unknown migration job' });
+    // jobs from before failed objects were kept have only the first of them under errors
+    job.failedIds ||= job.errors.map((e) => e.id);
+    if (job.status === 'done' && !job.failedIds.length) return res.status(409).json({ error: 'This migration is complete' });
+    if (activeMigrations.has(job.id)) return res.status(409).json({ error: 'This migration is running' });
+  } else {
+    const { class: className, targetClass, mapping } = req.body;
+    if (!req.body.profile) return res.status(400).json({ error: 'Missing connection profile' });
+    if (!className) return res.status(400).json({ error: 'Missing class name' });
+    if (!CLASS_NAME_PATTERN.test(targetClass || '')) return res.status(400).json({ error: 'Invalid target class name' });
+    if (mapping && (typeof mapping !== 'object' || Object.values(mapping).some((n) => n && !PROPERTY_NAME_PATTERN.test(n)))) {
+      return res.status(400).json({ error: 'Invalid property mapping' });
+    }
+    const batchSize = req.body.batchSize === undefined ? DEFAULT_IMPORT_BATCH_SIZE : Number(req.body.batchSize);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_IMPORT_BATCH_SIZE) {
+      return res.status(400).json({ error: `batchSize must be between 1 and ${MAX_IMPORT_BATCH_SIZE}` });
+    }
+    job = {
+      id: randomUUID(),
+      user: req.user?.name || null,
+      source: { profile: req.body.profile, class: className, tenant: req.body.tenant || null },
+      target: { profile: req.body.targetProfile || req.body.profile, class: targetClass, tenant: req.body.targetTenant || req.body.tenant || null },
+      mapping: mapping || null,
+      // copied vectors are wrong for a target with another vectorizer, so they are only copied on request
+      includeVectors: req.body.includeVectors === true,
+      batchSize,
+      status: 'running',
+      after: null,
+      read: 0,
+      written: 0,
+      failed: 0,
+      failedIds: [],
+      errors: [],
+      started: new Date().toISOString(),
+    };
+  }
+
+  const sourceConn = resolveConnection({ profile: job.source.profile });
+  const targetConn = resolveConnection({ profile: job.target.profile });
+  if (job.source.url && (job.source.url !== sourceConn.url || job.target.url !== targetConn.url)) {
+    return res.status(409).json({ error: 'The profiles of this migration point at other Weaviate instances now' });
+  }
+  job.source.url = sourceConn.url;
+  job.target.url = targetConn.url;
+  if (job.source.url === job.target.url && job.source.class === job.target.class) {
+    return res.status(400).json({ error: 'Source and target are the same class' });
+  }
+
+  const sourceDef = await fetchClassSchema(sourceConn, job.source.class);
+  job.source.tenant = resolveTenant(sourceDef, job.source.tenant);
+  // every source property must land on a target property, or be left out by the mapping
+  const checkMapping = (targetProperties = []) => {
+    const names = new Set(targetProperties.map((p) => p.name));
+    const missing = (sourceDef.properties || [])
+      .map((p) => (job.mapping && p.name in job.mapping ? job.mapping[p.name] : p.name))
+      .filter((name) => name && !names.has(name));
+    if (missing.length) {
+      throw new HttpError(400, `The target class has no properties ${missing.join(', ')}; map them to others or leave them out`);
+    }
+  };
+
+  if (!req.body.resume && req.body.createTarget) {
+    const { definition } = req.body;
+    if (!definition || typeof definition !== 'object') return res.status(400).json({ error: 'Missing target class definition' });
+    if (definition.properties != null && !Array.isArray(definition.properties)) {
+      return res.status(400).json({ error: 'properties must be a list of property definitions' });
+    }
+    const badProperty = (definition.properties || []).find((p) => !PROPERTY_NAME_PATTERN.test(p?.name || ''));
+    if (badProperty) return res.status(400).json({ error: `Invalid property name ${badProperty?.name}` });
+    checkMapping(definition.properties);
+    const created = await weaviateFetch(targetConn, "/v1/schema", {
+      method: "POST",
+      body: JSON.stringify({ ...definition, class: job.target.class }),
+    });
+    recordAudit(req, targetConn, { action: 'class-create', class: job.target.class, after: created, details: { migration: job.id } });
+  }
+
+  const targetDef = await fetchClassSchema(targetConn, job.target.class);
+  checkMapping(targetDef.properties);
+  job.target.tenant = resolveTenant(targetDef, job.target.tenant);
+  if (job.target.tenant) {
+    const tenantsPath = `/v1/schema/${encodeURIComponent(job.target.class)}/tenants`;
+    const tenants = await weaviateFetch(targetConn, tenantsPath);
+    if (!(tenants || []).some((t) => t.name === job.target.tenant)) {
+      await weaviateFetch(targetConn, tenantsPath, { method: 'POST', body: JSON.stringify([{ name: job.target.tenant }]) });
+      recordAudit(req, targetConn, { action: 'tenant-create', class: job.target.class, details: { names: [job.target.tenant], migration: job.id } });
+    }
+  }
+
+  activeMigrations.add(job.id);
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const send = startNdjsonStream(res);
+  const progress = (type = 'progress') => ({ type, id: job.id, total: job.total, read: job.read, written: job.written, failed: job.failed });
+  const before = { written: job.written };
+  try {
+    job.total = await countObjects(sourceConn, job.source.class, job.source.tenant);
+    job.status = 'running';
+    delete job.error;
+    recordMigration(job);
+    send(progress());
+
+    const options = { sourceClass: job.source.class, targetClass: job.target.class, mapping: job.mapping, includeVectors: job.includeVectors, tenant: job.target.tenant };
+    // failed objects are kept by ID until a later write of them succeeds, the first messages under errors
+    const failed = new Set(job.failedIds);
+    const forget = (id) => {
+      failed.delete(id);
+      job.errors = job.errors.filter((e) => e.id !== id);
+    };
+    const save = () => {
+      job.failedIds = [...failed];
+      job.failed = failed.size;
+      job.updated = new Date().toISOString();
+      recordMigration(job);
+      send(progress());
+    };
+    const write = async (page) => {
+      if (!page.length) return;
+      const objects = page.map((obj) => migrateObject(obj, options));
+      const errors = await batchWriteObjects(targetConn, objects);
+      errors.forEach((message, i) => {
+        const { id } = objects[i];
+        forget(id);
+        if (!message) {
+          job.written++;
+          return;
+        }
+        failed.add(id);
+        if (job.errors.length < MAX_MIGRATION_ERRORS) job.errors.push({ id, message });
+        send({ type: 'error', id, message });
+      });
+    };
+
+    // a resumed job first retries the objects that failed, since the cursor is already past them
+    const retry = [...failed];
+    for (let i = 0; i < retry.length && !aborted; i += job.batchSize) {
+      const ids = retry.slice(i, i + job.batchSize);
+      const snapshots = await fetchObjectSnapshots(sourceConn, job.source.class, ids, job.source.tenant);
+      // deleted from the source since, so there is nothing left to migrate
+      ids.filter((id) => !snapshots.has(id)).forEach(forget);
+      await write([...snapshots.values()]);
+      save();
+    }
+
+    while (!aborted) {
+      const page = await fetchObjectPage(sourceConn, job.source.class, {
+        after: job.after,
+        limit: job.batchSize,
+        includeVectors: job.includeVectors,
+        tenant: job.source.tenant,
+      });
+      if (!page.length) break;
+
+      await write(page);
+      // the cursor moves past failed objects too; a resume retries them from job.failedIds
+      job.read += page.length;
+      job.after = page[page.length - 1].id;
+      save();
+      if (page.length < job.batchSize) break;
+    }
+
+    if (aborted) {
+      job.status = 'stopped';
+    } else {
+      const [source, target] = await Promise.all([
+        countObjects(sourceConn, job.source.class, job.source.tenant),
+        countObjects(targetConn, job.target.class, job.target.tenant),
+      ]);
+      job.reconciliation = { source, target };
+      job.status = 'done';
+    }
+  } catch (e) {
+    job.status = 'failed';
+    job.error = e.message;
+    send({ ...progress('failed'), message: e.message });
+  } finally {
+    activeMigrations.delete(job.id);
+    job.updated = new Date().toISOString();
+    recordMigration(job);
+    // one entry per run: the migrated objects would make the log as large as the class
+    recordAudit(req, targetConn, {
+      action: 'migrate',
+      class: job.target.class,
+      tenant: job.target.tenant,
+      details: { migration: job.id, source: job.source, status: job.status, written: job.written - before.written, failed: job.failed },
+    });
+  }
+
+  if (job.status === 'done') send({ ...progress('done'), reconciliation: job.reconciliation });
+  res.end();
+}));
+
+app.post("/migrate/jobs", asyncHandler(async (_, res) => {
+  res.json(readStore('migrations', []).map((j) => ({ ...j, active: activeMigrations.has(j.id) })).reverse());
+}));
+
+app.post("/diff/schema", asyncHandler(async (req, res) => {
+  const { source, target } = await resolveDiffSides(req.body);
+  if (!target.classDef) return res.json({ targetExists: false, differences: [], missingProperties: [] });
+
+  const targetNames = new Set((target.classDef.properties || []).map((p) => p.name));
+  res.json({
+    targetExists: true,
+    differences: diffValues(comparableSchema(source.classDef, target.class), comparableSchema(target.classDef, target.class)),
+    // the one kind of schema difference a sync can apply; other changes need a migration
+    missingProperties: (source.classDef.properties || []).filter((p) => !targetNames.has(p.name)).map((p) => p.name),
+  });
+}));
+
+app.post("/diff/schema/sync", requireWrite, asyncHandler(async (req, res) => {
+  const { properties: names } = req.body;
+  if (!Array.isArray(names) || !names.length) return res.status(400).json({ error: 'Missing properties' });
+  const { source, target } = await resolveDiffSides(req.body);
+  if (!target.classDef) {
+    return res.status(404).json({ error: `Class ${target.class} does not exist on the target; create it with a migration` });
+  }
+
+  const targetNames = new Set((target.classDef.properties || []).map((p) => p.name));
+  const properties = names.filter((name) => !targetNames.has(name)).map((name) => {
+    const property = (source.classDef.properties || []).find((p) => p.name === name);
+    if (!property) throw new HttpError(400, `Unknown property ${name}`);
+    return { ...property, dataType: (property.dataType || []).map((t) => (t === source.class ? target.class : t)) };
+  });
+  for (const property of properties) {
+    const created = await weaviateFetch(target.conn, `/v1/schema/${encodeURIComponent(target.class)}/properties`, {
+      method: "POST",
+      body: JSON.stringify(property),
+    });
+    recordAudit(req, target.conn, { action: 'property-add', class: target.class, after: created, details: { syncedFrom: source.class } });
+  }
+  res.json({ added: properties.map((p) => p.name) });
+}));
+
+app.post("/diff/objects", asyncHandler(async (req, res) => {
+  const { source, target } = await resolveDiffSides(req.body);
+  if (!target.classDef) return res.status(404).json({ error: `Class ${target.class} does not exist on the target` });
+  const includeVectors = req.body.includeVectors === true;
+
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const send = startNdjsonStream(res);
+  const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  const changes = [];
+  const note = (change) => {
+    counts[change.kind]++;
+    if (changes.length < MAX_DIFF_CHANGES) changes.push(change);
+  };
+  // objects are compared in the shape a sync would write them to the target
+  const shape = (obj, side) => migrateObject(obj, { sourceClass: side.class, targetClass: target.class, mapping: null, includeVectors, tenant: null });
+
+  try {
+    // both walks come in UUID order, so a single pass over each side pairs the objects up
+    const sourceObjects = walkObjects(source.conn, source.class, { includeVectors, tenant: source.tenant });
+    const targetObjects = walkObjects(target.conn, target.class, { includeVectors, tenant: target.tenant });
+    let a = await sourceObjects.next();
+    let b = await targetObjects.next();
+    let compared = 0;
+    while ((!a.done || !b.done) && !aborted) {
+      if (b.done || (!a.done && a.value.id < b.value.id)) {
+        note({ id: a.value.id, kind: 'added', properties: shape(a.value, source).properties });
+        a = await sourceObjects.next();
+      } else if (a.done || b.value.id < a.value.id) {
+        note({ id: b.value.id, kind: 'removed', properties: shape(b.value, target).properties });
+        b = await targetObjects.next();
+      } else {
+        const sourceObject = shape(a.value, source);
+        const targetObject = shape(b.value, target);
+        if (contentHash(sourceObject, includeVectors) === contentHash(targetObject, includeVectors)) {
+          counts.unchanged++;
+        } else {
+          note({
+            id: a.value.id,
+            kind: 'changed',
+            properties: diffValues(sourceObject.properties, targetObject.properties),
+            vectorChanged: includeVectors && diffValues([sourceObject.vector, sourceObject.vectors], [targetObject.vector, targetObject.vectors]).length > 0,
+          });
+        }
+        a = await sourceObjects.next();
+        b = await targetObjects.next();
+      }
+      if (++compared % WALK_PAGE_SIZE === 0) send({ type: 'progress', compared, ...counts });
+    }
+    send({ type: 'done', compared, ...counts, changes, truncated: changes.length < counts.added + counts.removed + counts.changed });
+  } catch (e) {
+    send({ type: 'failed', message: e.message });
+  }
+  res.end();
+}));
+
+app.post("/diff/sync", requireWrite, asyncHandler(async (req, res) => {
+  const { write, remove, includeVectors } = parseSyncRequest(req.body);
+
+  const { source, target } = await resolveDiffSides(req.body);
+  if (!target.classDef) return res.status(404).json({ error: `Class ${target.class} does not exist on the target` });
+  const details = { syncedFrom: source.class };
+
+  const [sourceObjects, before] = await Promise.all([
+    fetchObjectSnapshots(source.conn, source.class, write, source.tenant),
+    fetchObjectSnapshots(target.conn, target.class, [...write, ...remove], target.tenant),
+  ]);
+  const failed = write.filter((id) => !sourceObjects.has(id)).map((id) => ({ id, message: 'No longer in the source class' }));
+
+  // the batch API replaces objects that exist, so changed objects end up as in the source
+  const objects = write.filter((id) => sourceObjects.has(id)).map((id) => migrateObject(sourceObjects.get(id), {
+    sourceClass: source.class,
+    targetClass: target.class,
+    mapping: null,
+    includeVectors,
+    tenant: target.tenant,
+  }));
+  const errors = objects.length ? await batchWriteObjects(target.conn, objects) : [];
+  objects.forEach((object, i) => {
+    if (errors[i]) failed.push({ id: object.id, message: errors[i] });
+  });
+  recordAudit(req, target.conn, objects.filter((_, i) => !errors[i]).map((object) => (before.has(object.id)
+    ? { action: 'update', class: target.class, objectId: object.id, tenant: target.tenant, before: before.get(object.id), after: object, details }
+    : { action: 'add', class: target.class, objectId: object.id, tenant: target.tenant, after: object, details })));
+
+  let removed = 0;
+  if (remove.length) {
+    const result = await batchDeleteObjects(target.conn, target.class, { path: ['id'], operator: 'ContainsAny', valueTextArray: remove }, target.tenant);
+    removed = result.successful;
+    failed.push(...result.errors);
+    recordAudit(req, target.conn, result.ids.filter((id) => before.has(id)).map((id) => (
+      { action: 'delete', class: target.class, objectId: id, tenant: target.tenant, before: before.get(id), details }
+    )));
+  }
+
+  res.json({ written: objects.length - errors.filter(Boolean).length, removed, failed });
+}));
+
+app.post("/tenants", asyncHandler(async (req, res) => {
+  const { class: className } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+
+  const tenants = await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}/tenants`);
+  res.json((tenants || []).sort((a, b) => a.name.localeCompare(b.name)));
+}));
+
+app.post("/tenants/create", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, activityStatus = 'HOT' } = req.body;
+  const conn = resolveConnection(req.body);
+  const names = (Array.isArray(req.body.names) ? req.body.names : String(req.body.names || '').split(','))
+    .map((n) => String(n).trim()).filter(Boolean);
+  if (!className) return res.status(400).json({ error: 'Missing class name' });
+  if (!names.length) return res.status(400).json({ error: 'Missing tenant names' });
+  if (!TENANT_ACTIVITY_STATUSES.includes(activityStatus)) {
+    return res.status(400).json({ error: `activityStatus must be one of ${TENANT_ACTIVITY_STATUSES.join(', ')}` });
+  }
+
+  const created = await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}/tenants`, {
+    method: 'POST',
+    body: JSON.stringify(names.map((name) => ({ name, activityStatus }))),
+  });
+  recordAudit(req, conn, { action: 'tenant-create', class: className, details: { names, activityStatus } });
+  res.json(created);
+}));
+
+app.post("/tenants/update", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, name, activityStatus } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className || !name) return res.status(400).json({ error: 'Missing class or tenant name' });
+  if (!TENANT_ACTIVITY_STATUSES.includes(activityStatus)) {
+    return res.status(400).json({ error: `activityStatus must be one of ${TENANT_ACTIVITY_STATUSES.join(', ')}` });
+  }
+
+  const updated = await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}/tenants`, {
+    method: 'PUT',
+    body: JSON.stringify([{ name, activityStatus }]),
+  });
+  recordAudit(req, conn, { action: 'tenant-update', class: className, tenant: name, details: { activityStatus } });
+  res.json(updated);
+}));
+
+app.post("/tenants/delete", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, name, confirm } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className || !name) return res.status(400).json({ error: 'Missing class or tenant name' });
+  if (confirm !== name) return res.status(400).json({ error: 'Type the tenant name to confirm deleting it with all its objects' });
+
+  await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}/tenants`, {
+    method: 'DELETE',
+    body: JSON.stringify([name]),
+  });
+  recordAudit(req, conn, { action: 'tenant-delete', class: className, tenant: name });
+  res.json({ ok: true });
+}));
+
+app.post("/health", asyncHandler(async (req, res) => {
+  const conn = resolveConnection(req.body);
+  res.json({ ...(await collectHealth(conn)), checkedAt: new Date().toISOString() });
+}));
+
+app.post("/shards/ready", requireWrite, asyncHandler(async (req, res) => {
+  const { class: className, shard } = req.body;
+  const conn = resolveConnection(req.body);
+  if (!className || !shard) return res.status(400).json({ error: 'Missing class or shard name' });
+
+  // Weaviate marks shards READONLY e.g. when the disk filled up; they stay so until set back
+  const updated = await weaviateFetch(conn, `/v1/schema/${encodeURIComponent(className)}/shards/${encodeURIComponent(shard)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ status: 'READY' }),
+  });
+  recordAudit(req, conn, { action: 'shard-ready', class: className, details: { shard } });
+  res.json(updated);
+}));
+
+app.post("/history", asyncHandler(async (req, res) => {
+  const { class: className, action, objectId } = req.body;
+  const limit = req.body.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(req.body.limit);
+  const offset = req.body.offset ? Number(req.body.offset) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_HISTORY_LIMIT}` });
+  }
+  if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: 'offset must be a non-negative integer' });
+
+  const log = readAuditLog();
+  const undone = new Set(log.filter((e) => e.action === 'undo').map((e) => e.details?.undoOf));
+  const entries = log.reverse().filter((e) => (!className || e.class === className)
+    && (!action || e.action === action)
+    && (!objectId || e.objectId === objectId));
+  // snapshots carry vectors, /history/entry returns them one entry at a time
+  const summaries = entries.slice(offset, offset + limit).map(({ before, after, ...entry }) => ({
+    ...entry,
+    hasBefore: !!before,
+    hasAfter: !!after,
+    undone: undone.has(entry.id),
+  }));
+  res.json({ entries: summaries, total: entries.length });
+}));
+
+app.post("/history/entry", asyncHandler(async (req, res) => {
+  const entry = readAuditLog().find((e) => e.id === req.body.id);
+  if (!entry) return res.status(404).json({ error: 'No such history entry' });
+  res.json(entry);
+}));
+
+app.post("/history/undo", requireWrite, asyncHandler(async (req, res) => {
+  const conn = resolveConnection(req.body);
+  const log = readAuditLog();
+  const entry = log.find((e) => e.id === req.body.id);
+  if (!entry) return res.status(404).json({ error: 'No such history entry' });
+  if (entry.action !== 'delete' || !entry.before) return res.status(400).json({ error: 'Only deletes with a snapshot can be undone' });
+  if (entry.url !== conn.url) {
+    return res.status(409).json({ error: `The object was deleted on ${entry.url}, switch to ${entry.profile ? `profile ${entry.profile}` : 'that instance'} to undo` });
+  }
+  if (log.some((e) => e.action === 'undo' && e.details?.undoOf === entry.id)) {
+    return res.status(409).json({ error: 'This delete was undone already' });
+  }
+
+  const created = await weaviateFetch(conn, '/v1/objects', {
+    method: 'POST',
+    body: JSON.stringify(snapshotToObject(entry.before)),
+  });
+  recordAudit(req, conn, { action: 'undo', class: entry.class, objectId: entry.objectId, tenant: entry.tenant, after: created, details: { undoOf: entry.id } });
+  res.json(created);
+}));
+
+app.post("/graphql", asyncHandler(async (req, res) => {
+  const { query } = req.body;
+  const conn = resolveConnection(req.body);
+  if (typeof query !== 'string' || !query.trim()) return res.status(400).json({ error: 'Missing query' });
+  let variables;
+  try {
+    variables = typeof req.body.variables === 'string' ? (req.body.variables.trim() ? JSON.parse(req.body.variables) : undefined) : req.body.variables;
+  } catch (e) {
+    return res.status(400).json({ error: `Invalid variables JSON: ${e.message}` });
+  }
+
+  // GraphQL errors come back with the data, the console shows both
+  const started = Date.now();
+  const data = await weaviateFetch(conn, '/v1/graphql', {
+    method: 'POST',
+    body: JSON.stringify({ query, ...(variables ? { variables } : {}) }),
+  });
+  const durationMs = Date.now() - started;
+  checkGraphQLErrors(data, '/graphql');
+
+  const store = readStore('graphql', { history: [], saved: [] });
+  const entry = { url: conn.url, query, variables, time: new Date().toISOString(), durationMs, errors: data?.errors?.length || 0 };
+  const others = store.history.filter((h) => h.url !== conn.url);
+  const own = [...store.history.filter((h) => h.url === conn.url && h.query !== query), entry].slice(-MAX_GRAPHQL_HISTORY);
+  writeStore('graphql', { ...store, history: [...others, ...own] });
+
+  res.json({ data: data?.data ?? null, errors: data?.errors || [], durationMs });
+}));
+
+app.post("/graphql/schema", asyncHandler(async (req, res) => {
+  const conn = resolveConnection(req.body);
+  const schema = await weaviateFetch(conn, '/v1/schema');
+  res.json((schema?.classes || []).map((c) => ({ class: c.class, properties: (c.properties || []).map((p) => p.name) })));
+}));
+
+app.post("/graphql/history", asyncHandler(async (req, res) => {
+  const conn = resolveConnection(req.body);
+  const { history } = readStore('graphql', { history: [], saved: [] });
+  res.json(history.filter((h) => h.url === conn.url).reverse());
+}));
+
+app.post("/graphql/saved", asyncHandler(async (_, res) => {
+  res.json(readStore('graphql', { history: [], saved: [] }).saved);
+}));
+
+app.post("/graphql/saved/save", requireWrite, asyncHandler(async (req, res) => {
+  const { name, query, variables } = req.body;
+  if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Missing name' });
+  if (typeof query !== 'string' || !query.trim()) return res.status(400).json({ error: 'Missing query' });
+
+  // saving under an existing name replaces that query
+  const store = readStore('graphql', { history: [], saved: [] });
+  const existing = store.saved.find((q) => q.name === name.trim());
+  const saved = {
+    id: existing ? existing.id : randomUUID(),
+    name: name.trim(),
+    query,
+    variables: variables || '',
+    updated: new Date().toISOString(),
+  };
+  store.saved = existing ? store.saved.map((q) => (q.id === saved.id ? saved : q)) : [...store.saved, saved];
+  store.saved.sort((a, b) => a.name.localeCompare(b.name));
+  writeStore('graphql', store);
+  res.json(saved);
+}));
+
+app.post("/graphql/saved/delete", requireWrite, asyncHandler(async (req, res) => {
+  const { id } = req.body;
+  if (!id) return res.status(400).json({ error: 'Missing id' });
+  const store = readStore('graphql', { history: [], saved: [] });
+  store.saved = store.saved.filter((q) => q.id !== id);
+  writeStore('graphql', store);
+  res.json({ ok: true });
+}));
+
+app.post("/classes", asyncHandler(async (req, res) => {
+  const conn = resolveConnection(req.body);
+
+  const schema = await weaviateFetch(conn, "/v1/schema");
+  res.json((schema?.classes || []).map((c) => c.class));
+}));
+
+app.post('/info', asyncHandler(async (req, res) => {
+  const conn = resolveConnection(req.body);
+
+  const key = `${conn.url} ${conn.apiKey}`;
+  let cached = infoCache.get(key);
+  if (req.body.refresh || !cached || cached.expires < Date.now()) {
+    cached = { expires: Date.now() + INFO_CACHE_TTL_MS, fetchedAt: new Date().toISOString(), promise: collectInfo(conn) };
+    infoCache.set(key, cached);
+    // a failed answer is not reused
+    cached.promise.catch(() => {
+      if (infoCache.get(key) === cached) infoCache.delete(key);
+    });
+  }
+
+  res.json({ ...(await cached.promise), fetchedAt: cached.fetchedAt });
+}));
+
+
+/* ---------- UI ---------- */
+
+/**
+ * Render the login form used when the config enables session login
+ * @param {string} error - Message from a failed attempt
+ * @returns {string} HTML page
+ */
+function renderLoginPage(error = '') {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Weaviate RAG Admin — Sign in</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+body {
+  margin: 0;
+  min-height: 100vh;
+  display: grid;
+  place-items: center;
+  font-family: system-ui;
+  color: #fff;
+  background: linear-gradient(180deg, #1b2040, #0f1220);
+}
+
+form {
+  background: linear-gradient(180deg, #1a1e35, #171a2b);
+  border-radius: 14px;
+  padding: 24px;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+  width: 300px;
+}
+
+input, button {
+  background: #101324;
+  border: 1px solid #2a2f55;
+  color: #fff;
+  padding: 10px;
+  border-radius: 8px;
+}
+
+button {
+  background: linear-gradient(135deg, #6cf2c2, #58d8ff);
+  color: #000;
+  font-weight: 600;
+  cursor: pointer;
+}
+
+.error { color: #ff8a8a; font-size: 12px }
+</style>
+</head>
+<body>
+<form method="POST" action="/login">
+  <h2 style="margin:0">Weaviate RAG Admin</h2>
+  <input name="username" placeholder="Username" autocomplete="username" autofocus>
+  <input name="password" type="password" placeholder="Password" autocomplete="current-password">
+  <div class="error">${error}</div>
+  <button>Sign in</button>
+</form>
+</body>
+</html>`;
+}
+
+/**
+ * Render the admin UI for a user
+ * @param {object} user - User from authenticate(): { name, role, identity }
+ * @returns {string} HTML page
+ */
+function renderPage(user) {
+  // escape < so values cannot close the script tag
+  const session = JSON.stringify({
+    user: user.name,
+    role: user.role,
+    csrfToken: user.identity ? csrfTokenFor(user.identity) : '',
+    loginEnabled: Boolean(authConfig),
+  }).replace(/</g, '\\u003c');
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Weaviate RAG Admin</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+
+<style>
+:root {
+  --bg1: #1b2040;
+  --bg2: #0f1220;
+  --panel: #171a2b;
+  --accent: #6cf2c2;
+  --muted: #9aa0c3;
+}
+
+* { box-sizing: border-box }
+
+html {
+  min-height: 100%;
+}
+
+body {
+  min-height: 100%;
+  margin: 0;
+  font-family: system-ui;
+  color: #fff;
+  background: linear-gradient(180deg, var(--bg1), var(--bg2));
+  background-attachment: fixed;
+}
+
+header {
+  max-width: 1200px;
+  margin: 0 auto;
+  padding: 30px 20px 10px;
+}
+
+.app {
+  max-width: 1200px;
+  margin: 0 auto;
+  padding: 0 20px 30px;
+  display: grid;
+  grid-template-columns: 1fr 280px;
+  gap: 20px;
+}
+
+.panel {
+  background: linear-gradient(180deg, #1a1e35, var(--panel));
+  border-radius: 14px;
+  padding: 16px;
+}
+
+.sidebar {
+  align-self: start;
+  height: 100%;
+  display: flex;
+  flex-direction: column;
+  gap: 20px;
+}
+
+.sidebar > div {
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+}
+
+h1 { margin: 0 }
+
+.tabs {
+  display: flex;
+  gap: 8px;
+  margin-top: 14px;
+  flex-wrap: wrap;
+}
+
+.tabs button {
+  background: #101324;
+  color: #fff;
+}
+
+.tabs button.active {
+  background: linear-gradient(135deg, var(--accent), #58d8ff);
+  color: #000;
+}
+
+[hidden] { display: none !important }
+
+body.read-only [data-write] { display: none !important }
+h2 { margin: 0 }
+
+input, textarea, button, select {
+  background: #101324;
+  border: 1px solid #2a2f55;
+  color: #fff;
+  padding: 10px;
+  border-radius: 8px;
+}
+
+button {
+  background: linear-gradient(135deg, var(--accent), #58d8ff);
+  color: #000;
+  font-weight: 600;
+  cursor: pointer;
+  align-self: flex-start;
+}
+
+button:disabled { opacity: .5 }
+
+.col { display: flex; flex-direction: column; gap: 10px }
+.row { display: flex; gap: 10px; align-items: center }
+
+.section-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+}
+
+.list {
+  max-height: 360px;
+  overflow-y: auto;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+}
+
+.card {
+  background: #0f1328;
+  padding: 12px;
+  border-radius: 10px;
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 10px;
+}
+
+.json {
+  background: #0f1328;
+  border: 1px solid #2a2f55;
+  border-radius: 10px;
+  padding: 10px;
+  margin: 0;
+  max-height: 260px;
+  overflow: auto;
+  white-space: pre-wrap;
+  word-break: break-word;
+}
+
+.card.selected {
+  outline: 1px solid var(--accent);
+}
+
+.small { font-size: 12px; color: var(--muted) }
+
+.results > div {
+  background: #0f1328;
+  padding: 8px;
+  border-radius: 8px;
+}
+
+.filter-row {
+  background: #0f1328;
+  padding: 8px;
+  border-radius: 8px;
+  gap: 6px;
+}
+
+.filter-row select, .filter-row input { width: 100% }
+
+.reference a { color: var(--accent) }
+
+.metrics {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+}
+
+.metrics th, .metrics td {
+  text-align: left;
+  padding: 6px 8px;
+  border-bottom: 1px solid #2a2f55;
+}
+
+.metrics tr.best td { color: var(--accent) }
+
+.code {
+  font-family: ui-monospace, monospace;
+  font-size: 13px;
+}
+
+.suggestion {
+  background: #0f1328;
+  border: 1px solid #2a2f55;
+  border-radius: 6px;
+  padding: 2px 8px;
+  cursor: pointer;
+}
+
+.suggestion:first-child { border-color: var(--accent) }
+
+.metrics td.changed { background: rgba(255, 200, 80, .15) }
+
+.metrics td.bad { color: #ff8a8a }
+
+.cluster {
+  background: #0f1328;
+  border-radius: 10px;
+  padding: 12px;
+}
+
+.cluster-members {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+  gap: 10px;
+}
+
+.cluster-members > div {
+  background: #101324;
+  border: 1px solid #2a2f55;
+  border-radius: 8px;
+  padding: 8px;
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  word-break: break-word;
+}
+
+.map-wrap { position: relative }
+
+#mapCanvas {
+  width: 100%;
+  height: 520px;
+  background: #0f1328;
+  border-radius: 10px;
+  cursor: crosshair;
+}
+
+#mapTooltip {
+  position: absolute;
+  max-width: 320px;
+  background: #101324;
+  border: 1px solid #2a2f55;
+  border-radius: 8px;
+  padding: 6px 8px;
+  font-size: 12px;
+  pointer-events: none;
+}
+
+.right-align {
+  text-align: right;
+}
+
+.bold {
+	font-weight: bold;
+}
+</style>
+</head>
+
+<body>
+
+<header>
   <h1>Weaviate RAG Admin</h1>
+  <nav class="tabs">
+    <button data-view="data" class="active">Data</button>
+    <button data-view="schema">Schema</button>
+    <button data-view="map">Map</button>
+    <button data-view="eval">Evaluate</button>
+    <button data-view="cleanup">Cleanup</button>
+    <button data-view="backups">Backups</button>
+    <button data-view="migrate" data-write>Migrate</button>
+    <button data-view="diff">Diff</button>
+    <button data-view="health">Health</button>
+    <button data-view="history">History</button>
+    <button data-view="graphql">GraphQL</button>
+  </nav>
 </header>
 
-<div class="app">
+<div class="app">
+
+  <!-- LEFT -->
+  <div class="col view" data-view="data">
+
+    <div class="panel col">
+      <h2>Search</h2>
+      <div class="row">
+        <label class="col">
+          Type
+          <select id="searchType" onchange="renderSearchFields()">
+            <option value="hybrid">Hybrid</option>
+            <option value="bm25">BM25</option>
+            <option value="nearText">nearText</option>
+            <option value="nearVector">nearVector</option>
+            <option value="nearObject">nearObject</option>
+          </select>
+        </label>
+        <label id="targetVectorField" class="col" hidden>
+          Vector
+          <select id="targetVector" title="Named vector to search"></select>
+        </label>
+      	<label class="col" style="flex:1" data-search="bm25 hybrid nearText">
+      		Query
+        	<input id="searchInput" placeholder="Search…">
+        </label>
+        <label class="col" style="flex:1" data-search="nearObject">
+          Object ID
+          <input id="searchObjectId" placeholder="UUID of the object to start from">
+        </label>
+      </div>
+      <label class="col" data-search="nearVector">
+        Vector
+        <textarea id="searchVector" rows="2" placeholder="[0.1, 0.2, …] or numbers separated by commas"></textarea>
+      </label>
+      <div class="row" data-search="bm25 hybrid">
+        <label class="col" style="flex:1">
+          Properties
+          <input id="searchProperties" placeholder="All text properties, or e.g. content^2, title">
+        </label>
+      </div>
+      <div class="row" data-search="hybrid">
+		<label class="col">
+      		Alpha
+        	<input id="hybridAlpha" type="number" value="0.5" min="0" max="1" step="0.05">
+        </label>
+        <label class="col">
+          Fusion
+          <select id="fusionType">
+            <option value="">Server default</option>
+            <option value="rankedFusion">Ranked</option>
+            <option value="relativeScoreFusion">Relative score</option>
+          </select>
+        </label>
+      </div>
+      <div class="row" data-search="nearText nearVector nearObject">
+        <label class="col">
+          Threshold
+          <select id="thresholdType">
+            <option value="certainty">Certainty (min)</option>
+            <option value="distance">Distance (max)</option>
+          </select>
+        </label>
+        <label class="col">
+          Value
+          <input id="thresholdValue" type="number" step="0.05" placeholder="None">
+        </label>
+      </div>
+      <div class="row">
+        <label class="col">
+          Limit
+          <input id="searchLimit" type="number" value="${DEFAULT_SEARCH_LIMIT}" min="1" max="${MAX_SEARCH_LIMIT}">
+        </label>
+        <label class="col">
+          Offset
+          <input id="searchOffset" type="number" value="0" min="0">
+        </label>
+        <label class="col">
+          Autocut
+          <input id="searchAutocut" type="number" min="1" placeholder="Off">
+        </label>
+      </div>
+      <label class="row small">
+        <input id="contextMode" type="checkbox" onchange="contextFields.hidden = !contextMode.checked">
+        Context preview: assemble the hits into the prompt an assistant would receive
+      </label>
+      <div id="contextFields" class="col" hidden>
+        <div class="row">
+          <select id="contextSaved" title="Saved templates of this class" onchange="loadContextTemplate()"></select>
+          <input id="contextName" placeholder="Name to save the template under" style="flex:1" data-write>
+          <button onclick="saveContextTemplate()" data-write>Save</button>
+          <button id="contextDeleteBtn" onclick="deleteContextTemplate()" disabled data-write>Delete</button>
+        </div>
+        <label class="col">
+          Prompt template
+          <textarea id="contextTemplate" class="code" rows="6" spellcheck="false">${DEFAULT_CONTEXT_TEMPLATE}</textarea>
+        </label>
+        <label class="col">
+          Hit template
+          <textarea id="contextHitTemplate" class="code" rows="2" spellcheck="false">${DEFAULT_CONTEXT_HIT_TEMPLATE}</textarea>
+        </label>
+        <div id="contextPlaceholders" class="small"></div>
+        <label class="col">
+          Token budget
+          <input id="contextBudget" type="number" min="1" max="${MAX_CONTEXT_BUDGET}" value="${DEFAULT_CONTEXT_BUDGET}">
+        </label>
+      </div>
+      <div class="row right-align">
+        <button onclick="runSearch()">Go</button>
+      </div>
+      <div id="searchResults" class="results col"></div>
+    </div>
+
+    <div class="panel col">
+      <div class="section-header">
+        <h2>Stored Content</h2>
+        <button onclick="refreshList()">Refresh</button>
+      </div>
+
+      <div class="row">
+        <select id="listSort" title="Sort order"></select>
+        <select id="listLimit" title="Page size">
+          <option>20</option>
+          <option>50</option>
+          <option>100</option>
+          <option>200</option>
+        </select>
+        <label class="row small"><input id="infiniteScroll" type="checkbox"> Infinite scroll</label>
+      </div>
+
+      <div id="list" class="list"></div>
+
+      <div class="row">
+        <button id="prevPageBtn" onclick="prevPage()">Prev</button>
+        <span id="listStatus" class="small" style="flex:1"></span>
+        <button id="nextPageBtn" onclick="nextPage()">Next</button>
+      </div>
+
+      <div class="row">
+        <select id="exportFormat" title="Export format">
+          <option value="jsonl">JSONL</option>
+          <option value="csv">CSV</option>
+        </select>
+        <label class="row small"><input id="exportVectors" type="checkbox" checked> Vectors</label>
+        <label class="row small"><input id="exportMetadata" type="checkbox"> Metadata</label>
+        <label class="row small"><input id="exportFiltered" type="checkbox" checked> Apply filter</label>
+        <button onclick="exportClass()">Export</button>
+      </div>
+
+      <hr style="opacity:.2">
+
+      <div class="section-header">
+        <h3>Selected Object</h3>
+        <div class="row">
+          <button id="similarBtn" onclick="findSimilar()" disabled>Find similar</button>
+          <button id="editBtn" onclick="startEdit()" disabled data-write>Edit</button>
+        </div>
+      </div>
+      <div id="selectedMeta" class="small">Click an item to view what Weaviate is storing.</div>
+      <pre id="selectedJson" class="json"></pre>
+      <div id="selectedVectors" class="col"></div>
+      <div id="selectedReferences" class="col"></div>
+
+      <div id="editForm" class="col" hidden>
+        <div id="editFields" class="col"></div>
+        <label class="col">
+          Vector (optional)
+          <textarea id="editVector" rows="2" placeholder="Leave empty to keep the current vector"></textarea>
+        </label>
+        <div class="small">Emptying a field removes the property from the object.</div>
+        <label class="row small"><input id="editReplace" type="checkbox"> Replace the whole object (PUT) instead of merging the changes</label>
+        <div class="row">
+          <button id="saveEditBtn" onclick="saveEdit()">Save</button>
+          <button onclick="cancelEdit()">Cancel</button>
+        </div>
+        <div id="editError" class="small"></div>
+      </div>
+
+      <div class="col" data-write>
+        <hr style="opacity:.2; width:100%">
+
+        <h3>Add Entry</h3>
+        <div id="addForm" class="col"></div>
+        <div id="addError" class="small"></div>
+        <button id="addBtn" onclick="addItem()">Add</button>
+      </div>
+    </div>
+
+    <div class="panel col" data-write>
+      <h2>Import</h2>
+      <input id="importFile" type="file" accept=".jsonl,.ndjson,.json,.csv">
+      <div class="row">
+        <label class="col">
+          Format
+          <select id="importFormat">
+            <option value="jsonl">JSONL</option>
+            <option value="json">JSON array</option>
+            <option value="csv">CSV</option>
+          </select>
+        </label>
+        <label class="col">
+          Batch size
+          <input id="importBatchSize" type="number" min="1" max="${MAX_IMPORT_BATCH_SIZE}" value="${DEFAULT_IMPORT_BATCH_SIZE}">
+        </label>
+      </div>
+      <div id="importMapping" class="col"></div>
+      <div class="row">
+        <button id="importBtn" onclick="runImport()">Import</button>
+        <button id="importRetryBtn" onclick="retryImport()" disabled>Retry failed rows</button>
+      </div>
+      <progress id="importProgress" value="0" max="1" style="width:100%"></progress>
+      <div id="importStatus" class="small"></div>
+      <div id="importErrors" class="list small"></div>
+    </div>
+
+    <div class="panel col" data-write>
+      <h2>Ingest Document</h2>
+      <div class="small">Split a text, markdown or HTML document into chunks, review them, then add them to the selected class. Ingesting a document again replaces its earlier chunks.</div>
+      <input id="docFile" type="file" accept=".txt,.text,.md,.markdown,.html,.htm">
+      <div class="row">
+        <label class="col">
+          Format
+          <select id="docFormat">
+            <option value="text">Text</option>
+            <option value="markdown">Markdown</option>
+            <option value="html">HTML</option>
+          </select>
+        </label>
+        <label class="col">
+          Split by
+          <select id="docStrategy">
+            <option value="tokens">Fixed tokens with overlap</option>
+            <option value="headings">Headings</option>
+            <option value="paragraphs">Paragraphs</option>
+          </select>
+        </label>
+        <label class="col">
+          Chunk size (tokens)
+          <input id="docSize" type="number" min="1" max="${MAX_CHUNK_SIZE}" value="${DEFAULT_CHUNK_SIZE}">
+        </label>
+        <label class="col">
+          Overlap (tokens)
+          <input id="docOverlap" type="number" min="0" value="${DEFAULT_CHUNK_OVERLAP}">
+        </label>
+      </div>
+      <div class="row">
+        <label class="col">
+          Source name
+          <input id="docSource" placeholder="Document name">
+        </label>
+        <label class="col">
+          Content property
+          <select id="docContentProperty"></select>
+        </label>
+        <label class="col">
+          Source property
+          <input id="docSourceProperty" value="${DEFAULT_SOURCE_PROPERTY}">
+        </label>
+        <label class="col">
+          Chunk index property
+          <input id="docIndexProperty" value="${DEFAULT_CHUNK_INDEX_PROPERTY}">
+        </label>
+      </div>
+      <div class="row">
+        <button onclick="previewChunks()">Preview chunks</button>
+        <button id="docIngestBtn" onclick="ingestChunks()" disabled>Ingest</button>
+      </div>
+      <div id="docStatus" class="small"></div>
+      <div id="docChunks" class="list"></div>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="schema" hidden>
+
+    <div class="panel col">
+      <div class="section-header">
+        <h2>Class Definition</h2>
+        <button onclick="loadClassSchema()">Reload</button>
+      </div>
+      <pre id="schemaJson" class="json"></pre>
+    </div>
+
+    <div id="tenantsPanel" class="panel col" hidden>
+      <div class="section-header">
+        <h2>Tenants</h2>
+        <button onclick="loadTenants()">Reload</button>
+      </div>
+      <div class="small">Cold tenants keep their data on disk but cannot be read or written until they are made hot again.</div>
+      <div id="tenantList" class="col"></div>
+      <div class="row" data-write>
+        <input id="newTenantNames" placeholder="Tenant names, comma separated" style="flex:1">
+        <select id="newTenantStatus" title="Activity status">
+          ${TENANT_ACTIVITY_STATUSES.map((s) => `<option>${s}</option>`).join('')}
+        </select>
+        <button onclick="createTenants()">Add Tenants</button>
+      </div>
+      <div id="tenantStatus" class="small"></div>
+    </div>
+
+    <div class="panel col" data-write>
+      <h2>Add Property</h2>
+      <div class="row">
+        <input id="propName" placeholder="Name" style="flex:1">
+        <select id="propType" title="Data type"></select>
+        <select id="propTokenization" title="Tokenization">
+          <option>word</option>
+          <option>lowercase</option>
+          <option>whitespace</option>
+          <option>field</option>
+          <option>trigram</option>
+        </select>
+      </div>
+      <div class="row">
+        <label class="row small"><input id="propFilterable" type="checkbox" checked> Filterable</label>
+        <label class="row small"><input id="propSearchable" type="checkbox" checked> Searchable</label>
+        <label class="row small"><input id="propSkipVectorization" type="checkbox"> Skip vectorization</label>
+      </div>
+      <input id="propDescription" placeholder="Description (optional)">
+      <button onclick="addProperty()">Add Property</button>
+      <div id="propStatus" class="small"></div>
+    </div>
+
+    <div class="panel col" data-write>
+      <h2>Create Class</h2>
+      <div class="row">
+        <input id="newClassName" placeholder="ClassName" style="flex:1">
+        <input id="newClassDescription" placeholder="Description (optional)" style="flex:2">
+      </div>
+      <div class="row">
+        <label class="col">
+          Vectorizer
+          <input id="newClassVectorizer" list="vectorizerOptions" value="text2vec-transformers">
+        </label>
+        <datalist id="vectorizerOptions">
+          <option value="none">
+          <option value="text2vec-transformers">
+          <option value="text2vec-openai">
+          <option value="text2vec-cohere">
+          <option value="text2vec-ollama">
+          <option value="text2vec-huggingface">
+          <option value="multi2vec-clip">
+        </datalist>
+        <label class="col">
+          Index type
+          <select id="newClassIndexType">
+            <option>hnsw</option>
+            <option>flat</option>
+            <option>dynamic</option>
+          </select>
+        </label>
+        <label class="col">
+          Distance
+          <select id="newClassDistance">
+            <option>cosine</option>
+            <option>dot</option>
+            <option>l2-squared</option>
+            <option>hamming</option>
+            <option>manhattan</option>
+          </select>
+        </label>
+      </div>
+      <div class="row">
+        <label class="col">ef <input id="newClassEf" type="number" placeholder="-1"></label>
+        <label class="col">efConstruction <input id="newClassEfConstruction" type="number" placeholder="128"></label>
+        <label class="col">maxConnections <input id="newClassMaxConnections" type="number" placeholder="32"></label>
+      </div>
+      <label class="col">
+        Module config (JSON)
+        <textarea id="newClassModuleConfig" rows="3" placeholder='{"text2vec-transformers": {"vectorizeClassName": false}}'></textarea>
+      </label>
+      <div class="row">
+        <label class="row small"><input id="newClassTimestamps" type="checkbox" checked> Index timestamps</label>
+        <label class="row small"><input id="newClassNullState" type="checkbox"> Index null state</label>
+        <label class="row small"><input id="newClassPropertyLength" type="checkbox"> Index property length</label>
+        <label class="row small"><input id="newClassMultiTenant" type="checkbox"> Multi-tenant</label>
+      </div>
+      <div class="row">
+        <label class="col">BM25 k1 <input id="newClassK1" type="number" step="any" placeholder="1.2"></label>
+        <label class="col">BM25 b <input id="newClassB" type="number" step="any" placeholder="0.75"></label>
+      </div>
+      <label class="col">
+        Properties (one per line, name:dataType)
+        <textarea id="newClassProperties" rows="3">query:text
+content:text</textarea>
+      </label>
+      <div class="row">
+        <button onclick="previewClassDefinition()">Preview JSON</button>
+        <button onclick="createClass()">Create Class</button>
+      </div>
+      <textarea id="newClassJson" rows="10" placeholder="Class definition JSON, editable before creating"></textarea>
+      <div id="createClassStatus" class="small"></div>
+    </div>
+
+    <div class="panel col" data-write>
+      <h2>Delete Class</h2>
+      <div class="small">Deletes the selected class with all its objects. Type the class name to confirm.</div>
+      <div class="row">
+        <input id="deleteClassConfirm" placeholder="Class name" style="flex:1">
+        <button id="deleteClassBtn" onclick="deleteClass()" disabled>Delete Class</button>
+      </div>
+      <div id="deleteClassStatus" class="small"></div>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="cleanup" hidden>
+
+    <div class="panel col">
+      <h2>Duplicates</h2>
+      <div class="small">Walks the selected class and groups objects with the same text or vectors at least this similar (cosine). The oldest object of each group is kept unless you pick another.</div>
+      <div class="row">
+        <label class="col">
+          Similarity
+          <input id="dupThreshold" type="number" value="${DEFAULT_DUPLICATE_THRESHOLD}" min="0" max="1" step="0.01">
+        </label>
+        <label class="col" style="flex:1">
+          Text properties
+          <input id="dupProperties" placeholder="All text properties, or e.g. query, content">
+        </label>
+      </div>
+      <div class="row">
+        <label class="row small"><input id="dupVectors" type="checkbox" checked> Compare vectors</label>
+        <label class="row small"><input id="dupExact" type="checkbox" checked> Exact text</label>
+        <label class="row small"><input id="dupFiltered" type="checkbox"> Apply filter</label>
+      </div>
+      <div class="row">
+        <button id="dupScanBtn" onclick="scanDuplicates()">Scan</button>
+        <button id="dupDeleteAllBtn" onclick="deleteAllDuplicates()" disabled data-write>Delete all duplicates</button>
+      </div>
+      <progress id="dupProgress" value="0" max="1" style="width:100%"></progress>
+      <div id="dupStatus" class="small"></div>
+      <div id="dupClusters" class="col"></div>
+    </div>
+
+    <div class="panel col" data-write>
+      <h2>Bulk Delete</h2>
+      <div class="small">Deletes every object of the selected class that matches the filter applied in the sidebar, e.g. created before a date or with content like *pattern*. A dry run shows how many objects match and the newest of them first.</div>
+      <div class="row">
+        <button onclick="previewBulkDelete()">Preview</button>
+        <span id="bulkStatus" class="small" style="flex:1"></span>
+      </div>
+      <div id="bulkSample" class="list"></div>
+      <div class="row">
+        <input id="bulkConfirm" placeholder="Type the number of matching objects to confirm" style="flex:1" disabled>
+        <button id="bulkDeleteBtn" onclick="runBulkDelete()" disabled>Delete</button>
+      </div>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="map" hidden>
+
+    <div class="panel col">
+      <h2>Embedding Map</h2>
+      <div class="small">Projects the stored vectors of the selected class to 2D. Hover a point to read it, click it to open it in the Data tab.</div>
+      <div class="row">
+        <label class="col">
+          Projection
+          <select id="mapMethod">
+            <option value="pca">PCA</option>
+            <option value="tsne">t-SNE (up to ${MAX_TSNE_POINTS} points)</option>
+          </select>
+        </label>
+        <label class="col">
+          Sample
+          <input id="mapSample" type="number" value="${DEFAULT_MAP_SAMPLE}" min="2" max="${MAX_MAP_SAMPLE}">
+        </label>
+        <label class="row small"><input id="mapFiltered" type="checkbox"> Apply filter</label>
+      </div>
+      <div class="row">
+        <button id="mapBuildBtn" onclick="buildMap()">Build Map</button>
+        <button id="mapOverlayBtn" onclick="overlaySearch()" disabled>Overlay Search</button>
+        <button id="mapClearBtn" onclick="clearMapOverlay()" disabled>Clear Overlay</button>
+      </div>
+      <progress id="mapProgress" value="0" max="1" style="width:100%"></progress>
+      <div id="mapStatus" class="small"></div>
+      <div class="map-wrap">
+        <canvas id="mapCanvas"></canvas>
+        <div id="mapTooltip" hidden></div>
+      </div>
+      <div class="small">Overlay Search runs the query set up in the Search panel and marks its hits by rank. The query itself is placed exactly for nearVector on a PCA map and at the searched object for nearObject; otherwise it is estimated from where its hits lie.</div>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="backups" hidden>
+
+    <div class="panel col">
+      <div class="section-header">
+        <h2>Backups</h2>
+        <div class="row">
+          <select id="backupBackend" title="Backup backend" onchange="refreshBackups()"></select>
+          <button onclick="refreshBackups()">Refresh</button>
+        </div>
+      </div>
+      <div id="backupStatus" class="small"></div>
+      <div id="backupList" class="list small"></div>
+    </div>
+
+    <div class="panel col" data-write>
+      <h2>Create Backup</h2>
+      <div class="row">
+        <input id="backupId" placeholder="Backup id (lower case), generated when empty" style="flex:1">
+        <button id="backupCreateBtn" onclick="createBackup()">Create Backup</button>
+      </div>
+      <div class="small">Classes to include (none checked backs up all classes):</div>
+      <div id="backupClasses" class="row" style="flex-wrap:wrap"></div>
+    </div>
+
+    <div class="panel col" data-write>
+      <h2>Restore Backup</h2>
+      <div id="restoreInfo" class="small">Choose Restore on a backup above.</div>
+      <div id="restoreClasses" class="row" style="flex-wrap:wrap"></div>
+      <div id="restoreWarning" class="small" style="color:#ff8a8a"></div>
+      <div class="row">
+        <input id="restoreConfirm" placeholder="Type the backup id to confirm" style="flex:1" disabled>
+        <button id="restoreBtn" onclick="restoreBackup()" disabled>Restore</button>
+      </div>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="migrate" hidden>
+
+    <div class="panel col" data-write>
+      <h2>Migrate Class</h2>
+      <div class="small">Copy every object of the selected class into another class, on this or another Weaviate instance, through the batch API. Objects keep their UUIDs, so running a migration again overwrites instead of duplicating.</div>
+      <div id="migrateSource" class="bold"></div>
+      <div class="row">
+        <label class="col">
+          Target profile
+          <select id="migrateTargetProfile"></select>
+        </label>
+        <label class="col">
+          Target class
+          <input id="migrateTargetClass" placeholder="ClassName" oninput="migrateDefinitionDirty || fillMigrateDefinition()">
+        </label>
+        <label class="col">
+          Target tenant
+          <input id="migrateTargetTenant" placeholder="Same as the source">
+        </label>
+        <label class="col">
+          Batch size
+          <input id="migrateBatchSize" type="number" min="1" max="${MAX_IMPORT_BATCH_SIZE}" value="${DEFAULT_IMPORT_BATCH_SIZE}">
+        </label>
+      </div>
+      <label class="row small"><input id="migrateVectors" type="checkbox"> Copy vectors; only when the target uses the same vectorizer, otherwise it embeds the objects again</label>
+      <div class="small">Property mapping: rename properties for the target, or clear a name to leave the property out.</div>
+      <div id="migrateMapping" class="col"></div>
+      <label class="row small"><input id="migrateCreate" type="checkbox" onchange="renderMigrateDefinition()"> Create the target class from this definition</label>
+      <div id="migrateDefinitionField" class="col" hidden>
+        <textarea id="migrateDefinition" class="code" rows="14" spellcheck="false" oninput="migrateDefinitionDirty = true"></textarea>
+        <div class="row">
+          <button onclick="fillMigrateDefinition()">Fill from source</button>
+          <span class="small">The source definition with the mapping applied; change the vectorizer or index settings here.</span>
+        </div>
+      </div>
+      <div class="row">
+        <button id="migrateBtn" onclick="runMigration()">Start migration</button>
+        <button id="migrateStopBtn" onclick="stopMigration()" disabled>Stop</button>
+      </div>
+      <progress id="migrateProgress" value="0" max="1" style="width:100%"></progress>
+      <div id="migrateStatus" class="small"></div>
+      <div id="migrateErrors" class="list small"></div>
+    </div>
+
+    <div class="panel col" data-write>
+      <div class="section-header">
+        <h2>Migration Jobs</h2>
+        <button onclick="refreshMigrations()">Refresh</button>
+      </div>
+      <div class="small">A failed or stopped migration resumes after the last page it wrote.</div>
+      <div id="migrateJobs" class="list small"></div>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="diff" hidden>
+
+    <div class="panel col">
+      <h2>Compare</h2>
+      <div class="small">Compare the selected class with a class on this or another Weaviate instance, for example before promoting dev data to production. Objects are paired by UUID and compared by a hash of their content.</div>
+      <div id="diffSource" class="bold"></div>
+      <div class="row">
+        <label class="col">
+          Target profile
+          <select id="diffTargetProfile"></select>
+        </label>
+        <label class="col">
+          Target class
+          <input id="diffTargetClass" placeholder="Same as the source">
+        </label>
+        <label class="col">
+          Target tenant
+          <input id="diffTargetTenant" placeholder="Same as the source">
+        </label>
+      </div>
+      <label class="row small"><input id="diffVectors" type="checkbox"> Compare vectors too</label>
+      <div class="row">
+        <button onclick="runSchemaDiff()">Compare schema</button>
+        <button id="diffObjectsBtn" onclick="runObjectDiff()">Compare objects</button>
+      </div>
+    </div>
+
+    <div class="panel col">
+      <h2>Schema Differences</h2>
+      <div id="diffSchemaStatus" class="small">Not compared yet.</div>
+      <table class="metrics">
+        <thead><tr><th>Setting</th><th>Source</th><th>Target</th></tr></thead>
+        <tbody id="diffSchemaRows"></tbody>
+      </table>
+      <div id="diffMissingProperties" class="col small" data-write></div>
+    </div>
+
+    <div class="panel col">
+      <h2>Object Differences</h2>
+      <div id="diffObjectStatus" class="small">Not compared yet.</div>
+      <div class="row" data-write>
+        <button onclick="selectDiffChanges(true)">Select all</button>
+        <button onclick="selectDiffChanges(false)">Select none</button>
+        <label class="row small"><input id="diffSyncVectors" type="checkbox"> Copy vectors</label>
+        <button id="diffSyncBtn" onclick="syncDiffChanges()" disabled>Sync selected to target</button>
+      </div>
+      <div id="diffObjects" class="list small"></div>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="health" hidden>
+
+    <div class="panel col">
+      <div class="section-header">
+        <h2>Cluster Health</h2>
+        <div class="row">
+          <select id="healthInterval" title="Auto-refresh" onchange="scheduleHealth()">
+            <option value="0">Manual</option>
+            ${HEALTH_POLL_INTERVALS.map((ms) => `<option value="${ms}"${ms === HEALTH_POLL_MS ? ' selected' : ''}>Every ${ms / 1000} s</option>`).join('')}
+          </select>
+          <button onclick="refreshHealth()">Refresh</button>
+        </div>
+      </div>
+      <div id="healthStatus" class="small"></div>
+      <table id="healthNodes" class="metrics"></table>
+    </div>
+
+    <div class="panel col">
+      <h2>Read-only Shards</h2>
+      <div class="small">Weaviate makes shards read-only, for example when the disk runs full. Writes to them fail until they are set back to READY.</div>
+      <div id="readonlyShards" class="col"></div>
+    </div>
+
+    <div class="panel col">
+      <h2>Shards</h2>
+      <table id="healthShards" class="metrics"></table>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="history" hidden>
+
+    <div class="panel col">
+      <div class="section-header">
+        <h2>History</h2>
+        <div class="row">
+          <select id="historyClass" title="Class" onchange="refreshHistory()"></select>
+          <select id="historyAction" title="Change" onchange="refreshHistory()">
+            <option value="">All changes</option>
+            ${AUDIT_ACTIONS.map((a) => `<option>${a}</option>`).join('')}
+          </select>
+          <button onclick="refreshHistory()">Refresh</button>
+        </div>
+      </div>
+      <div class="small">Changes made through this UI, newest first. Deleted objects can be re-created with their UUID, properties and vector.</div>
+      <table id="historyTable" class="metrics"></table>
+      <div class="row">
+        <span id="historyStatus" class="small" style="flex:1"></span>
+        <button id="historyMoreBtn" onclick="refreshHistory(true)" disabled>Load more</button>
+      </div>
+    </div>
+
+    <div class="panel col">
+      <h2>Entry</h2>
+      <pre id="historyEntry" class="json">Choose Show on a change to see its before and after snapshots.</pre>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="graphql" hidden>
+
+    <div class="panel col">
+      <div class="section-header">
+        <h2>GraphQL Console</h2>
+        <div class="row">
+          <select id="gqlSaved" title="Saved queries" onchange="loadSavedQuery()"></select>
+          <button onclick="runGraphQL()">Run</button>
+        </div>
+      </div>
+      <div class="small">Queries go to the selected profile's /v1/graphql. Ctrl+Enter runs the query, Tab inserts the first suggestion.</div>
+      <textarea id="gqlEditor" class="code" rows="14" spellcheck="false"></textarea>
+      <div id="gqlSuggest" class="row small" style="flex-wrap:wrap"></div>
+      <label class="col">
+        Variables (JSON, optional)
+        <textarea id="gqlVariables" class="code" rows="2" spellcheck="false"></textarea>
+      </label>
+      <div class="row" data-write>
+        <input id="gqlName" placeholder="Name to save the query under" style="flex:1">
+        <button onclick="saveGraphQLQuery()">Save</button>
+        <button id="gqlDeleteBtn" onclick="deleteGraphQLQuery()" disabled>Delete</button>
+      </div>
+      <div id="gqlStatus" class="small"></div>
+      <div id="gqlErrors" class="col small" style="color:#ff8a8a"></div>
+      <pre id="gqlResult" class="json"></pre>
+    </div>
+
+    <div class="panel col">
+      <h2>Recent Queries</h2>
+      <div class="small">Queries run against this instance, newest first. Click one to load it.</div>
+      <div id="gqlHistory" class="list"></div>
+    </div>
+
+  </div>
+
+  <div class="col view" data-view="eval" hidden>
+
+    <div class="panel col">
+      <div class="section-header">
+        <h2>Evaluation Set</h2>
+        <select id="evalSet" onchange="selectEvalSet()"></select>
+      </div>
+      <div class="small">Test queries with the object IDs they should find, one JSON object per line, e.g. {"query": "…", "expected": ["uuid", …]}. CSV files need query and expected columns.</div>
+      <div class="row">
+        <input id="evalName" placeholder="Set name" style="flex:1">
+        <select id="evalFormat" title="Format">
+          <option value="jsonl">JSONL</option>
+          <option value="json">JSON array</option>
+          <option value="csv">CSV</option>
+        </select>
+      </div>
+      <textarea id="evalQueries" rows="8" placeholder='{"query": "turn on the kitchen lights", "expected": ["…"]}'></textarea>
+      <div class="row" data-write>
+        <input id="evalFile" type="file" accept=".jsonl,.ndjson,.json,.csv">
+        <button onclick="saveEvalSet()">Save Set</button>
+        <button id="evalDeleteBtn" onclick="deleteEvalSet()" disabled>Delete Set</button>
+      </div>
+      <div id="evalSetStatus" class="small"></div>
+    </div>
+
+    <div class="panel col">
+      <h2>Run</h2>
+      <div class="row">
+        <label class="row small"><input class="eval-type" type="checkbox" value="bm25"> BM25</label>
+        <label class="row small"><input class="eval-type" type="checkbox" value="hybrid" checked> Hybrid</label>
+        <label class="row small"><input class="eval-type" type="checkbox" value="nearText"> nearText</label>
+        <label class="row small"><input id="evalFiltered" type="checkbox"> Apply filter</label>
+      </div>
+      <div class="row">
+        <label class="col" style="flex:1">
+          Alphas
+          <input id="evalAlphas" value="${DEFAULT_EVAL_ALPHAS.join(', ')}">
+        </label>
+        <label class="col">
+          Fusion
+          <select id="evalFusion">
+            <option value="">Server default</option>
+            <option value="rankedFusion">Ranked</option>
+            <option value="relativeScoreFusion">Relative score</option>
+          </select>
+        </label>
+        <label class="col">
+          k
+          <input id="evalK" type="number" value="${DEFAULT_EVAL_K}" min="1" max="${MAX_SEARCH_LIMIT}">
+        </label>
+      </div>
+      <div class="row">
+        <button id="evalRunBtn" onclick="runEvaluation()">Run Evaluation</button>
+        <button id="evalDownloadBtn" onclick="downloadEvalRun()" disabled>Download JSON</button>
+      </div>
+      <progress id="evalProgress" value="0" max="1" style="width:100%"></progress>
+      <div id="evalStatus" class="small"></div>
+      <div id="evalResults"></div>
+    </div>
+
+    <div class="panel col">
+      <div class="section-header">
+        <h2>Past Runs</h2>
+        <button onclick="refreshEvalRuns()">Refresh</button>
+      </div>
+      <div class="small">Click a run to show it; changes are against the run before it.</div>
+      <div id="evalRuns" class="list small"></div>
+    </div>
+
+  </div>
+
+  <!-- SIDEBAR -->
+  <div class="panel sidebar">
+  <div>
+    <h2>Server</h2>
+    <select id="profile" title="Connection profile"></select>
+    <div id="profileUrl" class="small"></div>
+    <div id="userInfo" class="row small" hidden>
+      <span id="userName" style="flex:1"></span>
+      <button onclick="logout()">Log out</button>
+    </div>
+  </div>
+
+  <div>
+    <h2>Info</h2>
+    <div id="stats" class="small">-</div>
+    <div id="info" class="small">-</div>
+    <button onclick="refreshInfo(true)">Refresh counts</button>
+  </div>
+
+  <div>
+    <h2>Object Class</h2>
+    <select id="objectClass"></select>
+    <select id="tenantSelect" title="Tenant" hidden></select>
+  </div>
+
+  <div>
+    <h2>Filter</h2>
+    <label class="row small">
+      Match
+      <select id="filterCombine">
+        <option value="And">all conditions</option>
+        <option value="Or">any condition</option>
+      </select>
+    </label>
+    <div id="filterRows" class="col"></div>
+    <div class="row">
+      <button onclick="addFilterRow()">+ Condition</button>
+      <button onclick="applyFilter()">Apply</button>
+      <button onclick="clearFilter()">Clear</button>
+    </div>
+    <div id="filterStatus" class="small">No filter</div>
+  </div>
+  </div>
+
+</div>
+
+<script>
+const session = ${session};
+
+// every request from this page carries the CSRF token the server derived for this login
+const nativeFetch = window.fetch.bind(window);
+window.fetch = (url, options = {}) => nativeFetch(url, {
+  ...options,
+  headers: { ...(options.headers || {}), 'X-CSRF-Token': session.csrfToken },
+});
+
+if (session.role !== 'admin') document.body.classList.add('read-only');
+if (session.loginEnabled && session.user) {
+  userInfo.hidden = false;
+  userName.textContent = session.user + ' (' + session.role + ')';
+}
+
+async function logout() {
+  await fetch('/logout', { method: 'POST' });
+  location.href = '/login';
+}
+
+const profileSelect = document.getElementById('profile');
+const profileUrl = document.getElementById('profileUrl');
+const objectClasses = document.getElementById("objectClass");
+const tenantSelect = document.getElementById('tenantSelect');
+const searchType = document.getElementById("searchType");
+const hybridAlpha = document.getElementById('hybridAlpha');
+const statsDiv = document.getElementById('stats');
+const selectedMeta = document.getElementById('selectedMeta');
+const selectedJson = document.getElementById('selectedJson');
+const addForm = document.getElementById('addForm');
+const listDiv = document.getElementById('list');
+const filterRows = document.getElementById('filterRows');
+const filterCombine = document.getElementById('filterCombine');
+const filterStatus = document.getElementById('filterStatus');
+const listSort = document.getElementById('listSort');
+const listLimit = document.getElementById('listLimit');
+const infiniteScroll = document.getElementById('infiniteScroll');
+const listStatus = document.getElementById('listStatus');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
+const addError = document.getElementById('addError');
+let selectedId = null;
+let selectedObject = null;
+let classSchema = null;
+let addFields = [];
+let listCursor = {};   // paging options of the page shown (the first page when infinite scrolling)
+let listHistory = [];  // paging options of the pages before it, for Prev
+let listNext = null;   // paging options of the next page as returned by /list
+let listLoading = false;
+let filterConditions = []; // { element, read } per condition row in the filter builder
+let activeFilter = null;   // filter model sent as where to /list and /search
+
+// the tenant every data request targets, only for classes with multi-tenancy enabled
+const tenant = () => (classSchema?.multiTenancyConfig?.enabled ? tenantSelect.value || undefined : undefined);
+
+// API keys are kept on the server now; drop any left over from older versions
+localStorage.removeItem('weaviateApiKey');
+
+profileSelect.addEventListener('change', async () => {
+  localStorage.setItem('weaviateProfile', profileSelect.value);
+  showProfileUrl();
+  await refreshInfo();
+  await refreshClasses();
+  if (!document.querySelector('.view[data-view="graphql"]').hidden) loadGraphQLConsole();
+});
+
+objectClasses.addEventListener('change', async () => {
+  await loadClassSchema();
+  await refreshList();
+  await refreshInfo();
+});
+
+const profile = () => profileSelect.value;
+let profileList = [];
+
+function showProfileUrl() {
+  profileUrl.textContent = profileList.find((p) => p.name === profile())?.url || '';
+}
+
+async function loadProfileOptions() {
+  const res = await fetch('/profiles');
+  profileList = res.ok ? await res.json() : [];
+  profileSelect.innerHTML = '';
+  for (const p of profileList) {
+    const option = document.createElement('option');
+    option.value = p.name;
+    option.textContent = p.name;
+    profileSelect.appendChild(option);
+  }
+  const stored = localStorage.getItem('weaviateProfile');
+  if (profileList.some((p) => p.name === stored)) profileSelect.value = stored;
+  showProfileUrl();
+  if (!profileList.length) profileUrl.textContent = 'No connection profiles configured (see README)';
+}
+
+const infoDiv = document.getElementById('info');
+
+function dataTypeOf(prop) {
+  return (prop.dataType && prop.dataType[0]) || 'text';
+}
+
+// references and blobs are not selected by the server, so they are not shown or edited
+function displayedProperties() {
+  return (classSchema?.properties || []).filter((p) => {
+    const type = dataTypeOf(p);
+    return type !== 'blob' && !/^[A-Z]/.test(type);
+  });
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') {
+    if ('latitude' in value && 'longitude' in value) return value.latitude + ', ' + value.longitude;
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// renders an object's properties: the first text property as title, the rest as name: value lines
+function renderProperties(obj) {
+  const props = displayedProperties();
+  const titleProp = props.find((p) => dataTypeOf(p) === 'text');
+  const elements = [];
+
+  if (titleProp) {
+    const title = document.createElement('strong');
+    title.textContent = formatValue(obj[titleProp.name]);
+    elements.push(title);
+  }
+
+  for (const p of props) {
+    if (p === titleProp) continue;
+    const value = formatValue(obj[p.name]);
+    if (!value) continue;
+    const row = document.createElement('div');
+    row.textContent = (props.length > 2 ? p.name + ': ' : '') + value;
+    elements.push(row);
+  }
+
+  return elements;
+}
+
+function toLocalDateInput(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '';
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+}
+
+function buildPropertyInput(prop, value) {
+  const type = dataTypeOf(prop);
+  const has = value !== undefined && value !== null;
+  const label = document.createElement('label');
+  label.className = 'col';
+  label.textContent = prop.name + ' (' + type + ')';
+
+  let read;
+  if (type === 'geoCoordinates') {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const lat = document.createElement('input');
+    const lon = document.createElement('input');
+    lat.type = lon.type = 'number';
+    lat.step = lon.step = 'any';
+    lat.placeholder = 'Latitude';
+    lon.placeholder = 'Longitude';
+    if (has) {
+      lat.value = value.latitude ?? '';
+      lon.value = value.longitude ?? '';
+    }
+    row.append(lat, lon);
+    label.appendChild(row);
+    read = () => (lat.value === '' && lon.value === '') ? undefined : { latitude: lat.value, longitude: lon.value };
+  } else if (type === 'boolean') {
+    const select = document.createElement('select');
+    for (const v of ['', 'true', 'false']) {
+      const option = document.createElement('option');
+      option.value = v;
+      option.textContent = v || '-';
+      select.appendChild(option);
+    }
+    if (has) select.value = String(value);
+    label.appendChild(select);
+    read = () => select.value;
+  } else if (type === 'int' || type === 'number') {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = type === 'int' ? '1' : 'any';
+    if (has) input.value = value;
+    label.appendChild(input);
+    read = () => input.value;
+  } else if (type === 'date') {
+    const input = document.createElement('input');
+    input.type = 'datetime-local';
+    input.step = '1';
+    if (has) input.value = toLocalDateInput(value);
+    label.appendChild(input);
+    read = () => input.value ? new Date(input.value).toISOString() : '';
+  } else {
+    const input = document.createElement('textarea');
+    input.rows = type === 'text' ? 3 : 2;
+    if (type.startsWith('object')) input.placeholder = 'JSON';
+    else if (type.endsWith('[]')) input.placeholder = 'One value per line';
+    if (has) {
+      if (type.startsWith('object')) input.value = JSON.stringify(value, null, 2);
+      else if (Array.isArray(value)) input.value = value.join('\\n');
+      else input.value = typeof value === 'object' ? value.input ?? JSON.stringify(value) : value;
+    }
+    label.appendChild(input);
+    read = () => input.value;
+  }
+
+  return { name: prop.name, element: label, read };
+}
+
+function renderAddForm() {
+  addForm.innerHTML = '';
+  addFields = displayedProperties().map((p) => buildPropertyInput(p));
+  addFields.forEach((f) => addForm.appendChild(f.element));
+  addBtn.disabled = !addFields.length;
+}
+
+async function loadClassSchema() {
+  classSchema = null;
+  if (objectClasses.value) {
+    const res = await fetch('/schema', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profile: profile(), class: objectClasses.value })
+    });
+    if (res.ok) classSchema = await res.json();
+    else console.error('schema fetch error', await res.text().catch(() => res.status));
+  }
+  await loadTenants();
+  renderAddForm();
+  renderSortOptions();
+  renderImportMapping();
+  renderDocProperties();
+  loadContextTemplates();
+  renderMigrateForm();
+  renderDiffForm();
+  renderSchemaView();
+  renderTargetVectors();
+  filterRows.innerHTML = '';
+  filterConditions = [];
+  setActiveFilter(null);
+}
+
+// fills the tenant picker and the Schema tab's tenant list, keeping the chosen tenant when it still exists
+async function loadTenants() {
+  const multiTenant = !!classSchema?.multiTenancyConfig?.enabled;
+  tenantSelect.hidden = !multiTenant;
+  tenantsPanel.hidden = !multiTenant;
+  if (!multiTenant) {
+    tenantSelect.innerHTML = '';
+    tenantList.innerHTML = '';
+    return;
+  }
+
+  let tenants = [];
+  try {
+    tenants = await postJson('/tenants', { class: objectClasses.value });
+    tenantStatus.textContent = '';
+  } catch (e) {
+    tenantStatus.textContent = 'Error loading tenants: ' + e.message;
+  }
+
+  const previous = tenantSelect.value || localStorage.getItem('weaviateTenant');
+  tenantSelect.innerHTML = '';
+  for (const t of tenants) {
+    const option = document.createElement('option');
+    option.value = t.name;
+    option.textContent = t.name + (isHotTenant(t) ? '' : ' (cold)');
+    tenantSelect.appendChild(option);
+  }
+  if (tenants.some((t) => t.name === previous)) tenantSelect.value = previous;
+  if (!tenants.length) tenantStatus.textContent = 'No tenants yet. Add one to store objects in this class.';
+
+  tenantList.innerHTML = '';
+  for (const t of tenants) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const name = document.createElement('span');
+    name.textContent = t.name;
+    name.style.flex = '1';
+    const status = document.createElement('select');
+    status.dataset.write = '';
+    for (const value of ${JSON.stringify(TENANT_ACTIVITY_STATUSES)}) {
+      const option = document.createElement('option');
+      option.textContent = value;
+      status.appendChild(option);
+    }
+    status.value = isHotTenant(t) ? 'HOT' : 'COLD';
+    status.onchange = () => updateTenant(t.name, status.value);
+    const del = document.createElement('button');
+    del.dataset.write = '';
+    del.textContent = 'Delete';
+    del.onclick = () => deleteTenant(t.name);
+    row.append(name, status, del);
+    tenantList.appendChild(row);
+  }
+}
+
+// Weaviate reported ACTIVE/INACTIVE before it settled on HOT/COLD
+function isHotTenant(t) {
+  return t.activityStatus === 'HOT' || t.activityStatus === 'ACTIVE';
+}
+
+async function createTenants() {
+  tenantStatus.textContent = 'Adding…';
+  try {
+    await postJson('/tenants/create', { class: objectClasses.value, names: newTenantNames.value, activityStatus: newTenantStatus.value });
+    newTenantNames.value = '';
+    await loadTenants();
+    refreshList();
+  } catch (e) {
+    tenantStatus.textContent = 'Error adding tenants: ' + e.message;
+  }
+}
+
+async function updateTenant(name, activityStatus) {
+  tenantStatus.textContent = 'Updating ' + name + '…';
+  try {
+    await postJson('/tenants/update', { class: objectClasses.value, name, activityStatus });
+    await loadTenants();
+    refreshList();
+  } catch (e) {
+    tenantStatus.textContent = 'Error updating tenant: ' + e.message;
+  }
+}
+
+async function deleteTenant(name) {
+  const confirm = prompt('Deleting tenant ' + name + ' removes all its objects. Type the tenant name to confirm.');
+  if (confirm === null) return;
+  tenantStatus.textContent = 'Deleting ' + name + '…';
+  try {
+    await postJson('/tenants/delete', { class: objectClasses.value, name, confirm });
+    await loadTenants();
+    refreshList();
+    refreshInfo();
+  } catch (e) {
+    tenantStatus.textContent = 'Error deleting tenant: ' + e.message;
+  }
+}
+
+tenantSelect.addEventListener('change', () => {
+  localStorage.setItem('weaviateTenant', tenantSelect.value);
+  refreshList();
+});
+
+function renderSortOptions() {
+  const previous = listSort.value;
+  const options = [
+    ['_creationTimeUnix:desc', 'Newest first'],
+    ['_creationTimeUnix:asc', 'Oldest first'],
+    ['_lastUpdateTimeUnix:desc', 'Recently updated'],
+    ['${CURSOR_SORT}:asc', 'ID order (cursor, whole class)'],
+  ];
+  for (const p of displayedProperties()) {
+    const type = dataTypeOf(p);
+    if (type.endsWith('[]') || type.startsWith('object') || type === 'geoCoordinates' || type === 'phoneNumber') continue;
+    options.push([p.name + ':asc', p.name + ' ↑'], [p.name + ':desc', p.name + ' ↓']);
+  }
+
+  listSort.innerHTML = '';
+  for (const [value, text] of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    listSort.appendChild(option);
+  }
+  if (options.some(([value]) => value === previous)) listSort.value = previous;
+}
+
+function renderListItem(i) {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.style.cursor = 'pointer';
+  card.onclick = () => selectObject(i._additional?.id);
+
+  const left = document.createElement('div');
+
+  const id = document.createElement('div');
+  id.className = 'small';
+  id.textContent = i._additional.id;
+
+  left.append(id, ...renderProperties(i));
+
+  const del = document.createElement('button');
+  del.textContent = '✕';
+  del.dataset.write = '';
+  del.onclick = (e) => {
+    e.stopPropagation();
+    delItem(i._additional.id);
+  };
+
+  card.append(left, del);
+  return card;
+}
+
+async function loadListPage(cursor, append) {
+  if (!objectClasses.value) {
+    listDiv.innerHTML = '';
+    listStatus.textContent = '';
+    return;
+  }
+
+  const [sort, order] = listSort.value.split(':');
+  const limit = Number(listLimit.value);
+  listLoading = true;
+  try {
+    const res = await fetch('/list', {
+      method:'POST',
+      headers:{'Content-Type':'application/json'},
+      body:JSON.stringify({
+        profile: profile(),
+        class: objectClasses.value,
+        tenant: tenant(),
+        limit,
+        sort,
+        order,
+        where: activeFilter || undefined,
+        ...cursor
+      })
+    });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      listStatus.textContent = 'Error loading list: ' + (data.error || res.status);
+      return;
+    }
+
+    if (!append) {
+      listDiv.innerHTML = '';
+      listCursor = cursor;
+    }
+    data.objects.forEach((i) => listDiv.appendChild(renderListItem(i)));
+    listNext = data.next;
+
+    let status = infiniteScroll.checked
+      ? listDiv.children.length + ' loaded'
+      : 'Page ' + (listHistory.length + 1) + ' · ' + data.objects.length + ' shown';
+    if (!listNext && data.objects.length === limit && sort !== '${CURSOR_SORT}') {
+      status += ' · sorted listing stops at ${QUERY_MAXIMUM_RESULTS} objects, use ID order to go further';
+    }
+    listStatus.textContent = status;
+    prevPageBtn.style.display = infiniteScroll.checked ? 'none' : '';
+    prevPageBtn.disabled = !listHistory.length;
+    nextPageBtn.disabled = !listNext;
+  } finally {
+    listLoading = false;
+  }
+
+  highlightSelected();
+}
+
+function filterPaths() {
+  const paths = [
+    { name: '_id', type: 'uuid' },
+    { name: '_creationTimeUnix', type: 'date' },
+    { name: '_lastUpdateTimeUnix', type: 'date' },
+  ];
+  for (const p of displayedProperties()) {
+    const type = dataTypeOf(p);
+    if (['text', 'string', 'uuid', 'int', 'number', 'boolean', 'date'].includes(type.replace('[]', ''))) {
+      paths.push({ name: p.name, type });
+    }
+  }
+  return paths;
+}
+
+function filterOperatorsFor(path) {
+  const type = path.type;
+  let ops;
+  if (type.endsWith('[]')) ops = ['ContainsAny', 'ContainsAll', 'Equal'];
+  else if (type === 'boolean') ops = ['Equal', 'NotEqual'];
+  else if (type === 'uuid') ops = ['Equal', 'NotEqual', 'ContainsAny'];
+  else if (['int', 'number', 'date'].includes(type)) {
+    ops = ['Equal', 'NotEqual', 'GreaterThan', 'GreaterThanEqual', 'LessThan', 'LessThanEqual'];
+  } else ops = ['Equal', 'NotEqual', 'Like', 'ContainsAny'];
+  // metadata paths are never null
+  return path.name.startsWith('_') ? ops : [...ops, 'IsNull'];
+}
+
+function buildFilterValueInput(path, operator) {
+  const type = path.type.replace('[]', '');
+  if (operator === 'IsNull' || type === 'boolean') {
+    const select = document.createElement('select');
+    for (const v of ['true', 'false']) {
+      const option = document.createElement('option');
+      option.value = option.textContent = v;
+      select.appendChild(option);
+    }
+    return { element: select, read: () => select.value };
+  }
+
+  const input = document.createElement('input');
+  if (operator.startsWith('Contains')) {
+    input.placeholder = 'Values, comma separated';
+    return { element: input, read: () => input.value.split(',').map((v) => v.trim()).filter(Boolean) };
+  }
+  if (type === 'date') {
+    input.type = 'datetime-local';
+    return { element: input, read: () => input.value ? new Date(input.value).toISOString() : '' };
+  }
+  if (type === 'int' || type === 'number') {
+    input.type = 'number';
+    input.step = type === 'int' ? '1' : 'any';
+  }
+  if (operator === 'Like') input.placeholder = 'Use * and ? as wildcards';
+  return { element: input, read: () => input.value };
+}
+
+function addFilterRow() {
+  const paths = filterPaths();
+  const row = document.createElement('div');
+  row.className = 'col filter-row';
+
+  const pathSelect = document.createElement('select');
+  for (const p of paths) {
+    const option = document.createElement('option');
+    option.value = p.name;
+    option.textContent = p.name + ' (' + p.type + ')';
+    pathSelect.appendChild(option);
+  }
+
+  const top = document.createElement('div');
+  top.className = 'row';
+  const opSelect = document.createElement('select');
+  const remove = document.createElement('button');
+  remove.textContent = '✕';
+  top.append(opSelect, remove);
+
+  const valueHolder = document.createElement('div');
+  let value = null;
+
+  const currentPath = () => paths.find((p) => p.name === pathSelect.value);
+  const renderValue = () => {
+    value = buildFilterValueInput(currentPath(), opSelect.value);
+    valueHolder.innerHTML = '';
+    valueHolder.appendChild(value.element);
+  };
+  const renderOperators = () => {
+    opSelect.innerHTML = '';
+    for (const op of filterOperatorsFor(currentPath())) {
+      const option = document.createElement('option');
+      option.value = option.textContent = op;
+      opSelect.appendChild(option);
+    }
+    renderValue();
+  };
+  pathSelect.onchange = renderOperators;
+  opSelect.onchange = renderValue;
+
+  const condition = {
+    element: row,
+    read: () => ({ path: pathSelect.value, operator: opSelect.value, value: value.read() }),
+  };
+  remove.onclick = () => {
+    row.remove();
+    filterConditions = filterConditions.filter((c) => c !== condition);
+  };
+
+  row.append(pathSelect, top, valueHolder);
+  renderOperators();
+  filterRows.appendChild(row);
+  filterConditions.push(condition);
+}
+
+function setActiveFilter(filter) {
+  activeFilter = filter;
+  const count = filter ? (filter.operands ? filter.operands.length : 1) : 0;
+  filterStatus.textContent = count ? count + ' condition' + (count > 1 ? 's' : '') + ' active' : 'No filter';
+}
+
+async function applyFilter() {
+  const operands = filterConditions.map((c) => c.read());
+  if (!operands.length) setActiveFilter(null);
+  else if (operands.length === 1) setActiveFilter(operands[0]);
+  else setActiveFilter({ operator: filterCombine.value, operands });
+  await refreshList();
+}
+
+async function clearFilter() {
+  filterRows.innerHTML = '';
+  filterConditions = [];
+  setActiveFilter(null);
+  await refreshList();
+}
+
+async function refreshList() {
+  listHistory = [];
+  await loadListPage({}, false);
+  listDiv.scrollTop = 0;
+}
+
+async function nextPage() {
+  if (!listNext || listLoading) return;
+  if (infiniteScroll.checked) return loadListPage(listNext, true);
+  listHistory.push(listCursor);
+  await loadListPage(listNext, false);
+  listDiv.scrollTop = 0;
+}
+
+async function prevPage() {
+  if (!listHistory.length || listLoading) return;
+  const cursor = listHistory.pop();
+  await loadListPage(cursor, false);
+  listDiv.scrollTop = 0;
+}
+
+listDiv.addEventListener('scroll', () => {
+  if (!infiniteScroll.checked) return;
+  if (listDiv.scrollTop + listDiv.clientHeight >= listDiv.scrollHeight - 40) nextPage();
+});
+
+// submits a form so the browser handles the streamed response as a file download
+function exportClass() {
+  if (!objectClasses.value) return;
+  const fields = {
+    profile: profile(),
+    class: objectClasses.value,
+    tenant: tenant(),
+    format: exportFormat.value,
+    includeVectors: exportVectors.checked,
+    includeMetadata: exportMetadata.checked,
+    _csrf: session.csrfToken,
+    where: exportFiltered.checked && activeFilter ? JSON.stringify(activeFilter) : '',
+  };
+
+  const form = document.createElement('form');
+  form.method = 'POST';
+  form.action = '/export';
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = String(value);
+    form.appendChild(input);
+  }
+  document.body.appendChild(form);
+  form.submit();
+  form.remove();
+}
+
+listSort.addEventListener('change', refreshList);
+listLimit.addEventListener('change', refreshList);
+infiniteScroll.addEventListener('change', refreshList);
+
+function highlightSelected() {
+  const list = document.getElementById('list');
+  if (!list) return;
+  const cards = list.querySelectorAll('.card');
+  cards.forEach((c) => c.classList.remove('selected'));
+  if (!selectedId) return;
+
+  for (const card of cards) {
+    const idEl = card.querySelector('.small');
+    if (idEl && idEl.textContent === selectedId) {
+      card.classList.add('selected');
+      break;
+    }
+  }
+}
+
+// className is set when following a reference into another class
+async function selectObject(id, className = objectClasses.value) {
+  if (!id) return;
+  selectedId = id;
+  highlightSelected();
+
+  if (selectedMeta) selectedMeta.textContent = 'Loading ' + id + '…';
+  if (selectedJson) selectedJson.textContent = '';
+  selectedVectors.innerHTML = '';
+  selectedReferences.innerHTML = '';
+  selectedObject = null;
+  editBtn.disabled = true;
+  similarBtn.disabled = true;
+  cancelEdit();
+
+  try {
+    const res = await fetch('/object', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profile: profile(), class: className, tenant: tenant(), id })
+    });
+
+    if (!res.ok) {
+      const txt = await res.text().catch(() => String(res.status));
+      if (selectedMeta) selectedMeta.textContent = 'Error loading object: ' + txt;
+      return;
+    }
+
+    const obj = await res.json();
+    const cls = obj?.class || '-';
+    if (selectedMeta) selectedMeta.textContent = 'id: ' + id + ' — class: ' + cls;
+    if (selectedJson) selectedJson.textContent = JSON.stringify(obj, null, 2);
+    selectedObject = obj;
+    editBtn.disabled = false;
+    // Find similar searches the selected class, which a followed reference may have left
+    similarBtn.disabled = obj.class !== objectClasses.value;
+    const schema = obj.class === classSchema?.class ? classSchema : await postJson('/schema', { class: obj.class });
+    renderSelectedVectors(obj, schema);
+    renderSelectedReferences(obj, schema);
+  } catch (e) {
+    if (selectedMeta) selectedMeta.textContent = 'Error loading object: ' + (e?.message || String(e));
+  }
+}
+
+// one line per vector: named vectors with their vectorizer, or the class's single vector
+function renderSelectedVectors(obj, schema) {
+  const vectors = obj.vectors && Object.keys(obj.vectors).length
+    ? Object.entries(obj.vectors).map(([name, vector]) => [name, vector, Object.keys(schema?.vectorConfig?.[name]?.vectorizer || {})[0]])
+    : obj.vector ? [['default', obj.vector, schema?.vectorizer]] : [];
+  selectedVectors.innerHTML = '';
+  for (const [name, vector, vectorizer] of vectors) {
+    const line = document.createElement('div');
+    line.className = 'small';
+    line.textContent = 'Vector ' + name + ': ' + vector.length + ' dimensions, ' + (vectorizer || 'none');
+    selectedVectors.appendChild(line);
+  }
+}
+
+// beacons look like weaviate://localhost/Class/uuid, older ones leave out the class
+function parseBeacon(beacon) {
+  const match = /^weaviate:\\/\\/[^/]+\\/(?:([A-Z]\\w*)\\/)?([^/]+)$/.exec(beacon || '');
+  return match ? { className: match[1], id: decodeURIComponent(match[2]) } : null;
+}
+
+// reference properties as links to the referenced objects, with controls to add and remove references
+function renderSelectedReferences(obj, schema) {
+  selectedReferences.innerHTML = '';
+  const refProps = (schema?.properties || []).filter((p) => /^[A-Z]/.test(dataTypeOf(p)));
+  for (const prop of refProps) {
+    const section = document.createElement('div');
+    section.className = 'col';
+    const title = document.createElement('div');
+    title.className = 'small bold';
+    title.textContent = prop.name + ' → ' + prop.dataType.join(', ');
+    section.appendChild(title);
+
+    for (const ref of obj.properties?.[prop.name] || []) {
+      const target = parseBeacon(ref.beacon);
+      const row = document.createElement('div');
+      row.className = 'row small reference';
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = target ? (target.className || prop.dataType[0]) + ' ' + target.id : ref.beacon;
+      link.onclick = (e) => {
+        e.preventDefault();
+        if (target) selectObject(target.id, target.className || prop.dataType[0]);
+      };
+      link.style.flex = '1';
+      const remove = document.createElement('button');
+      remove.dataset.write = '';
+      remove.textContent = '✕';
+      remove.title = 'Remove reference';
+      remove.onclick = () => changeReference('/references/delete', { property: prop.name, beacon: ref.beacon });
+      row.append(link, remove);
+      section.appendChild(row);
+    }
+
+    const add = document.createElement('div');
+    add.className = 'row';
+    add.dataset.write = '';
+    const targetClass = document.createElement('select');
+    targetClass.title = 'Class to reference';
+    for (const type of prop.dataType) targetClass.appendChild(new Option(type, type));
+    targetClass.hidden = prop.dataType.length === 1;
+    const targetId = document.createElement('input');
+    targetId.placeholder = 'UUID of the object to reference';
+    targetId.style.flex = '1';
+    const button = document.createElement('button');
+    button.textContent = 'Add';
+    button.onclick = () => changeReference('/references/add', { property: prop.name, targetClass: targetClass.value, targetId: targetId.value.trim() });
+    add.append(targetClass, targetId, button);
+    section.appendChild(add);
+    selectedReferences.appendChild(section);
+  }
+}
+
+async function changeReference(url, body) {
+  const obj = selectedObject;
+  try {
+    await postJson(url, { class: obj.class, id: obj.id, ...body });
+  } catch (e) {
+    selectedMeta.textContent = 'Error changing reference: ' + e.message;
+    return;
+  }
+  await selectObject(obj.id, obj.class);
+}
+
+async function refreshClasses(selectClass) {
+  const res = await fetch('/classes', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ profile: profile() })
+  });
+
+  if (!res.ok) {
+  	console.error(res)
+  	return;
+  }
+
+  const items = await res.json();
+
+  objectClasses.innerHTML = "";
+
+  // populate select
+  items.forEach(item => {
+    const option = document.createElement("option");
+    option.value = item;
+    option.textContent = item;
+    objectClasses.appendChild(option);
+  });
+  if (selectClass && items.includes(selectClass)) objectClasses.value = selectClass;
+
+  await loadClassSchema();
+  await refreshList();
+  await refreshInfo();
+}
+
+// the server reuses counts for a few seconds unless refresh is set
+async function refreshInfo(refresh = false) {
+  // a line of the Info panel, with an optional bold label before the text
+  const infoLine = (label, text) => {
+    const line = document.createElement('div');
+    line.className = 'small';
+    if (label) {
+      const bold = document.createElement('span');
+      bold.className = 'bold';
+      bold.textContent = label;
+      line.append(bold, ' ');
+    }
+    line.append(text);
+    return line;
+  };
+  const showStats = (text) => {
+    if (statsDiv) statsDiv.replaceChildren(...infoLine('Objects:', text).childNodes);
+  };
+
+  if (!profile()) {
+    showStats('- (no connection profile)');
+    infoDiv.textContent = '-';
+    return;
+  }
+  const res = await fetch('/info', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ profile: profile(), refresh })
+  });
+
+  if (!res.ok) {
+    const txt = await res.text().catch(() => String(res.status));
+    infoDiv.replaceChildren(infoLine(null, 'Error fetching info: ' + txt));
+    showStats('- (error)');
+    console.error('info fetch error', txt);
+    return;
+  }
+
+  const data = await res.json();
+  const total = data.total ?? 'unknown';
+  const selectedClass = objectClasses.value;
+  const selectedCount = (data.classDetails && selectedClass && data.classDetails[selectedClass])
+    ? data.classDetails[selectedClass].count
+    : null;
+
+  const classPart = selectedClass
+    ? ' — ' + selectedClass + ': ' + (typeof selectedCount === 'number' ? selectedCount : 'unknown')
+    : '';
+  showStats(total + classPart);
+  const lines = [infoLine('Total objects:', String(total))];
+
+  if (data.classDetails && Object.keys(data.classDetails).length) {
+    const heading = infoLine('Per-class objects:', '');
+    heading.style.marginTop = '8px';
+    lines.push(heading);
+    const entries = Object.entries(data.classDetails)
+      .map(([k, v]) => [k, v?.count])
+      .sort((a, b) => {
+        const av = typeof a[1] === 'number' ? a[1] : -1;
+        const bv = typeof b[1] === 'number' ? b[1] : -1;
+        return bv - av;
+      });
+
+    for (const [k, countVal] of entries) {
+      const count = typeof countVal === 'number' ? countVal : 'unknown';
+      lines.push(infoLine(null, k + ': ' + count));
+      for (const t of data.classDetails[k].tenants || []) {
+        const tenantCount = typeof t.count === 'number' ? t.count : t.activityStatus.toLowerCase();
+        const line = infoLine(null, t.name + ': ' + tenantCount);
+        line.style.paddingLeft = '12px';
+        lines.push(line);
+      }
+    }
+  }
+
+  // also show basic meta
+  if (data.meta) {
+    const ver = (data.meta.version && data.meta.version.full) ? data.meta.version.full : JSON.stringify(data.meta.version || '-');
+    const line = infoLine(null, 'Weaviate version: ' + ver);
+    line.style.marginTop = '8px';
+    lines.push(line);
+  }
+  if (data.fetchedAt) lines.push(infoLine(null, 'Counted at ' + new Date(data.fetchedAt).toLocaleTimeString()));
+
+  infoDiv.replaceChildren(...lines);
+}
+
+async function addItem() {
+  const properties = {};
+  for (const f of addFields) {
+    const value = f.read();
+    if (value !== undefined && value !== '') properties[f.name] = value;
+  }
+
+  addBtn.disabled = true;
+  addError.textContent = '';
+  const res = await fetch('/add', {
+    method:'POST',
+    headers:{'Content-Type':'application/json'},
+    body:JSON.stringify({
+      profile: profile(),
+      tenant: tenant(),
+      properties,
+      class: objectClasses.value
+    })
+  });
+  addBtn.disabled = false;
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    addError.textContent = 'Error adding entry: ' + (err.error || res.status);
+    return;
+  }
+
+  renderAddForm();
+  refreshList();
+}
+
+const importFile = document.getElementById('importFile');
+const importFormat = document.getElementById('importFormat');
+const importMapping = document.getElementById('importMapping');
+const importProgress = document.getElementById('importProgress');
+const importStatus = document.getElementById('importStatus');
+const importErrors = document.getElementById('importErrors');
+let importText = null;
+let importColumns = [];
+let importFailedRows = [];
+
+// reads a newline-delimited JSON response, calling onEvent for each line
+async function readNdjson(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf('\\n')) >= 0) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (line) onEvent(JSON.parse(line));
+    }
+  }
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
+
+// header fields of a CSV file; quoted commas are respected, line breaks in header cells are not
+function csvHeader(text) {
+  const line = text.replace(/^\\uFEFF/, '').split(/\\r?\\n/)[0] || '';
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"' && inQuotes && line[i + 1] === '"') { field += '"'; i++; }
+    else if (c === '"') inQuotes = !inQuotes;
+    else if (c === ',' && !inQuotes) { fields.push(field.trim()); field = ''; }
+    else field += c;
+  }
+  fields.push(field.trim());
+  return fields.filter(Boolean);
+}
+
+function renderImportMapping() {
+  importMapping.innerHTML = '';
+  importColumns = importFormat.value === 'csv' && importText ? csvHeader(importText) : [];
+  if (!importColumns.length) return;
+
+  const heading = document.createElement('div');
+  heading.className = 'small';
+  heading.textContent = 'Column mapping';
+  importMapping.appendChild(heading);
+
+  const targets = [['', '(skip)'], ['_id', 'UUID'], ['_vector', 'Vector']]
+    .concat(displayedProperties().map((p) => [p.name, p.name + ' (' + dataTypeOf(p) + ')']));
+
+  for (const column of importColumns) {
+    const label = document.createElement('label');
+    label.className = 'row small';
+    label.textContent = column + ' →';
+    const select = document.createElement('select');
+    select.dataset.column = column;
+    for (const [value, text] of targets) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    const guess = column === 'id' ? '_id' : column === 'vector' ? '_vector' : column;
+    if (targets.some(([value]) => value === guess)) select.value = guess;
+    label.appendChild(select);
+    importMapping.appendChild(label);
+  }
+}
+
+importFile.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  importText = file ? await file.text() : null;
+  importFailedRows = [];
+  importRetryBtn.disabled = true;
+  importErrors.innerHTML = '';
+  importStatus.textContent = '';
+  if (file) {
+    const name = file.name.toLowerCase();
+    importFormat.value = name.endsWith('.csv') ? 'csv' : name.endsWith('.json') ? 'json' : 'jsonl';
+  }
+  renderImportMapping();
+});
+importFormat.addEventListener('change', renderImportMapping);
+
+async function runImport(rows) {
+  if (!importText) {
+    importStatus.textContent = 'Choose a file first';
+    return;
+  }
+
+  let mapping;
+  if (importColumns.length) {
+    mapping = {};
+    importMapping.querySelectorAll('select').forEach((select) => {
+      mapping[select.dataset.column] = select.value;
+    });
+  }
+
+  importBtn.disabled = true;
+  importRetryBtn.disabled = true;
+  importErrors.innerHTML = '';
+  importStatus.textContent = 'Importing…';
+  const failed = [];
+
+  try {
+    const res = await fetch('/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        profile: profile(),
+        class: objectClasses.value,
+        tenant: tenant(),
+        format: importFormat.value,
+        batchSize: Number(importBatchSize.value),
+        data: importText,
+        mapping,
+        rows
+      })
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      importStatus.textContent = 'Import failed: ' + (err.error || res.status);
+      return;
+    }
+
+    await readNdjson(res, (event) => {
+      if (event.type === 'error') {
+        failed.push(event.row);
+        const row = document.createElement('div');
+        row.textContent = 'Row ' + event.row + ': ' + event.message;
+        importErrors.appendChild(row);
+        return;
+      }
+      importProgress.max = event.total || 1;
+      importProgress.value = event.processed;
+      importStatus.textContent = (event.type === 'done' ? 'Done: ' : '') + event.processed + ' / ' + event.total
+        + ' processed, ' + event.imported + ' imported, ' + event.failed + ' failed';
+    });
+  } catch (e) {
+    importStatus.textContent = 'Import failed: ' + (e?.message || String(e));
+  } finally {
+    importBtn.disabled = false;
+    importFailedRows = failed;
+    importRetryBtn.disabled = !failed.length;
+  }
+
+  refreshList();
+  refreshInfo();
+}
+
+function retryImport() {
+  if (importFailedRows.length) runImport(importFailedRows);
+}
+
+// same estimate as the server's countTokens()
+const TOKEN_PATTERN = ${TOKEN_PATTERN};
+const countTokens = (text) => text.match(TOKEN_PATTERN)?.length || 0;
+let docText = null;
+let docFileName = '';
+let docExisting = 0;
+
+docFile.addEventListener('change', async () => {
+  const file = docFile.files[0];
+  docText = file ? await file.text() : null;
+  if (file) {
+    const name = file.name.toLowerCase();
+    docFormat.value = /\\.html?$/.test(name) ? 'html' : /\\.(md|markdown)$/.test(name) ? 'markdown' : 'text';
+    if (!docSource.value || docSource.value === docFileName) docSource.value = file.name;
+    docFileName = file.name;
+  }
+  docChunks.innerHTML = '';
+  docStatus.textContent = '';
+  docIngestBtn.disabled = true;
+});
+
+// text properties of the class can hold the chunks, content when there is one
+function renderDocProperties() {
+  const previous = docContentProperty.value;
+  docContentProperty.innerHTML = '';
+  const names = displayedProperties().filter((p) => dataTypeOf(p) === 'text').map((p) => p.name)
+    .filter((name) => name !== docSourceProperty.value);
+  for (const name of names) docContentProperty.appendChild(new Option(name, name));
+  docContentProperty.value = names.includes(previous) ? previous : names.includes('content') ? 'content' : names[0] || '';
+}
+
+async function previewChunks() {
+  if (!docText) {
+    docStatus.textContent = 'Choose a file first';
+    return;
+  }
+  docStatus.textContent = 'Splitting…';
+  docIngestBtn.disabled = true;
+  docChunks.innerHTML = '';
+  let result;
+  try {
+    result = await postJson('/chunk', {
+      class: objectClasses.value,
+      source: docSource.value.trim(),
+      data: docText,
+      format: docFormat.value,
+      strategy: docStrategy.value,
+      size: docSize.value,
+      overlap: docOverlap.value,
+      sourceProperty: docSourceProperty.value.trim() || undefined,
+    });
+  } catch (e) {
+    docStatus.textContent = 'Error: ' + e.message;
+    return;
+  }
+
+  docExisting = result.existing;
+  result.chunks.forEach((chunk) => addChunkCard(chunk.text));
+  renderChunkStatus();
+}
+
+function addChunkCard(text) {
+  const card = document.createElement('div');
+  card.className = 'card col';
+  const header = document.createElement('div');
+  header.className = 'row small';
+  const label = document.createElement('span');
+  label.className = 'bold';
+  const tokens = document.createElement('span');
+  const remove = document.createElement('button');
+  remove.textContent = 'Remove';
+  remove.onclick = () => {
+    card.remove();
+    renderChunkStatus();
+  };
+  header.append(label, tokens, remove);
+  const textarea = document.createElement('textarea');
+  textarea.rows = Math.min(12, text.split('\\n').length + 1);
+  textarea.value = text;
+  textarea.oninput = renderChunkStatus;
+  card.append(header, textarea);
+  docChunks.appendChild(card);
+}
+
+// numbers the chunks and sums their tokens after edits and removals
+function renderChunkStatus() {
+  const cards = [...docChunks.children];
+  let total = 0;
+  cards.forEach((card, i) => {
+    const count = countTokens(card.querySelector('textarea').value);
+    total += count;
+    const [label, tokens] = card.firstChild.children;
+    label.textContent = 'Chunk ' + i;
+    tokens.textContent = count + ' tokens';
+  });
+  docStatus.textContent = cards.length + ' chunks, about ' + total + ' tokens.'
+    + (docExisting ? ' Ingesting replaces the ' + docExisting + ' chunks already stored for ' + docSource.value.trim() + '.' : '');
+  docIngestBtn.disabled = !cards.length;
+}
+
+async function ingestChunks() {
+  const chunks = [...docChunks.querySelectorAll('textarea')].map((t) => t.value.trim()).filter(Boolean);
+  const source = docSource.value.trim();
+  if (!source) {
+    docStatus.textContent = 'Give the document a source name';
+    return;
+  }
+  if (docExisting && !confirm('Replace the ' + docExisting + ' chunks of ' + source + ' in ' + objectClasses.value + '?')) return;
+
+  docIngestBtn.disabled = true;
+  docStatus.textContent = 'Ingesting…';
+  try {
+    const result = await postJson('/chunk/ingest', {
+      class: objectClasses.value,
+      source,
+      chunks,
+      contentProperty: docContentProperty.value,
+      sourceProperty: docSourceProperty.value.trim() || undefined,
+      indexProperty: docIndexProperty.value.trim() || undefined,
+    });
+    docChunks.innerHTML = '';
+    docExisting = 0;
+    docStatus.textContent = 'Ingested ' + result.inserted + ' chunks of ' + source
+      + (result.replaced ? ', replacing ' + result.replaced : '')
+      + (result.propertiesAdded.length ? '. Added the properties ' + result.propertiesAdded.join(', ') + ' to the class' : '');
+    if (result.propertiesAdded.length) await loadClassSchema();
+  } catch (e) {
+    docStatus.textContent = 'Ingest failed: ' + e.message;
+    docIngestBtn.disabled = false;
+    return;
+  }
+  refreshList();
+  refreshInfo();
+}
+
+const editForm = document.getElementById('editForm');
+const editFields = document.getElementById('editFields');
+const editError = document.getElementById('editError');
+let editInputs = [];
+let editClass = null;
+
+async function startEdit() {
+  if (!selectedObject) return;
+  editClass = selectedObject.class;
+  editError.textContent = '';
+  let schema = classSchema;
+  if (!schema || schema.class !== editClass) {
+    try {
+      schema = await postJson('/schema', { class: editClass });
+    } catch (e) {
+      editError.textContent = 'Error loading schema: ' + e.message;
+      return;
+    }
+  }
+
+  const props = (schema.properties || []).filter((p) => {
+    const type = dataTypeOf(p);
+    return type !== 'blob' && !/^[A-Z]/.test(type);
+  });
+  editFields.innerHTML = '';
+  editInputs = props.map((p) => buildPropertyInput(p, selectedObject.properties?.[p.name]));
+  editInputs.forEach((f) => editFields.appendChild(f.element));
+  editVector.value = '';
+  editReplace.checked = false;
+  selectedJson.hidden = true;
+  editForm.hidden = false;
+}
+
+function cancelEdit() {
+  editForm.hidden = true;
+  selectedJson.hidden = false;
+  editError.textContent = '';
+}
+
+async function saveEdit() {
+  const properties = {};
+  for (const f of editInputs) {
+    const value = f.read();
+    if (value !== undefined && value !== '') properties[f.name] = value;
+    // sent as null so the server clears it, a merge would keep the old value
+    else if (selectedObject.properties?.[f.name] != null) properties[f.name] = null;
+  }
+
+  saveEditBtn.disabled = true;
+  editError.textContent = '';
+  try {
+    await postJson('/update', {
+      class: editClass,
+      id: selectedObject.id,
+      properties,
+      vector: editVector.value.trim() || undefined,
+      replace: editReplace.checked
+    });
+  } catch (e) {
+    editError.textContent = 'Error saving: ' + e.message;
+    return;
+  } finally {
+    saveEditBtn.disabled = false;
+  }
+
+  await selectObject(selectedObject.id, selectedObject.class);
+  refreshList();
+  if (searchInput.value) runSearch();
+}
+
+let migrateAbort = null;
+let migrateDefinitionDirty = false;  // the definition was edited by hand, so it is not filled again
+
+// the selected class is the source; the mapping starts with every property under its own name
+function renderMigrateForm() {
+  const className = objectClasses.value;
+  migrateSource.textContent = className
+    ? 'From ' + className + (tenant() ? ', tenant ' + tenant() : '') + ' on ' + profile()
+    : 'Select the class to migrate in the sidebar';
+  migrateBtn.disabled = !className || !!migrateAbort;
+
+  const previousProfile = migrateTargetProfile.value || profile();
+  migrateTargetProfile.innerHTML = '';
+  for (const p of profileList) migrateTargetProfile.appendChild(new Option(p.name + ' (' + p.url + ')', p.name));
+  migrateTargetProfile.value = profileList.some((p) => p.name === previousProfile) ? previousProfile : profile();
+
+  migrateMapping.innerHTML = '';
+  for (const prop of classSchema?.properties || []) {
+    const label = document.createElement('label');
+    label.className = 'row small';
+    label.textContent = prop.name + ' (' + dataTypeOf(prop) + ') →';
+    const input = document.createElement('input');
+    input.dataset.source = prop.name;
+    input.value = prop.name;
+    input.placeholder = 'left out';
+    input.oninput = () => migrateDefinitionDirty || fillMigrateDefinition();
+    label.appendChild(input);
+    migrateMapping.appendChild(label);
+  }
+  migrateDefinitionDirty = false;
+  renderMigrateDefinition();
+}
+
+function migrateMappingValues() {
+  const mapping = {};
+  migrateMapping.querySelectorAll('input').forEach((input) => { mapping[input.dataset.source] = input.value.trim(); });
+  return mapping;
+}
+
+function renderMigrateDefinition() {
+  migrateDefinitionField.hidden = !migrateCreate.checked;
+  if (migrateCreate.checked && !migrateDefinitionDirty) fillMigrateDefinition();
+}
+
+// the source definition under the target name, with properties renamed or left out as mapped;
+// sharding is left to the target instance
+function fillMigrateDefinition() {
+  if (!classSchema) return;
+  const mapping = migrateMappingValues();
+  const target = migrateTargetClass.value.trim();
+  const { shardingConfig, ...definition } = JSON.parse(JSON.stringify(classSchema));
+  definition.class = target;
+  definition.properties = (definition.properties || []).filter((p) => mapping[p.name]).map((p) => ({
+    ...p,
+    name: mapping[p.name],
+    dataType: (p.dataType || []).map((t) => (t === classSchema.class && target ? target : t)),
+  }));
+  migrateDefinition.value = JSON.stringify(definition, null, 2);
+  migrateDefinitionDirty = false;
+}
+
+async function runMigration(resume) {
+  let body;
+  if (resume) {
+    body = { resume };
+  } else {
+    body = {
+      profile: profile(),
+      class: objectClasses.value,
+      tenant: tenant(),
+      targetProfile: migrateTargetProfile.value,
+      targetClass: migrateTargetClass.value.trim(),
+      targetTenant: migrateTargetTenant.value.trim() || undefined,
+      batchSize: Number(migrateBatchSize.value),
+      includeVectors: migrateVectors.checked,
+      mapping: migrateMappingValues(),
+    };
+    if (migrateCreate.checked) {
+      try {
+        body.createTarget = true;
+        body.definition = JSON.parse(migrateDefinition.value);
+      } catch (e) {
+        migrateStatus.textContent = 'Invalid class definition: ' + e.message;
+        return;
+      }
+    }
+  }
+
+  migrateAbort = new AbortController();
+  migrateBtn.disabled = true;
+  migrateStopBtn.disabled = false;
+  migrateErrors.innerHTML = '';
+  migrateStatus.textContent = resume ? 'Resuming…' : 'Starting…';
+
+  try {
+    const res = await fetch('/migrate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: migrateAbort.signal,
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      migrateStatus.textContent = 'Migration failed: ' + (err.error || res.status);
+      return;
+    }
+
+    await readNdjson(res, (event) => {
+      if (event.type === 'error') {
+        const row = document.createElement('div');
+        row.textContent = event.id + ': ' + event.message;
+        migrateErrors.appendChild(row);
+        return;
+      }
+      migrateProgress.max = event.total || 1;
+      migrateProgress.value = event.read;
+      const counts = event.read + ' / ' + event.total + ' read, ' + event.written + ' written, ' + event.failed + ' failed';
+      if (event.type === 'failed') {
+        migrateStatus.textContent = 'Failed after ' + counts + ': ' + event.message + '. Resume it from the job list';
+      } else if (event.type === 'done') {
+        const { source, target } = event.reconciliation;
+        migrateStatus.textContent = 'Done: ' + counts + '. The source holds ' + source + ' objects, the target ' + target
+          + (source === target ? ', they match' : ', they differ by ' + Math.abs(source - target));
+      } else {
+        migrateStatus.textContent = counts;
+      }
+    });
+  } catch (e) {
+    migrateStatus.textContent = e.name === 'AbortError'
+      ? 'Stopped; resume it from the job list'
+      : 'Migration failed: ' + (e?.message || String(e));
+  } finally {
+    migrateAbort = null;
+    migrateBtn.disabled = !objectClasses.value;
+    migrateStopBtn.disabled = true;
+  }
+  refreshMigrations();
+  refreshClasses();
+}
+
+function stopMigration() {
+  if (migrateAbort) migrateAbort.abort();
+}
+
+async function refreshMigrations() {
+  let jobs;
+  try {
+    jobs = await postJson('/migrate/jobs', {});
+  } catch (e) {
+    migrateJobs.textContent = 'Error loading migrations: ' + e.message;
+    return;
+  }
+  migrateJobs.innerHTML = '';
+  if (!jobs.length) migrateJobs.textContent = 'No migrations yet.';
+  for (const job of jobs) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const text = document.createElement('div');
+    text.className = 'col';
+    const title = document.createElement('div');
+    title.className = 'bold';
+    const side = (s) => s.class + (s.tenant ? ' (' + s.tenant + ')' : '') + ' on ' + s.profile;
+    title.textContent = side(job.source) + ' → ' + side(job.target);
+    const meta = document.createElement('div');
+    const status = job.status === 'running' && !job.active ? 'interrupted' : job.status;
+    meta.textContent = status + ' · ' + job.read + ' / ' + (job.total ?? '?') + ' read · ' + job.written + ' written · ' + job.failed + ' failed'
+      + (job.reconciliation ? ' · source ' + job.reconciliation.source + ', target ' + job.reconciliation.target + ' objects' : '')
+      + ' · ' + new Date(job.updated || job.started).toLocaleString();
+    text.append(title, meta);
+    if (job.error) {
+      const error = document.createElement('div');
+      error.style.color = '#ff8a8a';
+      error.textContent = job.error;
+      text.appendChild(error);
+    }
+    for (const e of job.errors.slice(0, 5)) {
+      const error = document.createElement('div');
+      error.textContent = e.id + ': ' + e.message;
+      text.appendChild(error);
+    }
+    card.appendChild(text);
+    if ((job.status !== 'done' || job.failed) && !job.active) {
+      const resume = document.createElement('button');
+      resume.textContent = job.status === 'done' ? 'Retry failed' : 'Resume';
+      resume.disabled = !!migrateAbort;
+      resume.onclick = () => runMigration(job.id);
+      card.appendChild(resume);
+    }
+    migrateJobs.appendChild(card);
+  }
+}
+
+let diffChanges = [];
+let diffRequest = null;  // sides of the last object diff, which a sync applies to
+
+function renderDiffForm() {
+  const className = objectClasses.value;
+  diffSource.textContent = className
+    ? 'Source: ' + className + (tenant() ? ', tenant ' + tenant() : '') + ' on ' + profile()
+    : 'Select the source class in the sidebar';
+  const previous = diffTargetProfile.value || profile();
+  diffTargetProfile.innerHTML = '';
+  for (const p of profileList) diffTargetProfile.appendChild(new Option(p.name + ' (' + p.url + ')', p.name));
+  diffTargetProfile.value = profileList.some((p) => p.name === previous) ? previous : profile();
+}
+
+function diffSides() {
+  return {
+    class: objectClasses.value,
+    targetProfile: diffTargetProfile.value,
+    targetClass: diffTargetClass.value.trim() || undefined,
+    targetTenant: diffTargetTenant.value.trim() || undefined,
+  };
+}
+
+// long values are cut, the full value is in the tooltip
+function diffValueCell(value) {
+  const cell = document.createElement('td');
+  const text = value === null || value === undefined ? '—' : typeof value === 'string' ? value : JSON.stringify(value);
+  cell.textContent = text.length > 200 ? text.slice(0, 200) + '…' : text;
+  cell.title = text;
+  return cell;
+}
+
+async function runSchemaDiff() {
+  diffSchemaRows.innerHTML = '';
+  diffMissingProperties.innerHTML = '';
+  diffSchemaStatus.textContent = 'Comparing…';
+  let data;
+  try {
+    data = await postJson('/diff/schema', diffSides());
+  } catch (e) {
+    diffSchemaStatus.textContent = 'Error: ' + e.message;
+    return;
+  }
+  if (!data.targetExists) {
+    diffSchemaStatus.textContent = 'The target class does not exist; the Migrate tab can create it from the source.';
+    return;
+  }
+  diffSchemaStatus.textContent = data.differences.length ? data.differences.length + ' differences' : 'The schemas match.';
+  for (const d of data.differences) {
+    const row = document.createElement('tr');
+    const path = document.createElement('td');
+    path.textContent = d.path;
+    row.append(path, diffValueCell(d.source), diffValueCell(d.target));
+    diffSchemaRows.appendChild(row);
+  }
+
+  if (!data.missingProperties.length) return;
+  const heading = document.createElement('div');
+  heading.textContent = 'Properties missing on the target; other differences need a migration:';
+  diffMissingProperties.appendChild(heading);
+  const boxes = document.createElement('div');
+  boxes.className = 'row';
+  boxes.style.flexWrap = 'wrap';
+  for (const name of data.missingProperties) {
+    const label = document.createElement('label');
+    label.className = 'row';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = true;
+    box.value = name;
+    label.append(box, name);
+    boxes.appendChild(label);
+  }
+  const button = document.createElement('button');
+  button.textContent = 'Add selected properties to target';
+  button.onclick = async () => {
+    const properties = [...boxes.querySelectorAll('input:checked')].map((b) => b.value);
+    if (!properties.length) return;
+    try {
+      const result = await postJson('/diff/schema/sync', { ...diffSides(), properties });
+      await runSchemaDiff();
+      diffSchemaStatus.textContent = 'Added ' + result.added.join(', ') + '. ' + diffSchemaStatus.textContent;
+    } catch (e) {
+      diffSchemaStatus.textContent = 'Error adding properties: ' + e.message;
+    }
+  };
+  diffMissingProperties.append(boxes, button);
+}
+
+async function runObjectDiff() {
+  diffChanges = [];
+  diffObjects.innerHTML = '';
+  diffSyncBtn.disabled = true;
+  diffObjectsBtn.disabled = true;
+  diffObjectStatus.textContent = 'Comparing…';
+  diffRequest = { profile: profile(), tenant: tenant(), ...diffSides() };
+  const summary = (e) => e.compared + ' objects compared: ' + e.added + ' only in the source, ' + e.removed + ' only in the target, '
+    + e.changed + ' changed, ' + e.unchanged + ' unchanged';
+
+  try {
+    const res = await fetch('/diff/objects', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...diffRequest, includeVectors: diffVectors.checked }),
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      diffObjectStatus.textContent = 'Error: ' + (err.error || res.status);
+      return;
+    }
+    await readNdjson(res, (event) => {
+      if (event.type === 'failed') diffObjectStatus.textContent = 'Error: ' + event.message;
+      else if (event.type === 'progress') diffObjectStatus.textContent = summary(event) + '…';
+      else {
+        diffObjectStatus.textContent = summary(event) + (event.truncated ? '. The first ' + event.changes.length + ' differences are listed' : '');
+        diffChanges = event.changes;
+      }
+    });
+  } catch (e) {
+    diffObjectStatus.textContent = 'Error: ' + (e?.message || String(e));
+  } finally {
+    diffObjectsBtn.disabled = false;
+  }
+  renderDiffChanges();
+}
+
+const DIFF_KIND_LABELS = { added: 'only in source', removed: 'only in target', changed: 'changed' };
+
+function renderDiffChanges() {
+  diffObjects.innerHTML = '';
+  for (const change of diffChanges) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.write = '';
+    box.onchange = () => { diffSyncBtn.disabled = !diffObjects.querySelector('input:checked'); };
+    change.box = box;
+    const body = document.createElement('div');
+    body.className = 'col';
+    body.style.flex = '1';
+    const title = document.createElement('div');
+    title.className = 'bold';
+    title.textContent = DIFF_KIND_LABELS[change.kind] + ' · ' + change.id + (change.vectorChanged ? ' · vector changed' : '');
+    body.appendChild(title);
+    if (change.kind === 'changed') {
+      const table = document.createElement('table');
+      table.className = 'metrics';
+      for (const d of change.properties) {
+        const row = document.createElement('tr');
+        const name = document.createElement('td');
+        name.textContent = d.path;
+        row.append(name, diffValueCell(d.source), diffValueCell(d.target));
+        table.appendChild(row);
+      }
+      body.appendChild(table);
+    } else {
+      const text = JSON.stringify(change.properties);
+      const props = document.createElement('div');
+      props.textContent = text.length > 300 ? text.slice(0, 300) + '…' : text;
+      body.appendChild(props);
+    }
+    card.append(box, body);
+    diffObjects.appendChild(card);
+  }
+}
+
+function selectDiffChanges(checked) {
+  diffChanges.forEach((c) => { c.box.checked = checked; });
+  diffSyncBtn.disabled = !checked || !diffChanges.length;
+}
+
+// objects only in the source are added, changed ones overwritten with the source's version,
+// and objects only in the target deleted
+async function syncDiffChanges() {
+  const selected = diffChanges.filter((c) => c.box.checked);
+  const ids = (kind) => selected.filter((c) => c.kind === kind).map((c) => c.id);
+  const body = { ...diffRequest, add: ids('added'), update: ids('changed'), remove: ids('removed'), includeVectors: diffSyncVectors.checked };
+  const target = (diffRequest.targetClass || diffRequest.class) + ' on ' + diffRequest.targetProfile;
+  if (!confirm('Write ' + (body.add.length + body.update.length) + ' objects to ' + target + ' and delete ' + body.remove.length + ' from it?')) return;
+
+  diffSyncBtn.disabled = true;
+  let result;
+  try {
+    const res = await fetch('/diff/sync', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    result = await res.json();
+    if (!res.ok) throw new Error(result.error || res.status);
+  } catch (e) {
+    diffObjectStatus.textContent = 'Sync failed: ' + e.message;
+    diffSyncBtn.disabled = false;
+    return;
+  }
+  await runObjectDiff();
+  diffObjectStatus.textContent = 'Synced: ' + result.written + ' written, ' + result.removed + ' deleted'
+    + (result.failed.length ? ', ' + result.failed.length + ' failed (' + result.failed[0].id + ': ' + result.failed[0].message + ')' : '')
+    + '. ' + diffObjectStatus.textContent;
+}
+
+function showView(name) {
+  document.querySelectorAll('.view').forEach((v) => { v.hidden = v.dataset.view !== name; });
+  document.querySelectorAll('.tabs button').forEach((b) => b.classList.toggle('active', b.dataset.view === name));
+  // the canvas has no size while its view is hidden
+  if (name === 'map' && mapData) drawMap();
+  if (name === 'backups') refreshBackups();
+  if (name === 'health') refreshHealth();
+  if (name === 'history') refreshHistory();
+  if (name === 'graphql') loadGraphQLConsole();
+  if (name === 'diff') renderDiffForm();
+  if (name === 'migrate') {
+    renderMigrateForm();
+    refreshMigrations();
+  }
+  scheduleHealth();
+}
+document.querySelectorAll('.tabs button').forEach((b) => { b.onclick = () => showView(b.dataset.view); });
+
+const schemaJson = document.getElementById('schemaJson');
+const propType = document.getElementById('propType');
+const propStatus = document.getElementById('propStatus');
+const newClassJson = document.getElementById('newClassJson');
+const createClassStatus = document.getElementById('createClassStatus');
+const deleteClassConfirm = document.getElementById('deleteClassConfirm');
+const deleteClassBtn = document.getElementById('deleteClassBtn');
+const deleteClassStatus = document.getElementById('deleteClassStatus');
+const PROPERTY_DATA_TYPES = [
+  'text', 'text[]', 'int', 'int[]', 'number', 'number[]', 'boolean', 'boolean[]',
+  'date', 'date[]', 'uuid', 'uuid[]', 'geoCoordinates', 'phoneNumber', 'blob', 'object', 'object[]',
+];
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ profile: profile(), tenant: tenant(), ...body })
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(data?.error || String(res.status));
+  return data;
+}
+
+function renderSchemaView() {
+  schemaJson.textContent = classSchema ? JSON.stringify(classSchema, null, 2) : 'No class selected';
+  deleteClassConfirm.value = '';
+  deleteClassBtn.disabled = true;
+
+  propType.innerHTML = '';
+  const classNames = Array.from(objectClasses.options).map((o) => o.value);
+  // capitalized data types are references to another class
+  for (const type of [...PROPERTY_DATA_TYPES, ...classNames]) {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = PROPERTY_DATA_TYPES.includes(type) ? type : '→ ' + type;
+    propType.appendChild(option);
+  }
+}
+
+async function addProperty() {
+  const type = propType.value;
+  const property = { name: propName.value.trim(), dataType: [type] };
+  if (propDescription.value.trim()) property.description = propDescription.value.trim();
+  property.indexFilterable = propFilterable.checked;
+  if (type === 'text' || type === 'text[]') {
+    property.tokenization = propTokenization.value;
+    property.indexSearchable = propSearchable.checked;
+  }
+  if (propSkipVectorization.checked && classSchema?.vectorizer && classSchema.vectorizer !== 'none') {
+    property.moduleConfig = { [classSchema.vectorizer]: { skip: true } };
+  }
+
+  propStatus.textContent = 'Adding…';
+  try {
+    await postJson('/schema/property', { class: objectClasses.value, property });
+    propStatus.textContent = 'Added ' + property.name;
+    propName.value = '';
+    propDescription.value = '';
+    await loadClassSchema();
+  } catch (e) {
+    propStatus.textContent = 'Error adding property: ' + e.message;
+  }
+}
+
+function buildClassDefinition() {
+  const definition = { class: newClassName.value.trim() };
+  if (newClassDescription.value.trim()) definition.description = newClassDescription.value.trim();
+  definition.vectorizer = newClassVectorizer.value.trim() || 'none';
+  if (newClassModuleConfig.value.trim()) definition.moduleConfig = JSON.parse(newClassModuleConfig.value);
+
+  definition.vectorIndexType = newClassIndexType.value;
+  const hnsw = {};
+  for (const [key, input] of [['ef', newClassEf], ['efConstruction', newClassEfConstruction], ['maxConnections', newClassMaxConnections]]) {
+    if (input.value !== '') hnsw[key] = Number(input.value);
+  }
+  // dynamic indexes start flat and take their HNSW settings nested
+  if (newClassIndexType.value === 'hnsw') definition.vectorIndexConfig = { distance: newClassDistance.value, ...hnsw };
+  else if (newClassIndexType.value === 'dynamic') definition.vectorIndexConfig = { distance: newClassDistance.value, hnsw };
+  else definition.vectorIndexConfig = { distance: newClassDistance.value };
+
+  definition.invertedIndexConfig = {
+    indexTimestamps: newClassTimestamps.checked,
+    indexNullState: newClassNullState.checked,
+    indexPropertyLength: newClassPropertyLength.checked,
+  };
+  if (newClassMultiTenant.checked) definition.multiTenancyConfig = { enabled: true };
+  if (newClassK1.value !== '' || newClassB.value !== '') {
+    definition.invertedIndexConfig.bm25 = { k1: Number(newClassK1.value || 1.2), b: Number(newClassB.value || 0.75) };
+  }
+
+  definition.properties = newClassProperties.value.split('\\n').map((l) => l.trim()).filter(Boolean).map((line) => {
+    const [name, type] = line.split(':').map((t) => t.trim());
+    return { name, dataType: [type || 'text'] };
+  });
+  return definition;
+}
+
+function previewClassDefinition() {
+  try {
+    newClassJson.value = JSON.stringify(buildClassDefinition(), null, 2);
+    createClassStatus.textContent = '';
+  } catch (e) {
+    createClassStatus.textContent = 'Invalid module config: ' + e.message;
+  }
+}
+
+// creates the class from the JSON box, which the form fills in when it is empty
+async function createClass() {
+  if (!newClassJson.value.trim()) previewClassDefinition();
+  let definition;
+  try {
+    definition = JSON.parse(newClassJson.value);
+  } catch (e) {
+    createClassStatus.textContent = 'Invalid class JSON: ' + e.message;
+    return;
+  }
+
+  createClassStatus.textContent = 'Creating…';
+  try {
+    await postJson('/schema/create', { definition });
+    createClassStatus.textContent = 'Created ' + definition.class;
+    newClassJson.value = '';
+    await refreshClasses(definition.class);
+  } catch (e) {
+    createClassStatus.textContent = 'Error creating class: ' + e.message;
+  }
+}
+
+deleteClassConfirm.addEventListener('input', () => {
+  deleteClassBtn.disabled = !objectClasses.value || deleteClassConfirm.value !== objectClasses.value;
+});
+
+async function deleteClass() {
+  const className = objectClasses.value;
+  deleteClassStatus.textContent = 'Deleting…';
+  try {
+    await postJson('/schema/delete', { class: className, confirm: deleteClassConfirm.value });
+    deleteClassStatus.textContent = 'Deleted ' + className;
+    await refreshClasses();
+  } catch (e) {
+    deleteClassStatus.textContent = 'Error deleting class: ' + e.message;
+  }
+}
+
+async function delItem(id) {
+  if (!confirm('Delete object ' + id + '? It can be restored from the History tab.')) return;
+  try {
+    await postJson('/delete', { class: objectClasses.value, id });
+  } catch (e) {
+    listStatus.textContent = 'Error deleting ' + id + ': ' + e.message;
+    return;
+  }
+  refreshList();
+}
 
-  <!-- LEFT -->
-  <div class="col">
+function renderSearchFields() {
+  for (const el of document.querySelectorAll('[data-search]')) {
+    el.hidden = !el.dataset.search.split(' ').includes(searchType.value);
+  }
+  targetVectorField.hidden = !targetVector.options.length || searchType.value === 'bm25';
+}
 
-    <div class="panel col">
-      <h2>Search</h2>
-      <div class="row">
-      	<label class="col" style="flex:1">
-      		Query
-        	<input id="searchInput" placeholder="Search…">
-        </label>
-		<label class="col">
-      		Alpha
-        	<input id="hybridAlpha" type="number" value="0.5">
-        </label>
-      </div>
-      <div class="row right-align">
-        <button onclick="runSearch()">Go</button>
-      </div>
-      <div id="searchResults" class="results col"></div>
-    </div>
+// classes with named vectors search the one picked here
+function renderTargetVectors() {
+  const previous = targetVector.value;
+  targetVector.innerHTML = '';
+  for (const name of Object.keys(classSchema?.vectorConfig || {})) targetVector.appendChild(new Option(name, name));
+  if (Array.from(targetVector.options).some((o) => o.value === previous)) targetVector.value = previous;
+  renderSearchFields();
+}
 
-    <div class="panel col">
-      <div class="section-header">
-        <h2>Stored Content</h2>
-        <button onclick="refreshList()">Refresh</button>
-      </div>
+function searchBody() {
+  const type = searchType.value;
+  const body = {
+    profile: profile(),
+    class: objectClasses.value,
+    tenant: tenant(),
+    type,
+    where: activeFilter || undefined,
+    limit: searchLimit.value,
+    offset: searchOffset.value,
+    autocut: searchAutocut.value || undefined,
+    targetVector: type !== 'bm25' && targetVector.value ? targetVector.value : undefined,
+  };
 
-      <div id="list" class="list"></div>
+  if (type === 'bm25' || type === 'hybrid') {
+    body.query = searchInput.value;
+    body.properties = searchProperties.value;
+  }
+  if (type === 'hybrid') {
+    body.alpha = hybridAlpha.value;
+    body.fusionType = fusionType.value || undefined;
+  }
+  if (type === 'nearText') body.query = searchInput.value;
+  if (type === 'nearVector') body.vector = searchVector.value;
+  if (type === 'nearObject') body.id = searchObjectId.value.trim();
+  if (type.startsWith('near') && thresholdValue.value !== '') {
+    body[thresholdType.value] = thresholdValue.value;
+  }
+  return body;
+}
 
-      <hr style="opacity:.2">
+function findSimilar() {
+  if (!selectedId) return;
+  searchType.value = 'nearObject';
+  searchObjectId.value = selectedId;
+  renderSearchFields();
+  runSearch();
+}
 
-      <h3>Selected Object</h3>
-      <div id="selectedMeta" class="small">Click an item to view what Weaviate is storing.</div>
-      <pre id="selectedJson" class="json"></pre>
+async function runSearch() {
+  if (contextMode.checked) return runContextPreview();
+  const out = document.getElementById('searchResults');
+  out.innerHTML = '';
 
-      <hr style="opacity:.2">
+  let data;
+  try {
+    data = await postJson('/search', searchBody());
+  } catch (e) {
+    out.textContent = 'Search failed: ' + e.message;
+    return;
+  }
 
-      <h3>Add Entry</h3>
-      <input id="addQuery" placeholder="Query">
-      <textarea id="addContent" rows="3" placeholder="Content"></textarea>
-      <button id="addBtn" onclick="addItem()">Add</button>
-    </div>
+  if (!data.length) out.textContent = 'No results.';
 
-  </div>
+  data.forEach(i => {
+	const result = document.createElement('div');
+	result.className = 'col';
+	result.style.gap = 'none';
+  if (i?._additional?.id) {
+    result.style.cursor = 'pointer';
+    result.onclick = () => selectObject(i._additional.id);
+  }
 
-  <!-- SIDEBAR -->
-  <div class="panel sidebar">
-  <div>
-    <h2>Server</h2>
-    <input id="baseUrl" placeholder="http://localhost:8080">
-    <input id="apiKey" placeholder="API Key">
-  </div>
+	const scoreRow = document.createElement('div');
+	scoreRow.className = 'small';
 
-  <div>
-    <h2>Info</h2>
-    <div id="stats" class="small">-</div>
-    <div id="info" class="small">-</div>
-  </div>
+	const extra = i._additional || {};
+	const parts = [];
+	if (extra.score !== undefined && extra.score !== null) parts.push('Score: ' + extra.score);
+	if (typeof extra.certainty === 'number') parts.push('Certainty: ' + extra.certainty.toFixed(4));
+	if (typeof extra.distance === 'number') parts.push('Distance: ' + extra.distance.toFixed(4));
+	scoreRow.textContent = parts.join(' · ');
+	if (extra.explainScore) scoreRow.title = extra.explainScore;
 
-  <div>
-    <h2>Object Class</h2>
-    <select id="objectClass"></select>
-  </div>
-  </div>
+	for (let ele of [...renderProperties(i), scoreRow])
+		result.appendChild(ele)
 
-</div>
+	out.appendChild(result);
+  });
+}
 
-<script>
-const baseInput = document.getElementById('baseUrl');
-const objectClasses = document.getElementById("objectClass");
-const apiKeyInput = document.getElementById("apiKey");
-//const searchType = document.getElementById("searchType");
-const hybridAlpha = document.getElementById('hybridAlpha');
-const statsDiv = document.getElementById('stats');
-const selectedMeta = document.getElementById('selectedMeta');
-const selectedJson = document.getElementById('selectedJson');
-let selectedId = null;
+renderSearchFields();
 
-baseInput.value = "${defaultBaseUrl}" || localStorage.getItem('weaviateBase') || '';
-apiKeyInput.value = localStorage.getItem('weaviateApiKey') || '';
+let contextTemplates = [];
 
-baseInput.addEventListener('change', async () => {
-  localStorage.setItem('weaviateBase', baseInput.value);
-  await refreshInfo();
-  await refreshClasses();
-});
+// placeholders a hit template can use: the search metadata and the properties the search returns
+function renderContextPlaceholders() {
+  const names = ['rank', 'id', 'score', 'distance', 'certainty', ...displayedProperties().map((p) => p.name)];
+  contextPlaceholders.textContent = 'Placeholders: {{query}} and {{context}} in the prompt, '
+    + names.map((n) => '{{' + n + '}}').join(' ') + ' in the hit template. Hits are separated by a blank line.';
+}
 
-objectClasses.addEventListener('change', async () => {
-  await refreshList();
-  await refreshInfo();
-});
+async function loadContextTemplates() {
+  renderContextPlaceholders();
+  contextTemplates = [];
+  if (objectClasses.value) {
+    try {
+      contextTemplates = await postJson('/context/templates', { class: objectClasses.value });
+    } catch (e) {
+      console.error('template fetch error', e);
+    }
+  }
+  const previous = contextSaved.value;
+  contextSaved.innerHTML = '';
+  contextSaved.appendChild(new Option(contextTemplates.length ? 'Saved templates…' : 'No saved templates', ''));
+  for (const t of contextTemplates) contextSaved.appendChild(new Option(t.name, t.id));
+  contextSaved.value = contextTemplates.some((t) => t.id === previous) ? previous : '';
+  contextDeleteBtn.disabled = !contextSaved.value;
+}
 
-apiKeyInput.addEventListener('change', async () => {
-  localStorage.setItem('weaviateApiKey', apiKeyInput.value);
-  await refreshInfo();
-  await refreshClasses();
+function loadContextTemplate() {
+  const saved = contextTemplates.find((t) => t.id === contextSaved.value);
+  contextDeleteBtn.disabled = !saved;
+  if (!saved) return;
+  contextName.value = saved.name;
+  contextTemplate.value = saved.template;
+  contextHitTemplate.value = saved.hitTemplate;
+  contextBudget.value = saved.budget;
+}
+
+async function saveContextTemplate() {
+  const out = document.getElementById('searchResults');
+  try {
+    const saved = await postJson('/context/templates/save', {
+      class: objectClasses.value,
+      name: contextName.value,
+      template: contextTemplate.value,
+      hitTemplate: contextHitTemplate.value,
+      budget: contextBudget.value,
+    });
+    contextSaved.appendChild(new Option(saved.name, saved.id));
+    contextSaved.value = saved.id;
+    await loadContextTemplates();
+    out.textContent = 'Saved template ' + saved.name;
+  } catch (e) {
+    out.textContent = 'Error saving template: ' + e.message;
+  }
+}
+
+async function deleteContextTemplate() {
+  const saved = contextTemplates.find((t) => t.id === contextSaved.value);
+  if (!saved || !confirm('Delete the template ' + saved.name + '?')) return;
+  const out = document.getElementById('searchResults');
+  try {
+    await postJson('/context/templates/delete', { id: saved.id });
+    await loadContextTemplates();
+    out.textContent = 'Deleted template ' + saved.name;
+  } catch (e) {
+    out.textContent = 'Error deleting template: ' + e.message;
+  }
+}
+
+async function runContextPreview() {
+  const out = document.getElementById('searchResults');
+  out.innerHTML = '';
+
+  let data;
+  try {
+    data = await postJson('/context', {
+      ...searchBody(),
+      template: contextTemplate.value,
+      hitTemplate: contextHitTemplate.value,
+      budget: contextBudget.value,
+    });
+  } catch (e) {
+    out.textContent = 'Context preview failed: ' + e.message;
+    return;
+  }
+
+  const included = data.hits.filter((h) => h.included).length;
+  const status = document.createElement('div');
+  status.className = 'small';
+  status.textContent = 'Prompt: ' + data.tokens + ' of ' + data.budget + ' tokens (template ' + data.templateTokens + '), '
+    + included + ' of ' + data.hits.length + ' hits included'
+    + (data.templateTokens > data.budget ? '. The template alone is over the budget' : '');
+  const prompt = document.createElement('pre');
+  prompt.className = 'json';
+  prompt.textContent = data.prompt;
+  out.append(status, prompt);
+
+  for (const hit of data.hits) {
+    const row = document.createElement('div');
+    row.className = 'small';
+    row.style.cursor = 'pointer';
+    row.onclick = () => selectObject(hit.id);
+    if (!hit.included) row.style.color = '#ff8a8a';
+    row.textContent = '#' + hit.rank + ' · ' + hit.tokens + ' tokens · ' + (hit.included ? 'included' : 'dropped, over budget')
+      + ' · ' + hit.id;
+    row.title = hit.text;
+    out.appendChild(row);
+  }
+}
+
+const dupClusters = document.getElementById('dupClusters');
+let bulkPreview = null; // class, tenant, filter and match count of the last dry run
+
+async function previewBulkDelete() {
+  bulkPreview = null;
+  bulkSample.innerHTML = '';
+  bulkConfirm.value = '';
+  bulkConfirm.disabled = true;
+  bulkDeleteBtn.disabled = true;
+  if (!activeFilter) {
+    bulkStatus.textContent = 'Apply a filter in the sidebar first.';
+    return;
+  }
+
+  bulkStatus.textContent = 'Running dry run…';
+  let data;
+  try {
+    data = await postJson('/delete/filter', { class: objectClasses.value, where: activeFilter });
+  } catch (e) {
+    bulkStatus.textContent = 'Error previewing: ' + e.message;
+    return;
+  }
+  bulkPreview = { class: objectClasses.value, tenant: tenant(), where: activeFilter, matches: data.matches };
+  bulkStatus.textContent = filterStatus.textContent + ': ' + data.matches + ' objects match'
+    + (data.limit && data.matches > data.limit ? ', at most ' + data.limit + ' are deleted per run' : '')
+    + (data.sample.length ? ', the newest:' : '');
+
+  for (const obj of data.sample) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.style.cursor = 'pointer';
+    card.onclick = () => { showView('data'); selectObject(obj._additional.id, bulkPreview.class); };
+    const id = document.createElement('div');
+    id.className = 'small';
+    id.textContent = obj._additional.id;
+    const left = document.createElement('div');
+    left.append(id, ...renderProperties(obj));
+    card.appendChild(left);
+    bulkSample.appendChild(card);
+  }
+  bulkConfirm.disabled = !data.matches;
+  bulkDeleteBtn.textContent = 'Delete ' + data.matches + ' objects';
+}
+
+bulkConfirm.addEventListener('input', () => {
+  bulkDeleteBtn.disabled = !bulkPreview || bulkConfirm.value.trim() !== String(bulkPreview.matches);
 });
 
-const base = () => baseInput.value.trim();
+async function runBulkDelete() {
+  const preview = bulkPreview;
+  bulkDeleteBtn.disabled = true;
+  bulkConfirm.disabled = true;
+  bulkStatus.textContent = 'Deleting…';
+  let result;
+  try {
+    result = await postJson('/delete/filter', { ...preview, dryRun: false, expected: preview.matches });
+  } catch (e) {
+    bulkStatus.textContent = 'Error deleting: ' + e.message;
+    return;
+  }
+  bulkPreview = null;
+  bulkSample.innerHTML = '';
+  bulkConfirm.value = '';
+  bulkStatus.textContent = 'Deleted ' + result.successful + ' objects' + (result.failed ? ', ' + result.failed + ' failed' : '')
+    + (result.limit && result.matches > result.limit ? '. More objects match, preview again to delete the next ' + result.limit : '');
+  if (preview.class === objectClasses.value) refreshList();
+  refreshInfo();
+}
+
+let duplicateClusters = [];
+let duplicateClass = null;
 
-const infoDiv = document.getElementById('info');
+async function scanDuplicates() {
+  if (!objectClasses.value) return;
+  dupScanBtn.disabled = true;
+  dupDeleteAllBtn.disabled = true;
+  dupClusters.innerHTML = '';
+  dupStatus.textContent = 'Scanning…';
+  dupProgress.value = 0;
+  duplicateClusters = [];
+  duplicateClass = objectClasses.value;
 
-async function refreshList() {
-  const res = await fetch('/list', {
-    method:'POST',
-    headers:{'Content-Type':'application/json'},
-    body:JSON.stringify({ base: base(), class: objectClasses.value, apiKey: apiKeyInput.value })
+  try {
+    const res = await fetch('/duplicates', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        profile: profile(),
+        class: objectClasses.value,
+        tenant: tenant(),
+        threshold: dupThreshold.value,
+        properties: dupProperties.value.split(',').map((p) => p.trim()).filter(Boolean),
+        vectors: dupVectors.checked,
+        exact: dupExact.checked,
+        where: dupFiltered.checked && activeFilter ? activeFilter : undefined,
+      })
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      dupStatus.textContent = 'Scan failed: ' + (err.error || res.status);
+      return;
+    }
+
+    await readNdjson(res, (event) => {
+      if (event.type === 'error') {
+        dupStatus.textContent = 'Scan failed: ' + event.message;
+      } else if (event.type === 'progress' && event.phase === 'fetch') {
+        dupStatus.textContent = 'Fetched ' + event.processed + ' objects…';
+      } else if (event.type === 'progress') {
+        dupProgress.max = event.total || 1;
+        dupProgress.value = event.processed;
+        dupStatus.textContent = 'Compared ' + event.processed + ' / ' + event.total + ' objects…';
+      } else if (event.type === 'done') {
+        duplicateClusters = event.clusters;
+        dupProgress.value = dupProgress.max;
+        const extra = event.clusters.reduce((sum, c) => sum + c.members.length - 1, 0);
+        dupStatus.textContent = event.scanned + ' objects scanned, ' + event.clusters.length + ' groups, '
+          + extra + ' duplicates';
+        renderDuplicateClusters();
+      }
+    });
+  } catch (e) {
+    dupStatus.textContent = 'Scan failed: ' + (e?.message || String(e));
+  } finally {
+    dupScanBtn.disabled = false;
+  }
+}
+
+function renderDuplicateClusters() {
+  dupClusters.innerHTML = '';
+  dupDeleteAllBtn.disabled = !duplicateClusters.length;
+
+  duplicateClusters.forEach((cluster, index) => {
+    const box = document.createElement('div');
+    box.className = 'cluster col';
+
+    const header = document.createElement('div');
+    header.className = 'section-header';
+    const title = document.createElement('strong');
+    const similarities = cluster.members.slice(1).map((m) => m.similarity).filter((v) => v !== null);
+    title.textContent = cluster.members.length + ' objects — ' + (cluster.exact ? 'exact text'
+      : similarities.length ? 'similarity ≥ ' + Math.min(...similarities).toFixed(3) : 'partly exact text');
+    const del = document.createElement('button');
+    del.textContent = 'Keep selected, delete others';
+    del.dataset.write = '';
+    del.onclick = () => deleteDuplicates([cluster]);
+    header.append(title, del);
+
+    const members = document.createElement('div');
+    members.className = 'cluster-members';
+    cluster.members.forEach((member, i) => {
+      const card = document.createElement('div');
+
+      const keep = document.createElement('label');
+      keep.className = 'row small';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'dup-keep-' + index;
+      radio.checked = i === (cluster.keep || 0);
+      radio.onchange = () => { cluster.keep = i; };
+      keep.append(radio, 'Keep');
+
+      const meta = document.createElement('div');
+      meta.className = 'small';
+      meta.style.cursor = 'pointer';
+      meta.title = 'Show in Selected Object';
+      meta.onclick = () => { showView('data'); selectObject(member.id); };
+      const created = member.creationTimeUnix ? new Date(Number(member.creationTimeUnix)).toLocaleString() : '';
+      meta.textContent = member.id + (created ? ' — ' + created : '')
+        + (i && member.similarity !== null ? ' — similarity ' + member.similarity.toFixed(4) : '')
+        + (i && member.exact ? ' — same text' : '');
+
+      card.append(keep, meta, ...renderProperties(member.properties));
+      members.appendChild(card);
+    });
+
+    box.append(header, members);
+    dupClusters.appendChild(box);
   });
+}
+
+async function deleteDuplicates(clusters) {
+  const ids = clusters.flatMap((c) => c.members.filter((_, i) => i !== (c.keep || 0)).map((m) => m.id));
+  if (!ids.length || !confirm('Delete ' + ids.length + ' objects from ' + duplicateClass + '?')) return;
+
+  try {
+    const result = await postJson('/delete/batch', { class: duplicateClass, ids });
+    dupStatus.textContent = 'Deleted ' + result.successful + ' objects'
+      + (result.failed ? ', ' + result.failed + ' failed: ' + result.errors.map((e) => e.id + ' ' + e.message).join('; ') : '');
+    duplicateClusters = duplicateClusters.filter((c) => !clusters.includes(c));
+    renderDuplicateClusters();
+    refreshList();
+  } catch (e) {
+    dupStatus.textContent = 'Delete failed: ' + e.message;
+  }
+}
+
+function deleteAllDuplicates() {
+  deleteDuplicates(duplicateClusters);
+}
+
+const mapCanvas = document.getElementById('mapCanvas');
+let mapData = null;
+let mapOverlay = null;
+let mapScreen = [];
+
+async function buildMap() {
+  if (!objectClasses.value) return;
+  mapBuildBtn.disabled = true;
+  mapStatus.textContent = 'Fetching vectors…';
+  mapProgress.value = 0;
+  let result = null;
+
+  try {
+    const res = await fetch('/map', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        profile: profile(),
+        class: objectClasses.value,
+        tenant: tenant(),
+        method: mapMethod.value,
+        sample: mapSample.value,
+        where: mapFiltered.checked && activeFilter ? activeFilter : undefined,
+      })
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      mapStatus.textContent = 'Map failed: ' + (err.error || res.status);
+      return;
+    }
+
+    await readNdjson(res, (event) => {
+      if (event.type === 'error') {
+        mapStatus.textContent = 'Map failed: ' + event.message;
+      } else if (event.type === 'progress' && event.phase === 'fetch') {
+        mapStatus.textContent = 'Fetched ' + event.processed + ' vectors…';
+      } else if (event.type === 'progress') {
+        mapProgress.max = event.total || 1;
+        mapProgress.value = event.processed;
+        mapStatus.textContent = 't-SNE iteration ' + event.processed + ' / ' + event.total + '…';
+      } else if (event.type === 'done') {
+        result = event;
+      }
+    });
+  } catch (e) {
+    mapStatus.textContent = 'Map failed: ' + (e?.message || String(e));
+  } finally {
+    mapBuildBtn.disabled = false;
+  }
+
+  if (!result) return;
+  mapData = result;
+  mapOverlay = null;
+  mapProgress.value = mapProgress.max;
+  mapOverlayBtn.disabled = false;
+  mapClearBtn.disabled = true;
+  mapStatus.textContent = result.points.length + ' of ' + result.scanned + ' objects of ' + result.class
+    + (result.explained ? ', PCA explains ' + result.explained.map((e) => (e * 100).toFixed(1) + '%').join(' + ') + ' of the variance' : '');
+  drawMap();
+}
+
+function drawMap() {
+  const ratio = window.devicePixelRatio || 1;
+  const width = mapCanvas.clientWidth;
+  const height = mapCanvas.clientHeight;
+  mapCanvas.width = width * ratio;
+  mapCanvas.height = height * ratio;
+  const ctx = mapCanvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  mapScreen = [];
+  if (!mapData) return;
+
+  const all = mapData.points.concat(mapOverlay?.query ? [mapOverlay.query] : []);
+  const xs = all.map((p) => p.x);
+  const ys = all.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX || 1;
+  const spanY = Math.max(...ys) - minY || 1;
+  const pad = 20;
+  const toScreen = (p) => [pad + (p.x - minX) / spanX * (width - 2 * pad), height - pad - (p.y - minY) / spanY * (height - 2 * pad)];
+
+  const ranks = new Map((mapOverlay?.hits || []).map((h) => [h.id, h.rank]));
+  for (const point of mapData.points) {
+    const [x, y] = toScreen(point);
+    mapScreen.push({ x, y, point });
+    ctx.beginPath();
+    ctx.arc(x, y, point.id === selectedId ? 5 : 3, 0, Math.PI * 2);
+    ctx.fillStyle = point.id === selectedId ? '#fff' : mapOverlay ? 'rgba(88, 216, 255, 0.3)' : 'rgba(88, 216, 255, 0.75)';
+    ctx.fill();
+  }
+
+  ctx.font = '11px system-ui';
+  for (const { x, y, point } of mapScreen) {
+    if (!ranks.has(point.id)) continue;
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, Math.PI * 2);
+    ctx.fillStyle = '#6cf2c2';
+    ctx.fill();
+    ctx.fillText(String(ranks.get(point.id)), x + 7, y - 5);
+  }
+
+  if (mapOverlay?.query) {
+    const [x, y] = toScreen(mapOverlay.query);
+    ctx.strokeStyle = '#ff8a8a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x - 7, y - 7);
+    ctx.lineTo(x + 7, y + 7);
+    ctx.moveTo(x + 7, y - 7);
+    ctx.lineTo(x - 7, y + 7);
+    ctx.stroke();
+    ctx.fillStyle = '#ff8a8a';
+    ctx.fillText(mapOverlay.query.exact ? 'query' : '≈ query', x + 9, y + 4);
+  }
+}
+
+function mapPointAt(event) {
+  const rect = mapCanvas.getBoundingClientRect();
+  const mx = event.clientX - rect.left;
+  const my = event.clientY - rect.top;
+  let best = null;
+  let bestDistance = 36;
+  for (const s of mapScreen) {
+    const d = (s.x - mx) ** 2 + (s.y - my) ** 2;
+    if (d < bestDistance) {
+      best = s;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+mapCanvas.addEventListener('mousemove', (event) => {
+  const hit = mapPointAt(event);
+  mapTooltip.hidden = !hit;
+  if (!hit) return;
+  mapTooltip.textContent = hit.point.text || hit.point.id;
+  mapTooltip.style.left = Math.min(hit.x + 10, mapCanvas.clientWidth - 200) + 'px';
+  mapTooltip.style.top = (hit.y + 10) + 'px';
+});
+mapCanvas.addEventListener('mouseleave', () => { mapTooltip.hidden = true; });
+mapCanvas.addEventListener('click', (event) => {
+  const hit = mapPointAt(event);
+  if (!hit) return;
+  showView('data');
+  selectObject(hit.point.id);
+});
+window.addEventListener('resize', () => { if (mapData && mapCanvas.clientWidth) drawMap(); });
+
+// place a vector on a PCA map the way the server placed the stored ones
+function projectOnMap(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  const centered = vector.map((x, k) => x / norm - mapData.projection.mean[k]);
+  const [x, y] = mapData.projection.components.map((c) => c.reduce((sum, ck, k) => sum + ck * centered[k], 0));
+  return { x, y };
+}
+
+async function overlaySearch() {
+  if (!mapData) return;
+  const body = { ...searchBody(), class: mapData.class };
+  let results;
+  try {
+    results = await postJson('/search', body);
+  } catch (e) {
+    mapStatus.textContent = 'Search failed: ' + e.message;
+    return;
+  }
+
+  const positions = new Map(mapData.points.map((p) => [p.id, p]));
+  const hits = results.map((r, i) => ({ id: r._additional?.id, rank: i + 1 }));
+  const onMap = hits.filter((h) => positions.has(h.id));
+
+  let query = null;
+  if (body.type === 'nearVector' && mapData.projection) {
+    const text = searchVector.value.trim();
+    const vector = (text.startsWith('[') ? JSON.parse(text) : text.split(/[\\s,;]+/).filter(Boolean)).map(Number);
+    if (vector.length === mapData.projection.mean.length) query = { ...projectOnMap(vector), exact: true };
+  } else if (body.type === 'nearObject' && positions.has(body.id)) {
+    query = { ...positions.get(body.id), exact: true };
+  }
+  if (!query && onMap.length) {
+    // weight better ranked hits more
+    const total = onMap.reduce((sum, h) => sum + 1 / h.rank, 0);
+    query = {
+      x: onMap.reduce((sum, h) => sum + positions.get(h.id).x / h.rank, 0) / total,
+      y: onMap.reduce((sum, h) => sum + positions.get(h.id).y / h.rank, 0) / total,
+      exact: false,
+    };
+  }
+
+  mapOverlay = { hits, query };
+  mapClearBtn.disabled = false;
+  mapStatus.textContent = hits.length + ' hits, ' + onMap.length + ' of them in the sample'
+    + (hits.length > onMap.length ? ' (build the map with a larger sample or a filter to see the rest)' : '');
+  drawMap();
+}
+
+function clearMapOverlay() {
+  mapOverlay = null;
+  mapClearBtn.disabled = true;
+  drawMap();
+}
+
+let healthTimer = null;
+let lastHealth = null; // { profile, values } of the previous poll, keyed by table cell
+
+// polls only while the Health tab is shown
+function scheduleHealth() {
+  clearInterval(healthTimer);
+  healthTimer = null;
+  const interval = Number(healthInterval.value);
+  if (document.querySelector('.view[data-view="health"]').hidden || !interval) return;
+  healthTimer = setInterval(refreshHealth, interval);
+}
+
+async function refreshHealth() {
+  let data;
+  try {
+    data = await postJson('/health', {});
+  } catch (e) {
+    healthStatus.textContent = 'Error checking health: ' + e.message;
+    return;
+  }
+
+  const previous = lastHealth?.profile === profile() ? lastHealth.values : null;
+  const values = {};
+  // a cell is highlighted when its value differs from the previous poll, or its row is new
+  const cell = (row, key, value, bad = false) => {
+    const td = row.insertCell();
+    td.textContent = value ?? '-';
+    values[key] = String(value);
+    if (previous && previous[key] !== String(value)) {
+      td.classList.add('changed');
+      td.title = previous[key] === undefined ? 'New since the last poll' : 'Was ' + previous[key];
+    }
+    if (bad) td.classList.add('bad');
+  };
+  const header = (table, names) => {
+    table.innerHTML = '';
+    const row = table.createTHead().insertRow();
+    for (const name of names) row.appendChild(Object.assign(document.createElement('th'), { textContent: name }));
+    return table.createTBody();
+  };
+
+  const nodes = header(healthNodes, ['Node', 'Status', 'Version', 'Objects', 'Shards', 'Vector queue']);
+  for (const n of data.nodes) {
+    const row = nodes.insertRow();
+    const key = 'node/' + n.name + '/';
+    cell(row, key + 'name', n.name);
+    cell(row, key + 'status', n.status, n.status !== 'HEALTHY');
+    cell(row, key + 'version', n.version);
+    cell(row, key + 'objects', n.objectCount);
+    cell(row, key + 'shards', n.shardCount);
+    cell(row, key + 'queue', n.vectorQueueLength, n.vectorQueueLength > 0);
+  }
+
+  // shards needing attention first
+  const shards = data.shards.slice().sort((a, b) => (a.status === 'READY') - (b.status === 'READY')
+    || a.class.localeCompare(b.class) || a.name.localeCompare(b.name));
+  const shardRows = header(healthShards, ['Node', 'Class', 'Shard', 'Objects', 'Status', 'Vector indexing', 'Vector queue']);
+  for (const sh of shards) {
+    const row = shardRows.insertRow();
+    const key = 'shard/' + sh.node + '/' + sh.class + '/' + sh.name + '/';
+    cell(row, key + 'node', sh.node);
+    cell(row, key + 'class', sh.class);
+    cell(row, key + 'name', sh.name);
+    cell(row, key + 'objects', sh.objectCount);
+    cell(row, key + 'status', sh.status, sh.status === 'READONLY');
+    cell(row, key + 'indexing', sh.vectorIndexingStatus);
+    cell(row, key + 'queue', sh.vectorQueueLength, sh.vectorQueueLength > 0);
+  }
+
+  readonlyShards.innerHTML = '';
+  const readonly = shards.filter((sh) => sh.status === 'READONLY');
+  if (!readonly.length) readonlyShards.textContent = 'None.';
+  for (const sh of readonly) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const text = document.createElement('span');
+    text.style.flex = '1';
+    text.textContent = sh.class + ' / ' + sh.name + ' on ' + sh.node;
+    const button = document.createElement('button');
+    button.dataset.write = '';
+    button.textContent = 'Set READY';
+    button.onclick = async () => {
+      button.disabled = true;
+      try {
+        await postJson('/shards/ready', { class: sh.class, shard: sh.name });
+      } catch (e) {
+        healthStatus.textContent = 'Error updating shard: ' + e.message;
+        button.disabled = false;
+        return;
+      }
+      refreshHealth();
+    };
+    row.append(text, button);
+    readonlyShards.appendChild(row);
+  }
+
+  const gone = previous ? Object.keys(previous).filter((k) => k.startsWith('node/') && k.endsWith('/name') && !(k in values)) : [];
+  healthStatus.textContent = 'Live: ' + (data.live ? 'yes' : 'NO') + ' — Ready: ' + (data.ready ? 'yes' : 'NO')
+    + ' — checked ' + new Date(data.checkedAt).toLocaleTimeString()
+    + (gone.length ? ' — gone since the last poll: ' + gone.map((k) => previous[k]).join(', ') : '')
+    + (data.errors.length ? ' — ' + data.errors.join('; ') : '');
+  lastHealth = { profile: profile(), values };
+}
 
-  const items = await res.json();
-  const list = document.getElementById('list');
-  list.innerHTML = '';
+const GRAPHQL_ROOT_FIELDS = ['Get', 'Aggregate', 'Explore'];
+const GRAPHQL_ARGUMENTS = [
+  'where', 'limit', 'offset', 'after', 'sort', 'autocut', 'tenant', 'groupBy',
+  'nearText', 'nearVector', 'nearObject', 'hybrid', 'bm25', 'concepts', 'query', 'alpha', 'properties',
+  'certainty', 'distance', 'vector', 'id', 'targetVectors', 'path', 'operator', 'operands', 'order',
+  'valueText', 'valueInt', 'valueNumber', 'valueBoolean', 'valueDate',
+];
+const GRAPHQL_ADDITIONAL = ['id', 'vector', 'vectors', 'distance', 'certainty', 'score', 'explainScore', 'creationTimeUnix', 'lastUpdateTimeUnix'];
+let gqlSchema = [];      // { class, properties } per class, for suggestions
+let gqlSuggestions = [];
+let gqlSavedQueries = [];
+
+async function loadGraphQLConsole() {
+  if (!gqlEditor.value.trim() && objectClasses.value) {
+    gqlEditor.value = ['{', '  Get {', '    ' + objectClasses.value + '(limit: 5) {', '      _additional { id }', '    }', '  }', '}'].join('\\n');
+  }
+  try {
+    const [schema, history, saved] = await Promise.all([
+      postJson('/graphql/schema', {}),
+      postJson('/graphql/history', {}),
+      postJson('/graphql/saved', {}),
+    ]);
+    gqlSchema = schema;
+    renderGraphQLHistory(history);
+    renderSavedQueries(saved);
+  } catch (e) {
+    gqlStatus.textContent = 'Error loading console: ' + e.message;
+  }
+  renderGraphQLSuggestions();
+}
 
-  items.forEach(i => {
+async function runGraphQL() {
+  gqlStatus.textContent = 'Running…';
+  gqlErrors.innerHTML = '';
+  gqlResult.textContent = '';
+  let result;
+  try {
+    result = await postJson('/graphql', { query: gqlEditor.value, variables: gqlVariables.value });
+  } catch (e) {
+    gqlStatus.textContent = 'Error: ' + e.message;
+    return;
+  }
+  gqlStatus.textContent = result.durationMs + ' ms' + (result.errors.length ? ', ' + result.errors.length + ' errors' : '');
+  for (const error of result.errors) {
+    const line = document.createElement('div');
+    const where = (error.locations || []).map((l) => 'line ' + l.line + ', column ' + l.column).join('; ');
+    line.textContent = error.message + (where ? ' (' + where + ')' : '') + (error.path ? ' at ' + error.path.join('.') : '');
+    gqlErrors.appendChild(line);
+  }
+  gqlResult.textContent = result.data ? JSON.stringify(result.data, null, 2) : '';
+  renderGraphQLHistory(await postJson('/graphql/history', {}).catch(() => []));
+}
+
+function renderGraphQLHistory(history) {
+  gqlHistory.innerHTML = '';
+  if (!history.length) gqlHistory.textContent = 'No queries yet.';
+  for (const entry of history) {
     const card = document.createElement('div');
     card.className = 'card';
     card.style.cursor = 'pointer';
-    card.onclick = () => selectObject(i._additional?.id);
+    card.onclick = () => {
+      gqlEditor.value = entry.query;
+      gqlVariables.value = entry.variables ? JSON.stringify(entry.variables) : '';
+      renderGraphQLSuggestions();
+    };
+    const text = document.createElement('div');
+    text.className = 'col';
+    const query = document.createElement('pre');
+    query.className = 'code';
+    query.style.margin = '0';
+    query.textContent = entry.query.trim().split('\\n').slice(0, 4).join('\\n');
+    const meta = document.createElement('div');
+    meta.className = 'small';
+    meta.textContent = new Date(entry.time).toLocaleString() + ' — ' + entry.durationMs + ' ms' + (entry.errors ? ' — ' + entry.errors + ' errors' : '');
+    text.append(query, meta);
+    card.appendChild(text);
+    gqlHistory.appendChild(card);
+  }
+}
 
-    const left = document.createElement('div');
+function renderSavedQueries(saved) {
+  gqlSavedQueries = saved;
+  const previous = gqlSaved.value;
+  gqlSaved.innerHTML = '';
+  gqlSaved.appendChild(new Option(saved.length ? 'Saved queries…' : 'No saved queries', ''));
+  for (const q of saved) gqlSaved.appendChild(new Option(q.name, q.id));
+  gqlSaved.value = saved.some((q) => q.id === previous) ? previous : '';
+  gqlDeleteBtn.disabled = !gqlSaved.value;
+}
 
-    const id = document.createElement('div');
-    id.className = 'small';
-    id.textContent = i._additional.id;
+function loadSavedQuery() {
+  const saved = gqlSavedQueries.find((q) => q.id === gqlSaved.value);
+  gqlDeleteBtn.disabled = !saved;
+  if (!saved) return;
+  gqlEditor.value = saved.query;
+  gqlVariables.value = saved.variables || '';
+  gqlName.value = saved.name;
+  renderGraphQLSuggestions();
+}
 
-    const q = document.createElement('strong');
-    q.textContent = i.query;
+async function saveGraphQLQuery() {
+  try {
+    const saved = await postJson('/graphql/saved/save', { name: gqlName.value, query: gqlEditor.value, variables: gqlVariables.value });
+    gqlSaved.value = saved.id;
+    renderSavedQueries(await postJson('/graphql/saved', {}));
+    gqlStatus.textContent = 'Saved ' + saved.name;
+  } catch (e) {
+    gqlStatus.textContent = 'Error saving: ' + e.message;
+  }
+}
 
-    const c = document.createElement('div');
-    c.textContent = i.content;
+async function deleteGraphQLQuery() {
+  const saved = gqlSavedQueries.find((q) => q.id === gqlSaved.value);
+  if (!saved || !confirm('Delete the saved query ' + saved.name + '?')) return;
+  try {
+    await postJson('/graphql/saved/delete', { id: saved.id });
+    renderSavedQueries(await postJson('/graphql/saved', {}));
+    gqlStatus.textContent = 'Deleted ' + saved.name;
+  } catch (e) {
+    gqlStatus.textContent = 'Error deleting: ' + e.message;
+  }
+}
 
-    left.append(id, q, c);
+// the fields whose selection sets enclose the end of text, whether it is inside an argument list
+// (and whose), and the word being typed
+function graphQLContext(text) {
+  const stack = [];
+  let parens = 0;
+  let lastWord = '';
+  let argsOf = '';
+  let word = '';
+  for (const c of text) {
+    if (/\\w/.test(c)) {
+      word += c;
+      continue;
+    }
+    if (word && !parens) lastWord = word;
+    word = '';
+    if (c === '(') {
+      if (!parens) argsOf = lastWord;
+      parens++;
+    } else if (c === ')') {
+      parens = Math.max(0, parens - 1);
+      if (!parens) lastWord = argsOf;
+    } else if (c === '{' && !parens) {
+      stack.push(lastWord);
+      lastWord = '';
+    } else if (c === '}' && !parens) {
+      stack.pop();
+      lastWord = '';
+    }
+  }
+  return { stack, inArgs: parens > 0, argsOf, prefix: word };
+}
 
-    const del = document.createElement('button');
-    del.textContent = '✕';
-    del.onclick = (e) => {
-      e.stopPropagation();
-      delItem(i._additional.id);
+function renderGraphQLSuggestions() {
+  const { stack, inArgs, argsOf, prefix } = graphQLContext(gqlEditor.value.slice(0, gqlEditor.selectionStart));
+  const parent = stack[stack.length - 1];
+  const enclosing = [...stack, ...(inArgs ? [argsOf] : [])].reverse().find((name) => gqlSchema.some((c) => c.class === name));
+  const properties = gqlSchema.find((c) => c.class === enclosing)?.properties || [];
+
+  let words = [];
+  if (inArgs) words = [...properties, ...GRAPHQL_ARGUMENTS];
+  else if (stack.length === 1) words = GRAPHQL_ROOT_FIELDS;
+  else if (GRAPHQL_ROOT_FIELDS.includes(parent)) words = gqlSchema.map((c) => c.class);
+  else if (parent === '_additional') words = GRAPHQL_ADDITIONAL;
+  else if (parent === 'meta') words = ['count'];
+  else if (enclosing) words = [...properties, '_additional', ...(stack.includes('Aggregate') ? ['meta'] : [])];
+
+  gqlSuggestions = words.filter((w) => w.startsWith(prefix) && w !== prefix).slice(0, 15);
+  gqlSuggest.innerHTML = '';
+  for (const word of gqlSuggestions) {
+    const chip = document.createElement('span');
+    chip.className = 'suggestion';
+    chip.textContent = word;
+    chip.onmousedown = (e) => {
+      e.preventDefault();
+      insertGraphQLSuggestion(word);
     };
-
-    card.append(left, del);
-    list.appendChild(card);
-  });
-
-  highlightSelected();
+    gqlSuggest.appendChild(chip);
+  }
 }
 
-function highlightSelected() {
-  const list = document.getElementById('list');
-  if (!list) return;
-  const cards = list.querySelectorAll('.card');
-  cards.forEach((c) => c.classList.remove('selected'));
-  if (!selectedId) return;
+function insertGraphQLSuggestion(word) {
+  const position = gqlEditor.selectionStart;
+  const { prefix } = graphQLContext(gqlEditor.value.slice(0, position));
+  gqlEditor.setRangeText(word.slice(prefix.length), position, position, 'end');
+  gqlEditor.focus();
+  renderGraphQLSuggestions();
+}
 
-  for (const card of cards) {
-    const idEl = card.querySelector('.small');
-    if (idEl && idEl.textContent === selectedId) {
-      card.classList.add('selected');
-      break;
-    }
+gqlEditor.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    runGraphQL();
+  } else if (e.key === 'Tab' && gqlSuggestions.length) {
+    e.preventDefault();
+    insertGraphQLSuggestion(gqlSuggestions[0]);
   }
-}
+});
+gqlEditor.addEventListener('input', renderGraphQLSuggestions);
+gqlEditor.addEventListener('click', renderGraphQLSuggestions);
+gqlEditor.addEventListener('keyup', (e) => {
+  if (e.key.startsWith('Arrow')) renderGraphQLSuggestions();
+});
 
-async function selectObject(id) {
-  if (!id) return;
-  selectedId = id;
-  highlightSelected();
+let historyEntries = [];
 
-  if (selectedMeta) selectedMeta.textContent = 'Loading ' + id + '…';
-  if (selectedJson) selectedJson.textContent = '';
+async function refreshHistory(more = false) {
+  const classes = Array.from(objectClasses.options).map((o) => o.value);
+  if (!more) {
+    const previous = historyClass.value;
+    historyClass.innerHTML = '';
+    historyClass.appendChild(new Option('All classes', ''));
+    for (const name of classes) historyClass.appendChild(new Option(name, name));
+    historyClass.value = classes.includes(previous) ? previous : '';
+  }
 
+  let data;
   try {
-    const res = await fetch('/object', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ base: base(), apiKey: apiKeyInput.value, id })
+    data = await postJson('/history', {
+      class: historyClass.value || undefined,
+      action: historyAction.value || undefined,
+      offset: more ? historyEntries.length : 0,
     });
+  } catch (e) {
+    historyStatus.textContent = 'Error loading history: ' + e.message;
+    return;
+  }
+  historyEntries = more ? historyEntries.concat(data.entries) : data.entries;
 
-    if (!res.ok) {
-      const txt = await res.text().catch(() => String(res.status));
-      if (selectedMeta) selectedMeta.textContent = 'Error loading object: ' + txt;
-      return;
+  historyTable.innerHTML = '';
+  const head = historyTable.createTHead().insertRow();
+  for (const name of ['Time', 'User', 'Change', 'Class', 'Object', '']) {
+    head.appendChild(Object.assign(document.createElement('th'), { textContent: name }));
+  }
+  const body = historyTable.createTBody();
+  for (const entry of historyEntries) {
+    const row = body.insertRow();
+    row.insertCell().textContent = new Date(entry.time).toLocaleString();
+    row.insertCell().textContent = entry.user || '-';
+    row.insertCell().textContent = entry.action + (entry.undone ? ' (undone)' : '');
+    row.insertCell().textContent = (entry.class || '-') + (entry.tenant ? ' / ' + entry.tenant : '');
+    row.insertCell().textContent = entry.objectId || (entry.details ? JSON.stringify(entry.details) : '-');
+
+    const actions = row.insertCell();
+    const show = document.createElement('button');
+    show.textContent = 'Show';
+    show.onclick = () => showHistoryEntry(entry.id);
+    actions.appendChild(show);
+    if (entry.action === 'delete' && entry.hasBefore && !entry.undone) {
+      const undo = document.createElement('button');
+      undo.dataset.write = '';
+      undo.textContent = 'Undo';
+      undo.onclick = () => undoDelete(entry, undo);
+      actions.appendChild(undo);
     }
+  }
+  historyStatus.textContent = data.total ? historyEntries.length + ' of ' + data.total + ' changes' : 'No changes recorded yet.';
+  historyMoreBtn.disabled = historyEntries.length >= data.total;
+}
 
-    const obj = await res.json();
-    const cls = obj?.class || '-';
-    if (selectedMeta) selectedMeta.textContent = 'id: ' + id + ' — class: ' + cls;
-    if (selectedJson) selectedJson.textContent = JSON.stringify(obj, null, 2);
+async function showHistoryEntry(id) {
+  try {
+    historyEntry.textContent = JSON.stringify(await postJson('/history/entry', { id }), null, 2);
   } catch (e) {
-    if (selectedMeta) selectedMeta.textContent = 'Error loading object: ' + (e?.message || String(e));
+    historyEntry.textContent = 'Error loading entry: ' + e.message;
   }
 }
 
-async function refreshClasses() {
-  const res = await fetch('/classes', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ base: base(), apiKey: apiKeyInput.value })
-  });
+async function undoDelete(entry, button) {
+  button.disabled = true;
+  try {
+    await postJson('/history/undo', { id: entry.id });
+  } catch (e) {
+    historyStatus.textContent = 'Error undoing delete: ' + e.message;
+    button.disabled = false;
+    return;
+  }
+  await refreshHistory();
+  historyStatus.textContent = 'Re-created ' + entry.objectId;
+  if (entry.class === objectClasses.value) refreshList();
+}
 
-  if (!res.ok) {
-  	console.error(res)
-  	return;
+const backupList = document.getElementById('backupList');
+let backupRestoreTarget = null;
+
+async function refreshBackups() {
+  backupList.innerHTML = '';
+  renderBackupClassChoices(backupClasses, Array.from(objectClasses.options).map((o) => o.value), []);
+  let data;
+  try {
+    data = await postJson('/backups', { backend: backupBackend.value || undefined });
+  } catch (e) {
+    backupStatus.textContent = 'Error loading backups: ' + e.message;
+    return;
   }
 
-  const items = await res.json();
+  backupBackend.innerHTML = '';
+  for (const backend of data.backends) {
+    const option = document.createElement('option');
+    option.value = backend;
+    option.textContent = backend;
+    backupBackend.appendChild(option);
+  }
+  backupBackend.value = data.backend || '';
+  backupCreateBtn.disabled = !data.backend;
+  if (!data.backend) {
+    backupStatus.textContent = 'No backup module is enabled on this Weaviate server. Add backup-filesystem, backup-s3, backup-gcs or backup-azure to ENABLE_MODULES.';
+    return;
+  }
+  backupStatus.textContent = data.listError ? 'Only backups made here are listed: ' + data.listError : '';
 
-  objectClasses.innerHTML = "";
+  if (!data.backups.length) backupList.textContent = 'No backups yet.';
+  for (const backup of data.backups) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const text = document.createElement('div');
+    text.textContent = backup.id + ' — ' + (backup.status || 'unknown')
+      + (backup.started ? ' — ' + new Date(backup.started).toLocaleString() : '')
+      + (backup.classes?.length ? ' — ' + backup.classes.join(', ') : '')
+      + (backup.error ? ' — ' + backup.error : '');
+    const restore = document.createElement('button');
+    restore.textContent = 'Restore…';
+    restore.dataset.write = '';
+    restore.disabled = backup.status && backup.status !== 'SUCCESS';
+    restore.onclick = () => prepareRestore(backup);
+    card.append(text, restore);
+    backupList.appendChild(card);
+  }
+}
 
-  // populate select
-  items.forEach(item => {
-    const option = document.createElement("option");
-    option.value = item;
-    option.textContent = item;
-    objectClasses.appendChild(option);
-  });
+function renderBackupClassChoices(container, classes, checked) {
+  container.innerHTML = '';
+  for (const name of classes) {
+    const label = document.createElement('label');
+    label.className = 'row small';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = name;
+    box.checked = checked.includes(name);
+    label.append(box, name);
+    container.appendChild(label);
+  }
+}
 
-  await refreshList();
-  await refreshInfo();
+function checkedClasses(container) {
+  return Array.from(container.querySelectorAll('input:checked')).map((c) => c.value);
 }
 
-async function refreshInfo() {
-  if (!base()) {
-    if (statsDiv) statsDiv.innerHTML = '<span class="bold">Objects:</span> - (set Base URL)';
-    infoDiv.innerHTML = '-';
-    return;
+async function pollBackup(backend, id, operation, onStatus) {
+  while (true) {
+    const status = await postJson('/backups/status', { backend, id, operation });
+    onStatus(status);
+    if (${JSON.stringify(BACKUP_FINAL_STATUSES)}.includes(status?.status)) return status;
+    await new Promise((resolve) => setTimeout(resolve, ${BACKUP_POLL_MS}));
   }
-  const res = await fetch('/info', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ base: base(), apiKey: apiKeyInput.value })
-  });
+}
 
-  if (!res.ok) {
-    const txt = await res.text().catch(() => String(res.status));
-    infoDiv.innerHTML = '<div class="small">Error fetching info: ' + txt + '</div>';
-    if (statsDiv) statsDiv.innerHTML = '<span class="bold">Objects:</span> - (error)';
-    console.error('info fetch error', txt);
-    return;
+async function createBackup() {
+  const backend = backupBackend.value;
+  const id = backupId.value.trim() || 'backup-' + new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+  backupCreateBtn.disabled = true;
+  backupStatus.textContent = 'Starting backup ' + id + '…';
+  try {
+    await postJson('/backups/create', { backend, id, include: checkedClasses(backupClasses) });
+    const status = await pollBackup(backend, id, 'create', (s) => {
+      backupStatus.textContent = 'Backup ' + id + ': ' + s.status + (s.error ? ' — ' + s.error : '');
+    });
+    backupId.value = '';
+    if (status.status === 'SUCCESS') backupStatus.textContent = 'Backup ' + id + ' completed';
+  } catch (e) {
+    backupStatus.textContent = 'Backup failed: ' + e.message;
+  } finally {
+    backupCreateBtn.disabled = false;
   }
+  const message = backupStatus.textContent;
+  await refreshBackups();
+  if (!backupStatus.textContent) backupStatus.textContent = message;
+}
 
-  const data = await res.json();
-  const total = data.total ?? 'unknown';
-  const selectedClass = objectClasses.value;
-  const selectedCount = (data.classDetails && selectedClass && data.classDetails[selectedClass])
-    ? data.classDetails[selectedClass].count
-    : null;
+function prepareRestore(backup) {
+  backupRestoreTarget = backup;
+  restoreInfo.textContent = 'Restore ' + backup.id + ' from ' + backupBackend.value
+    + (backup.classes?.length ? '. Uncheck classes to leave them out.' : ' (all of its classes).');
+  renderBackupClassChoices(restoreClasses, backup.classes || [], backup.classes || []);
+  restoreClasses.querySelectorAll('input').forEach((box) => box.addEventListener('change', checkRestoreConflicts));
+  restoreConfirm.disabled = false;
+  restoreConfirm.value = '';
+  restoreBtn.disabled = true;
+  checkRestoreConflicts();
+}
 
-  if (statsDiv) {
-    const classPart = selectedClass
-      ? ' — ' + selectedClass + ': ' + (typeof selectedCount === 'number' ? selectedCount : 'unknown')
-      : '';
-    statsDiv.innerHTML = '<span class="bold">Objects:</span> ' + total + classPart;
-  }
-  let html = '<div class="small"><span class="bold">Total objects:</span> ' + total + '</div>';
+function checkRestoreConflicts() {
+  const existing = Array.from(objectClasses.options).map((o) => o.value);
+  const selected = backupRestoreTarget?.classes?.length ? checkedClasses(restoreClasses) : [];
+  const conflicts = selected.filter((c) => existing.includes(c));
+  restoreWarning.textContent = conflicts.length
+    ? 'These classes already exist and Weaviate will not restore over them: ' + conflicts.join(', ') + '. Delete them in the Schema tab or uncheck them.'
+    : '';
+}
 
-  if (data.classDetails && Object.keys(data.classDetails).length) {
-    html += '<div class="small" style="margin-top:8px"><span class="bold">Per-class objects:</span></div>';
-    const entries = Object.entries(data.classDetails)
-      .map(([k, v]) => [k, v?.count])
-      .sort((a, b) => {
-        const av = typeof a[1] === 'number' ? a[1] : -1;
-        const bv = typeof b[1] === 'number' ? b[1] : -1;
-        return bv - av;
-      });
+restoreConfirm.addEventListener('input', () => {
+  restoreBtn.disabled = !backupRestoreTarget || restoreConfirm.value !== backupRestoreTarget.id;
+});
 
-    for (const [k, countVal] of entries) {
-      const count = typeof countVal === 'number' ? countVal : 'unknown';
-      html += '<div class="small">' + k + ': ' + count + '</div>';
-    }
+async function restoreBackup() {
+  const backup = backupRestoreTarget;
+  if (!backup) return;
+  const backend = backupBackend.value;
+  const include = backup.classes?.length ? checkedClasses(restoreClasses) : [];
+  if (backup.classes?.length && !include.length) {
+    restoreWarning.textContent = 'Check at least one class';
+    return;
   }
 
-  // also show basic meta
-  if (data.meta) {
-    const ver = (data.meta.version && data.meta.version.full) ? data.meta.version.full : JSON.stringify(data.meta.version || '-');
-    html += '<div class="small" style="margin-top:8px">Weaviate version: ' + ver + '</div>';
+  restoreBtn.disabled = true;
+  restoreWarning.textContent = '';
+  restoreInfo.textContent = 'Starting restore of ' + backup.id + '…';
+  try {
+    await postJson('/backups/restore', { backend, id: backup.id, include, confirm: restoreConfirm.value });
+    const status = await pollBackup(backend, backup.id, 'restore', (s) => {
+      restoreInfo.textContent = 'Restore ' + backup.id + ': ' + s.status + (s.error ? ' — ' + s.error : '');
+    });
+    if (status.status === 'SUCCESS') {
+      restoreInfo.textContent = 'Restore of ' + backup.id + ' completed';
+      refreshClasses();
+    }
+  } catch (e) {
+    restoreInfo.textContent = 'Restore failed: ' + e.message;
+  } finally {
+    restoreConfirm.value = '';
   }
+}
+
+const evalSet = document.getElementById('evalSet');
+const evalQueries = document.getElementById('evalQueries');
+const evalResults = document.getElementById('evalResults');
+const evalRunsDiv = document.getElementById('evalRuns');
+let evalSets = [];
+let evalRuns = [];
+let evalRun = null;
 
-  infoDiv.innerHTML = html;
+async function refreshEvalSets(selectIdValue) {
+  try {
+    evalSets = await postJson('/eval/sets', {});
+  } catch (e) {
+    evalSetStatus.textContent = 'Error loading evaluation sets: ' + e.message;
+    return;
+  }
+  evalSet.innerHTML = '';
+  const blank = document.createElement('option');
+  blank.value = '';
+  blank.textContent = 'New set…';
+  evalSet.appendChild(blank);
+  for (const set of evalSets) {
+    const option = document.createElement('option');
+    option.value = set.id;
+    option.textContent = set.name + ' (' + set.class + ', ' + set.queries.length + ' queries)';
+    evalSet.appendChild(option);
+  }
+  evalSet.value = selectIdValue || '';
+  selectEvalSet();
 }
 
-async function addItem() {
-  addBtn.disabled = true;
-  await fetch('/add', {
-    method:'POST',
-    headers:{'Content-Type':'application/json'},
-    body:JSON.stringify({
-      base: base(),
-      query: addQuery.value,
-      content: addContent.value,
-      class: objectClasses.value,
-      apiKey: apiKeyInput.value
-    })
-  });
-  addQuery.value = '';
-  addContent.value = '';
-  addBtn.disabled = false;
-  refreshList();
+function selectEvalSet() {
+  const set = evalSets.find((s) => s.id === evalSet.value);
+  evalName.value = set ? set.name : '';
+  evalFormat.value = 'jsonl';
+  evalQueries.value = set ? set.queries.map((q) => JSON.stringify(q)).join('\\n') : '';
+  evalDeleteBtn.disabled = !set;
+  evalSetStatus.textContent = set ? 'Class ' + set.class + ', updated ' + new Date(set.updated).toLocaleString() : '';
+  evalRun = null;
+  evalDownloadBtn.disabled = true;
+  evalResults.innerHTML = '';
+  refreshEvalRuns();
 }
 
-async function delItem(id) {
-  await fetch('/delete', {
-    method:'POST',
-    headers:{'Content-Type':'application/json'},
-    body:JSON.stringify({ base: base(), id, apiKey: apiKeyInput.value })
-  });
-  refreshList();
+evalFile.addEventListener('change', async () => {
+  const file = evalFile.files[0];
+  if (!file) return;
+  const name = file.name.toLowerCase();
+  evalFormat.value = name.endsWith('.csv') ? 'csv' : name.endsWith('.json') ? 'json' : 'jsonl';
+  evalQueries.value = await file.text();
+  if (!evalName.value) evalName.value = file.name.replace(/\\.[^.]+$/, '');
+});
+
+async function saveEvalSet() {
+  const current = evalSets.find((s) => s.id === evalSet.value);
+  const className = current ? current.class : objectClasses.value;
+  if (!className) {
+    evalSetStatus.textContent = 'Select a class first';
+    return;
+  }
+  try {
+    const set = await postJson('/eval/sets/save', {
+      id: current?.id,
+      name: evalName.value.trim(),
+      class: className,
+      format: evalFormat.value,
+      data: evalQueries.value,
+    });
+    await refreshEvalSets(set.id);
+    evalSetStatus.textContent = 'Saved ' + set.queries.length + ' queries for class ' + set.class;
+  } catch (e) {
+    evalSetStatus.textContent = 'Save failed: ' + e.message;
+  }
 }
 
-async function runSearch() {
-  const res = await fetch('/search', {
-    method:'POST',
-    headers:{'Content-Type':'application/json'},
-    body:JSON.stringify({
-      base: base(),
-//      type: searchType.value,
-	  type: "hybrid",
-	  alpha: hybridAlpha.value,
-      query: searchInput.value,
-      class: objectClasses.value,
-      apiKey: apiKeyInput.value
-    })
-  });
+async function deleteEvalSet() {
+  const set = evalSets.find((s) => s.id === evalSet.value);
+  if (!set || !confirm('Delete evaluation set ' + set.name + ' and its runs?')) return;
+  try {
+    await postJson('/eval/sets/delete', { id: set.id });
+    await refreshEvalSets();
+  } catch (e) {
+    evalSetStatus.textContent = 'Delete failed: ' + e.message;
+  }
+}
 
-  if (!res.ok) {
-  	console.error(res)
-  	return;
+async function runEvaluation() {
+  if (!evalSet.value) {
+    evalStatus.textContent = 'Save or choose an evaluation set first';
+    return;
   }
+  const types = Array.from(document.querySelectorAll('.eval-type:checked')).map((c) => c.value);
+  const alphas = evalAlphas.value.split(/[\\s,;]+/).filter(Boolean).map(Number);
 
-  const data = await res.json();
-  const out = document.getElementById('searchResults');
-  out.innerHTML = '';
+  evalRunBtn.disabled = true;
+  evalStatus.textContent = 'Running…';
+  evalProgress.value = 0;
+  let run = null;
 
-  data.forEach(i => {
-	const result = document.createElement('div');
-	result.className = 'col';
-	result.style.gap = 'none';
-  if (i?._additional?.id) {
-    result.style.cursor = 'pointer';
-    result.onclick = () => selectObject(i._additional.id);
+  try {
+    const res = await fetch('/eval/run', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        profile: profile(),
+        tenant: tenant(),
+        setId: evalSet.value,
+        types,
+        alphas,
+        fusionType: evalFusion.value || undefined,
+        k: evalK.value,
+        where: evalFiltered.checked && activeFilter ? activeFilter : undefined,
+      })
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      evalStatus.textContent = 'Evaluation failed: ' + (err.error || res.status);
+      return;
+    }
+
+    await readNdjson(res, (event) => {
+      if (event.type === 'error') {
+        evalStatus.textContent = 'Evaluation failed: ' + event.message;
+      } else if (event.type === 'progress') {
+        evalProgress.max = event.total || 1;
+        evalProgress.value = event.processed;
+        evalStatus.textContent = event.processed + ' / ' + event.total + ' searches';
+      } else if (event.type === 'done') {
+        run = event.run;
+      }
+    });
+  } catch (e) {
+    evalStatus.textContent = 'Evaluation failed: ' + (e?.message || String(e));
+  } finally {
+    evalRunBtn.disabled = false;
   }
 
-	const queryRow = document.createElement('div');
-	const contentRow = document.createElement('div');
-	const scoreRow = document.createElement('div');
+  if (run) {
+    evalStatus.textContent = 'Done: ' + run.results.length + ' configurations at k=' + run.k;
+    await refreshEvalRuns();
+    showEvalRun(run.id);
+  }
+}
 
-	const score = i._additional.score ?? i._additional.certainty;
+async function refreshEvalRuns() {
+  evalRunsDiv.innerHTML = '';
+  if (!evalSet.value) return;
+  try {
+    evalRuns = await postJson('/eval/runs', { setId: evalSet.value });
+  } catch (e) {
+    evalRunsDiv.textContent = 'Error loading runs: ' + e.message;
+    return;
+  }
+  for (const run of evalRuns.slice().reverse()) {
+    const best = bestEvalResult(run);
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.style.cursor = 'pointer';
+    card.onclick = () => showEvalRun(run.id);
+    card.textContent = new Date(run.startedAt).toLocaleString() + ' — ' + (run.profile || 'ad-hoc') + ', k=' + run.k
+      + (best ? ', best ' + best.label + ' nDCG ' + best.metrics.ndcg.toFixed(3) : '');
+    evalRunsDiv.appendChild(card);
+  }
+}
 
-	queryRow.textContent = \`\${i.query}\`;
-	contentRow.textContent = \`\${i.content}\`;
-	scoreRow.textContent = \`Score: \${score}\`;
+function bestEvalResult(run) {
+  return run.results.reduce((best, r) => (!best || r.metrics.ndcg > best.metrics.ndcg ? r : best), null);
+}
 
-	queryRow.className = 'bold';
+function showEvalRun(id) {
+  const index = evalRuns.findIndex((r) => r.id === id);
+  if (index < 0) return;
+  evalRun = evalRuns[index];
+  evalDownloadBtn.disabled = false;
+  const previous = evalRuns[index - 1];
+  const best = bestEvalResult(evalRun);
+  const metrics = [['recall', 'Recall@' + evalRun.k], ['precision', 'Precision@' + evalRun.k], ['mrr', 'MRR'], ['ndcg', 'nDCG@' + evalRun.k]];
+
+  const table = document.createElement('table');
+  table.className = 'metrics';
+  const head = table.createTHead().insertRow();
+  for (const label of ['Configuration', ...metrics.map((m) => m[1])]) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const result of evalRun.results) {
+    const row = body.insertRow();
+    if (result === best) row.className = 'best';
+    row.insertCell().textContent = result.label;
+    const before = previous?.results.find((r) => r.label === result.label);
+    for (const [key] of metrics) {
+      const cell = row.insertCell();
+      cell.textContent = result.metrics[key].toFixed(3);
+      if (before) {
+        const delta = result.metrics[key] - before.metrics[key];
+        if (Math.abs(delta) >= 0.0005) {
+          const span = document.createElement('span');
+          span.textContent = ' (' + (delta > 0 ? '+' : '') + delta.toFixed(3) + ')';
+          span.style.color = delta > 0 ? 'var(--accent)' : '#ff8a8a';
+          cell.appendChild(span);
+        }
+      }
+    }
+  }
 
-	for (let ele of [queryRow,  contentRow, scoreRow])
-		result.appendChild(ele)
+  evalResults.innerHTML = '';
+  const caption = document.createElement('div');
+  caption.className = 'small';
+  caption.textContent = evalRun.setName + ' on ' + (evalRun.profile || 'ad-hoc') + ', ' + new Date(evalRun.startedAt).toLocaleString();
+  evalResults.append(caption, table);
+}
 
-	out.appendChild(result);
-  });
+function downloadEvalRun() {
+  if (!evalRun) return;
+  const blob = new Blob([JSON.stringify(evalRun, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'evaluation-' + evalRun.setName.replace(/[^\\w-]+/g, '_') + '-' + evalRun.startedAt.slice(0, 19).replace(/:/g, '') + '.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
 }
 
-refreshClasses();
+loadProfileOptions().then(() => refreshClasses());
+refreshEvalSets();
 </script>
 
 </body>
 </html>`;
 }
 
-app.listen(PORT, () => {
-  console.log(`UI running at http://localhost:${PORT}`);
-});
+// the tests in test/ import the helpers below without starting the server
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    console.log(`UI running at http://localhost:${PORT}`);
+  });
+}
+
+export {
+  app,
+  HttpError,
+  weaviateFetch,
+  buildCountsQuery,
+  coercePropertyValue,
+  coerceProperties,
+  parseListPaging,
+  nextListPage,
+  parseCsv,
+  parseImportRecords,
+  parseVector,
+  buildImportObject,
+  toExportRecord,
+  csvField,
+  writeWithBackpressure,
+  parseEvalQueries,
+  parseEvalConfigs,
+  scoreRanking,
+  meanScores,
+  normalizeWhereFilter,
+  serializeWhereFilter,
+  buildWhereFilter,
+  countTokens,
+  htmlToText,
+  splitByTokens,
+  packBlocks,
+  chunkDocument,
+  parseChunkOptions,
+  fillTemplate,
+  buildContextPrompt,
+  migrateObject,
+  stableStringify,
+  diffValues,
+  comparableSchema,
+  contentHash,
+  parseSyncRequest,
+  projectPca,
+  projectTsne,
+  parseBackupInclude,
+  parseSearchOptions,
+  buildSearchQuery,
+  loadProfiles,
+  resolveConnection,
+  duplicateTextKey,
+  unitVector,
+  findDuplicateClusters,
+  resolveTenant,
+  withTenant,
+  tenantArg,
+  buildListQuery,
+  buildAggregateQuery,
+  namedVectors,
+  isReferenceProperty,
+  referenceBeacon,
+  buildPropertySelection,
+  collectHealth,
+  snapshotToObject,
+};
@@ -0,0 +1,113 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadManage } from "./support/server.js";
+
+const { request, close } = await loadManage({
+  auth: {
+    mode: "session",
+    users: {
+      admin: { password: "secret" },
+      viewer: { password: "look", role: "read-only" },
+      nopass: { role: "admin" },
+    },
+    tokens: [{ token: "t0ken", name: "ci" }, { token: "v1ew", name: "reader", role: "read-only" }],
+  },
+});
+
+after(close);
+
+const login = (username, password) => request("/login", {
+  method: "POST",
+  headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams({ username, password }),
+});
+const basic = (name, password) => `Basic ${Buffer.from(`${name}:${password}`).toString("base64")}`;
+const csrfToken = async (headers) => (await (await request("/", { headers })).text()).match(/"csrfToken":"(\w+)"/)[1];
+
+describe("login", () => {
+  it("starts a session for a configured user", async () => {
+    const res = await login("admin", "secret");
+    assert.equal(res.status, 302);
+    assert.match(res.headers.get("set-cookie"), /^weaviate_admin_session=\w+; HttpOnly/);
+  });
+
+  it("rejects wrong passwords, users without a password and inherited names", async () => {
+    for (const [name, password] of [["admin", "wrong"], ["nopass", "undefined"], ["nopass", ""], ["constructor", "undefined"], ["__proto__", "undefined"], ["toString", "undefined"]]) {
+      assert.equal((await login(name, password)).status, 401, name);
+    }
+  });
+
+  it("sends unauthenticated page loads to the login form", async () => {
+    const res = await request("/");
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get("location"), "/login");
+    assert.equal((await request("/profiles")).status, 401);
+  });
+});
+
+describe("basic auth", () => {
+  it("accepts configured users", async () => {
+    assert.equal((await request("/profiles", { headers: { Authorization: basic("admin", "secret") } })).status, 200);
+  });
+
+  it("rejects wrong passwords and inherited names", async () => {
+    for (const [name, password] of [["admin", "nope"], ["constructor", "undefined"], ["nopass", "undefined"]]) {
+      assert.equal((await request("/profiles", { headers: { Authorization: basic(name, password) } })).status, 401, name);
+    }
+  });
+});
+
+describe("bearer tokens", () => {
+  it("accept known tokens without a CSRF token", async () => {
+    const res = await request("/delete", {
+      method: "POST",
+      headers: { Authorization: "Bearer t0ken", "Content-Type": "application/json" },
+      body: "{}",
+    });
+    // past authentication and the role check, stopped by the missing connection
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: "Missing connection profile" });
+  });
+
+  it("reject unknown tokens", async () => {
+    assert.equal((await request("/profiles", { headers: { Authorization: "Bearer nope" } })).status, 401);
+  });
+});
+
+describe("read-only role", () => {
+  it("can read but not write", async () => {
+    const headers = { Authorization: "Bearer v1ew" };
+    assert.equal((await request("/profiles", { headers })).status, 200);
+    const res = await request("/delete", { method: "POST", headers: { ...headers, "Content-Type": "application/json" }, body: "{}" });
+    assert.equal(res.status, 403);
+    assert.match((await res.json()).error, /Read-only users/);
+  });
+
+  it("applies to sessions too", async () => {
+    const cookie = (await login("viewer", "look")).headers.get("set-cookie").split(";")[0];
+    const token = await csrfToken({ cookie });
+    const res = await request("/delete", {
+      method: "POST",
+      headers: { cookie, "X-CSRF-Token": token, "Content-Type": "application/json" },
+      body: "{}",
+    });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("CSRF", () => {
+  it("requires the token of the session on browser writes", async () => {
+    const cookie = (await login("admin", "secret")).headers.get("set-cookie").split(";")[0];
+    const post = (headers) => request("/logout", { method: "POST", headers: { cookie, ...headers } });
+    assert.equal((await post({})).status, 403);
+    assert.equal((await post({ "X-CSRF-Token": "0".repeat(64) })).status, 403);
+    assert.equal((await post({ "X-CSRF-Token": await csrfToken({ cookie }) })).status, 200);
+  });
+
+  it("requires it with basic auth as well", async () => {
+    const headers = { Authorization: basic("admin", "secret") };
+    const post = (extra) => request("/logout", { method: "POST", headers: { ...headers, ...extra } });
+    assert.equal((await post({})).status, 403);
+    assert.equal((await post({ "X-CSRF-Token": await csrfToken(headers) })).status, 200);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { startWeaviate, loadManage, json } from "./support/server.js";
+
+const weaviate = await startWeaviate();
+const { routes, count } = weaviate;
+const { HttpError, parseBackupInclude, post, close } = await loadManage({ profiles: { mock: { url: weaviate.url } } });
+
+after(() => {
+  close();
+  weaviate.close();
+});
+
+describe("parseBackupInclude", () => {
+  it("takes all classes when none are named", () => {
+    for (const include of [undefined, null, []]) assert.equal(parseBackupInclude(include), null);
+  });
+
+  it("keeps a list of class names", () => {
+    assert.deepEqual(parseBackupInclude(["Doc", "Note_2"]), ["Doc", "Note_2"]);
+  });
+
+  it("answers anything else with 400", () => {
+    for (const include of ["Doc", { 0: "Doc", length: 1 }, [1], ["doc"], ["Doc", ""]]) {
+      assert.throws(() => parseBackupInclude(include), (e) => e instanceof HttpError && e.status === 400);
+    }
+  });
+});
+
+describe("backup routes", () => {
+  let sent;
+  beforeEach(() => {
+    sent = null;
+    weaviate.received.length = 0;
+    routes["GET /v1/meta"] = json({ modules: { "backup-filesystem": {}, "text2vec-openai": {} } });
+    routes["GET /v1/schema"] = json({ classes: [{ class: "Doc" }] });
+    routes["GET /v1/backups/filesystem"] = json([{ id: "nightly", classes: ["Doc", "Note"], status: "SUCCESS", startedAt: "2024-01-01T00:00:00Z" }]);
+    const accept = (status) => (_, res, body) => {
+      sent = JSON.parse(body);
+      json({ ...sent, classes: sent.include || ["Doc", "Note"], status })(_, res);
+    };
+    routes["POST /v1/backups/filesystem"] = accept("STARTED");
+    routes["POST /v1/backups/filesystem/nightly/restore"] = accept("STARTED");
+  });
+
+  it("lists the backends and backups", async () => {
+    const result = await (await post("/backups", { profile: "mock" })).json();
+    assert.deepEqual(result.backends, ["filesystem"]);
+    assert.deepEqual(result.backups.map((b) => [b.id, b.status]), [["nightly", "SUCCESS"]]);
+  });
+
+  it("creates a backup of the chosen classes", async () => {
+    assert.equal((await post("/backups/create", { profile: "mock", backend: "filesystem", id: "daily-1", include: ["Doc"] })).status, 200);
+    assert.deepEqual(sent, { id: "daily-1", include: ["Doc"] });
+    assert.equal((await post("/backups/create", { profile: "mock", backend: "filesystem", id: "Daily 1" })).status, 400);
+  });
+
+  it("refuses to restore over existing classes", async () => {
+    const res = await post("/backups/restore", { profile: "mock", backend: "filesystem", id: "nightly", confirm: "nightly" });
+    assert.equal(res.status, 409);
+    assert.match((await res.json()).error, /Classes already exist: Doc/);
+    assert.equal(count("POST /v1/backups/filesystem/nightly/restore"), 0);
+  });
+
+  it("restores the chosen classes once confirmed", async () => {
+    const restore = (body) => post("/backups/restore", { profile: "mock", backend: "filesystem", id: "nightly", ...body });
+    assert.equal((await restore({ include: ["Note"], confirm: "other" })).status, 400);
+    assert.equal((await restore({ include: "Note", confirm: "nightly" })).status, 400);
+    assert.equal((await restore({ include: ["Note"], confirm: "nightly" })).status, 200);
+    assert.deepEqual(sent, { include: ["Note"] });
+  });
+});
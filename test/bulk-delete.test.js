@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { startWeaviate, loadManage, json } from "./support/server.js";
+
+const weaviate = await startWeaviate();
+const { routes } = weaviate;
+const { post, dataDir, close } = await loadManage({ profiles: { mock: { url: weaviate.url } } });
+
+after(() => {
+  close();
+  weaviate.close();
+});
+
+const where = { path: "rank", operator: "LessThan", value: "2" };
+let deletes;
+beforeEach(() => {
+  deletes = [];
+  routes["GET /v1/schema/Doc"] = json({ class: "Doc", properties: [{ name: "title", dataType: ["text"] }, { name: "rank", dataType: ["int"] }] });
+  routes["DELETE /v1/batch/objects"] = (_, res, body) => {
+    const request = JSON.parse(body);
+    deletes.push(request);
+    const status = request.dryRun ? "DRYRUN" : "SUCCESS";
+    json({ results: { matches: 2, limit: 10000, successful: request.dryRun ? 0 : 2, failed: 0, objects: [{ id: "u1", status }, { id: "u2", status }] } })(_, res);
+  };
+  routes["POST /v1/graphql"] = json({ data: { Get: { Doc: [{ title: "a", _additional: { id: "u1" } }] } } });
+  routes["GET /v1/objects/Doc/u1"] = json({ class: "Doc", id: "u1", properties: { title: "a", rank: 1 } });
+  routes["GET /v1/objects/Doc/u2"] = json({ class: "Doc", id: "u2", properties: { title: "b", rank: 0 } });
+});
+
+const deleteByFilter = (body) => post("/delete/filter", { profile: "mock", class: "Doc", where, ...body });
+
+describe("/delete/filter", () => {
+  it("previews the matches without deleting", async () => {
+    const preview = await (await deleteByFilter({})).json();
+    assert.deepEqual(preview, { dryRun: true, matches: 2, limit: 10000, sample: [{ title: "a", _additional: { id: "u1" } }] });
+    assert.deepEqual(deletes, [{
+      match: { class: "Doc", where: { path: ["rank"], operator: "LessThan", valueInt: 2 } },
+      output: "verbose",
+      dryRun: true,
+    }]);
+  });
+
+  it("refuses to delete when the count changed since the preview", async () => {
+    const res = await deleteByFilter({ dryRun: false, expected: 1 });
+    assert.equal(res.status, 409);
+    assert.match((await res.json()).error, /now matches 2 objects, not 1/);
+    assert.equal(deletes.filter((d) => !d.dryRun).length, 0);
+  });
+
+  it("deletes the confirmed matches and records each with its snapshot", async () => {
+    const res = await deleteByFilter({ dryRun: false, expected: 2 });
+    assert.deepEqual(await res.json(), { dryRun: false, matches: 2, limit: 10000, successful: 2, failed: 0, errors: [] });
+    const audit = readFileSync(join(dataDir, "audit.jsonl"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(audit.map((e) => [e.action, e.objectId, e.before.properties.title]), [["delete", "u1", "a"], ["delete", "u2", "b"]]);
+    assert.deepEqual(audit[0].details, { filter: where });
+  });
+
+  it("needs a filter", async () => {
+    const res = await post("/delete/filter", { profile: "mock", class: "Doc" });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Missing filter/);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { countTokens, htmlToText, splitByTokens, packBlocks, chunkDocument, parseChunkOptions } from "../manage.js";
+
+describe("countTokens", () => {
+  it("counts words and punctuation marks", () => {
+    assert.equal(countTokens("Hello, wörld 42!"), 5);
+    assert.equal(countTokens("  \n "), 0);
+  });
+});
+
+describe("htmlToText", () => {
+  it("turns headings into # lines and drops scripts and markup", () => {
+    const html = "<head><title>x</title></head><h2>Intro <b>here</b></h2><p>One &amp; two</p><script>alert(1)</script><ul><li>a</li></ul>";
+    assert.equal(htmlToText(html), "## Intro here\n\nOne & two\n\n- a");
+  });
+});
+
+describe("splitByTokens", () => {
+  it("cuts windows that repeat the overlap", () => {
+    assert.deepEqual(splitByTokens("a b c d e", 3, 1), ["a b c", "c d e"]);
+  });
+
+  it("keeps the original spacing inside a chunk", () => {
+    assert.deepEqual(splitByTokens("a\n\nb c", 5, 0), ["a\n\nb c"]);
+  });
+
+  it("returns nothing for an empty text", () => {
+    assert.deepEqual(splitByTokens("", 3, 1), []);
+  });
+});
+
+describe("packBlocks", () => {
+  it("packs whole blocks up to the size and cuts larger ones", () => {
+    assert.deepEqual(packBlocks(["a b", "c", "d e f g"], 3, 0), ["a b\n\nc", "d e f", "g"]);
+  });
+});
+
+describe("chunkDocument", () => {
+  const markdown = "# One\n\nfirst part\n\n# Two\n\nsecond part of the text\n\nmore words here";
+
+  it("makes a chunk of every markdown section", () => {
+    assert.deepEqual(chunkDocument(markdown, { format: "markdown", strategy: "headings", size: 20, overlap: 0 }), [
+      "# One\n\nfirst part",
+      "# Two\n\nsecond part of the text\n\nmore words here",
+    ]);
+  });
+
+  it("repeats the heading on every piece of a large section", () => {
+    const chunks = chunkDocument(markdown, { format: "markdown", strategy: "headings", size: 7, overlap: 0 });
+    assert.deepEqual(chunks.slice(1), ["# Two\n\nsecond part of the text", "# Two\n\nmore words here"]);
+  });
+
+  it("normalizes line endings and drops a byte order mark", () => {
+    assert.deepEqual(chunkDocument("\uFEFFa\r\n\r\nb", { format: "text", strategy: "paragraphs", size: 1, overlap: 0 }), ["a", "b"]);
+  });
+
+  it("returns no chunks for an empty document", () => {
+    assert.deepEqual(chunkDocument("  \n\n ", { format: "text", strategy: "tokens", size: 5, overlap: 0 }), []);
+  });
+});
+
+describe("parseChunkOptions", () => {
+  it("fills in the defaults, keeping the overlap below a small size", () => {
+    assert.deepEqual(parseChunkOptions({}), { format: "text", strategy: "tokens", size: 300, overlap: 50 });
+    assert.equal(parseChunkOptions({ size: "10" }).overlap, 9);
+  });
+
+  it("rejects unknown formats and out of range sizes", () => {
+    assert.throws(() => parseChunkOptions({ format: "pdf" }), /format must be one of/);
+    assert.throws(() => parseChunkOptions({ strategy: "words" }), /strategy must be one of/);
+    assert.throws(() => parseChunkOptions({ size: 4001 }), /size must be between 1 and 4000/);
+    assert.throws(() => parseChunkOptions({ size: 10, overlap: 10 }), /overlap must be at least 0 and less than size/);
+  });
+});
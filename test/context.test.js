@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fillTemplate, buildContextPrompt, countTokens } from "../manage.js";
+
+describe("fillTemplate", () => {
+  it("fills placeholders, leaving missing values empty", () => {
+    assert.equal(fillTemplate("{{ a }}-{{b}}-{{missing}}", { a: 1, b: { c: 2 } }), '1-{"c":2}-');
+  });
+});
+
+describe("buildContextPrompt", () => {
+  const hits = [
+    { content: "one two three", _additional: { id: "a", score: "0.9" } },
+    { content: "four five six seven eight", _additional: { id: "b", score: "0.8" } },
+    { content: "nine", _additional: { id: "c", score: "0.7" } },
+  ];
+  const options = { template: "Q: {{query}}\n{{context}}", hitTemplate: "{{rank}} {{content}}", query: "why" };
+
+  it("includes every hit that fits the budget", () => {
+    const result = buildContextPrompt(hits, { ...options, budget: 100 });
+    assert.equal(result.prompt, "Q: why\n1 one two three\n\n2 four five six seven eight\n\n3 nine");
+    assert.equal(result.templateTokens, 3);
+    assert.equal(result.tokens, countTokens(result.prompt));
+    assert.deepEqual(result.hits.map((h) => [h.id, h.rank, h.tokens, h.included]), [["a", 1, 4, true], ["b", 2, 6, true], ["c", 3, 2, true]]);
+  });
+
+  it("drops the hit that overflows the budget and all after it, even when a later one would fit", () => {
+    const result = buildContextPrompt(hits, { ...options, budget: 10 });
+    assert.equal(result.prompt, "Q: why\n1 one two three");
+    assert.deepEqual(result.hits.map((h) => h.included), [true, false, false]);
+    assert.ok(result.tokens <= 10);
+  });
+
+  it("includes no hits when the template alone is over the budget", () => {
+    const result = buildContextPrompt(hits, { ...options, budget: 2 });
+    assert.equal(result.prompt, "Q: why\n");
+    assert.ok(result.hits.every((h) => !h.included));
+  });
+
+  it("fills an empty context without hits", () => {
+    assert.equal(buildContextPrompt([], { ...options, budget: 100 }).prompt, "Q: why\n");
+  });
+});
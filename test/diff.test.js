@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { stableStringify, diffValues, comparableSchema, contentHash, parseSyncRequest } from "../manage.js";
+
+describe("stableStringify", () => {
+  it("sorts object keys at every level", () => {
+    assert.equal(stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null } }), '{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}');
+  });
+
+  it("writes undefined as null", () => {
+    assert.equal(stableStringify(undefined), "null");
+    assert.equal(stableStringify([undefined]), "[null]");
+  });
+});
+
+describe("diffValues", () => {
+  it("finds nothing in equal values with keys in another order", () => {
+    assert.deepEqual(diffValues({ a: 1, b: { c: [1, 2] } }, { b: { c: [1, 2] }, a: 1 }), []);
+  });
+
+  it("reports nested differences by dotted path", () => {
+    assert.deepEqual(diffValues({ a: { b: 1, c: 2 } }, { a: { b: 1, c: 3 } }), [{ path: "a.c", source: 2, target: 3 }]);
+  });
+
+  it("reports properties missing on either side as null", () => {
+    assert.deepEqual(diffValues({ title: "x" }, { body: "y" }), [
+      { path: "body", source: null, target: "y" },
+      { path: "title", source: "x", target: null },
+    ]);
+  });
+
+  it("compares arrays as a whole", () => {
+    assert.deepEqual(diffValues({ tags: ["a", "b"] }, { tags: ["b", "a"] }), [{ path: "tags", source: ["a", "b"], target: ["b", "a"] }]);
+  });
+});
+
+describe("comparableSchema", () => {
+  const classDef = {
+    class: "Doc",
+    vectorizer: "none",
+    shardingConfig: { desiredCount: 1 },
+    properties: [{ name: "parent", dataType: ["Doc"] }, { name: "title", dataType: ["text"] }],
+  };
+
+  it("keys properties by name and leaves instance specific settings out", () => {
+    const schema = comparableSchema(classDef, "Page");
+    assert.deepEqual(Object.keys(schema).sort(), ["properties", "vectorizer"]);
+    assert.deepEqual(schema.properties.title, { name: "title", dataType: ["text"] });
+  });
+
+  it("names references to the class itself after the other side", () => {
+    assert.deepEqual(comparableSchema(classDef, "Page").properties.parent.dataType, ["Page"]);
+  });
+
+  it("shows a property missing on the target as a difference", () => {
+    const target = { ...classDef, class: "Page", properties: [{ name: "parent", dataType: ["Page"] }] };
+    assert.deepEqual(diffValues(comparableSchema(classDef, "Page"), comparableSchema(target, "Page")), [
+      { path: "properties.title", source: { name: "title", dataType: ["text"] }, target: null },
+    ]);
+  });
+});
+
+describe("contentHash", () => {
+  const object = { properties: { a: 1, b: "x" }, vector: [1, 2] };
+
+  it("does not depend on key order", () => {
+    assert.equal(contentHash(object, false), contentHash({ properties: { b: "x", a: 1 } }, false));
+  });
+
+  it("counts vectors only when asked", () => {
+    const moved = { ...object, vector: [2, 1] };
+    assert.equal(contentHash(object, false), contentHash(moved, false));
+    assert.notEqual(contentHash(object, true), contentHash(moved, true));
+  });
+
+  it("tells a missing property from a present one", () => {
+    assert.notEqual(contentHash({ properties: { a: 1 } }, false), contentHash({ properties: { a: 1, b: "" } }, false));
+  });
+});
+
+describe("parseSyncRequest", () => {
+  it("writes added and changed objects and copies vectors only when asked", () => {
+    assert.deepEqual(parseSyncRequest({ add: ["a"], update: ["b"], remove: ["c"] }), { write: ["a", "b"], remove: ["c"], includeVectors: false });
+    assert.equal(parseSyncRequest({ add: ["a"], includeVectors: "true" }).includeVectors, false);
+    assert.equal(parseSyncRequest({ add: ["a"], includeVectors: true }).includeVectors, true);
+  });
+
+  it("rejects empty and oversized selections", () => {
+    assert.throws(() => parseSyncRequest({ add: "a" }), /Nothing selected/);
+    assert.throws(() => parseSyncRequest({ remove: Array.from({ length: 1001 }, (_, i) => `id-${i}`) }), /At most 1000/);
+  });
+});
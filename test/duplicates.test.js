@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { duplicateTextKey, unitVector, findDuplicateClusters } from "../manage.js";
+
+describe("duplicateTextKey", () => {
+  it("ignores case and whitespace", () => {
+    assert.equal(duplicateTextKey({ title: " Hello  World\n" }, ["title"]), duplicateTextKey({ title: "hello world" }, ["title"]));
+  });
+
+  it("keeps properties apart and joins arrays", () => {
+    assert.notEqual(duplicateTextKey({ a: "x y", b: "" }, ["a", "b"]), duplicateTextKey({ a: "x", b: "y" }, ["a", "b"]));
+    assert.equal(duplicateTextKey({ tags: ["A", "b"] }, ["tags"]), "a b");
+  });
+
+  it("is empty without text", () => {
+    assert.equal(duplicateTextKey({ title: null, body: " " }, ["title", "body"]), "");
+  });
+});
+
+describe("unitVector", () => {
+  it("scales to length 1", () => {
+    assert.deepEqual(Array.from(unitVector([3, 4])), [0.6, 0.8]);
+  });
+
+  it("returns null for missing and zero vectors", () => {
+    for (const vector of [undefined, [], [0, 0]]) assert.equal(unitVector(vector), null);
+  });
+});
+
+describe("findDuplicateClusters", () => {
+  const object = (id, title, vector, creationTimeUnix) => ({ title, _additional: { id, vector, creationTimeUnix } });
+  const objects = [
+    object("b", "Cats", [1, 0.01], "2000"),
+    object("a", "cats ", [0, 1], "1000"),
+    object("c", "Dogs", [1, 0], "3000"),
+    object("d", "Birds", [-1, 0], "4000"),
+  ];
+
+  it("groups exact and similar objects transitively, oldest first", async () => {
+    const clusters = await findDuplicateClusters(objects, { textProperties: ["title"], threshold: 0.99 });
+    assert.equal(clusters.length, 1);
+    assert.deepEqual(clusters[0].members.map((m) => [m.id, m.exact]), [["a", true], ["b", true], ["c", false]]);
+    assert.equal(clusters[0].exact, false);
+    assert.deepEqual(clusters[0].members[0].properties, { title: "cats " });
+  });
+
+  it("compares only text or only vectors when asked", async () => {
+    const text = await findDuplicateClusters(objects, { textProperties: ["title"], threshold: 0.99, vectors: false });
+    assert.deepEqual(text.map((c) => [c.exact, c.members.map((m) => m.id)]), [[true, ["a", "b"]]]);
+    const similar = await findDuplicateClusters(objects, { textProperties: ["title"], threshold: 0.99, exact: false });
+    assert.deepEqual(similar.map((c) => c.members.map((m) => m.id)), [["b", "c"]]);
+    assert.ok(similar[0].members[1].similarity > 0.99);
+  });
+
+  it("skips vectors of another length", async () => {
+    const clusters = await findDuplicateClusters([object("a", "x", [1, 0]), object("b", "y", [1, 0, 0])], { textProperties: ["title"], threshold: 0.5 });
+    assert.deepEqual(clusters, []);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { startWeaviate, loadManage, json } from "./support/server.js";
+
+const weaviate = await startWeaviate();
+const { routes } = weaviate;
+const { post, close } = await loadManage({ profiles: { mock: { url: weaviate.url } } });
+
+after(() => {
+  close();
+  weaviate.close();
+});
+
+const path = "/v1/objects/Doc/u1";
+let written;
+beforeEach(() => {
+  written = null;
+  routes["GET /v1/schema/Doc"] = json({
+    class: "Doc",
+    vectorizer: "none",
+    properties: [
+      { name: "title", dataType: ["text"] },
+      { name: "rank", dataType: ["int"] },
+      { name: "author", dataType: ["Person"] },
+    ],
+  });
+  routes[`GET ${path}`] = json({
+    class: "Doc",
+    id: "u1",
+    properties: { title: "old", rank: 1, author: [{ beacon: "weaviate://localhost/Person/p1" }] },
+    vector: [0.1, 0.2],
+  });
+  for (const method of ["PATCH", "PUT"]) {
+    routes[`${method} ${path}`] = (_, res, body) => {
+      written = { method, body: JSON.parse(body) };
+      res.writeHead(204).end();
+    };
+  }
+});
+
+const update = (body) => post("/update", { profile: "mock", class: "Doc", id: "u1", ...body });
+
+describe("/update", () => {
+  it("merges typed values into the object", async () => {
+    assert.equal((await update({ properties: { rank: "3" } })).status, 200);
+    assert.deepEqual(written, { method: "PATCH", body: { class: "Doc", id: "u1", properties: { rank: 3 } } });
+  });
+
+  it("replaces the object, keeping references and the vector it cannot recompute", async () => {
+    assert.equal((await update({ properties: { title: "new" }, replace: true })).status, 200);
+    assert.deepEqual(written, {
+      method: "PUT",
+      body: { class: "Doc", id: "u1", properties: { title: "new", author: [{ beacon: "weaviate://localhost/Person/p1" }] }, vector: [0.1, 0.2] },
+    });
+  });
+
+  it("clears properties sent as null by writing the merged object without them", async () => {
+    assert.equal((await update({ properties: { title: null, rank: "2" } })).status, 200);
+    assert.equal(written.method, "PUT");
+    assert.deepEqual(written.body.properties, { rank: 2, author: [{ beacon: "weaviate://localhost/Person/p1" }] });
+  });
+
+  it("takes a new vector", async () => {
+    await update({ properties: {}, vector: "[1, 0]", replace: true });
+    assert.deepEqual(written.body.vector, [1, 0]);
+  });
+
+  it("rejects values that do not fit the class before writing", async () => {
+    for (const [body, error] of [
+      [{ properties: { rank: "x" } }, /expects an integer/],
+      [{ properties: { missing: "x" } }, /Unknown property missing/],
+      [{ properties: "title=x" }, /Missing properties/],
+      [{ properties: {}, vector: "[1," }, /Invalid vector/],
+    ]) {
+      const res = await update(body);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, error);
+    }
+    assert.equal(written, null);
+  });
+
+  it("answers 404 when clearing a property of an object that is gone", async () => {
+    routes[`GET ${path}`] = (_, res) => res.writeHead(404).end();
+    assert.equal((await update({ properties: { title: null } })).status, 404);
+  });
+});
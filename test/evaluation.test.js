@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { HttpError, parseEvalQueries, parseEvalConfigs, scoreRanking, meanScores } from "../manage.js";
+
+describe("parseEvalQueries", () => {
+  it("reads expected IDs from arrays or separated strings", () => {
+    assert.deepEqual(parseEvalQueries([{ query: " cats ", expected: "a, b;c" }, { query: "dogs", expectedIds: ["d"] }]), [
+      { query: "cats", expected: ["a", "b", "c"] },
+      { query: "dogs", expected: ["d"] },
+    ]);
+  });
+
+  it("rejects queries without text or expected IDs", () => {
+    assert.throws(() => parseEvalQueries([{ query: "", expected: "a" }]), /Query 1 has no query text/);
+    assert.throws(() => parseEvalQueries([{ query: "x", expected: "a" }, { query: "y", expected: " " }]), /Query 2 has no expected IDs/);
+  });
+});
+
+describe("parseEvalConfigs", () => {
+  it("sweeps the hybrid alphas", () => {
+    assert.deepEqual(parseEvalConfigs({ types: ["bm25", "hybrid"], alphas: ["0", "1"] }).map((c) => c.label), ["bm25", "hybrid α=0", "hybrid α=1"]);
+  });
+
+  it("rejects unknown modes and alphas outside 0 to 1", () => {
+    assert.throws(() => parseEvalConfigs({ types: ["nearVector"] }), /Cannot evaluate search type nearVector/);
+    assert.throws(() => parseEvalConfigs({ alphas: [1.5] }), /between 0 and 1/);
+  });
+
+  it("answers lists of the wrong shape with 400", () => {
+    const badRequest = (e) => e instanceof HttpError && e.status === 400;
+    for (const alphas of ["0.5", { length: 1 }, 0.5]) assert.throws(() => parseEvalConfigs({ alphas }), badRequest);
+    for (const alphas of [[""], [" "], [null], [true], ["x"], [2]]) assert.throws(() => parseEvalConfigs({ alphas }), badRequest);
+    assert.throws(() => parseEvalConfigs({ types: "bm25" }), badRequest);
+  });
+
+  it("defaults to hybrid search over the default alphas", () => {
+    assert.ok(parseEvalConfigs({}).every((c) => c.type === "hybrid" && c.alpha >= 0 && c.alpha <= 1));
+  });
+});
+
+describe("scoreRanking", () => {
+  it("scores a perfect ranking as 1", () => {
+    assert.deepEqual(scoreRanking(["a", "b", "x"], ["a", "b"], 2), { recall: 1, precision: 1, reciprocalRank: 1, ndcg: 1 });
+  });
+
+  it("scores hits below the top by rank", () => {
+    const scores = scoreRanking(["x", "a", "y"], ["a", "b"], 3);
+    assert.equal(scores.recall, 0.5);
+    assert.equal(scores.precision, 1 / 3);
+    assert.equal(scores.reciprocalRank, 0.5);
+    assert.equal(scores.ndcg, (1 / Math.log2(3)) / (1 + 1 / Math.log2(3)));
+  });
+
+  it("ignores hits past the cutoff", () => {
+    assert.deepEqual(scoreRanking(["x", "a"], ["a"], 1), { recall: 0, precision: 0, reciprocalRank: 0, ndcg: 0 });
+  });
+});
+
+describe("meanScores", () => {
+  it("averages per query and is 0 without queries", () => {
+    const scores = [{ recall: 1, precision: 0.5, reciprocalRank: 1, ndcg: 1 }, { recall: 0, precision: 0, reciprocalRank: 0, ndcg: 0 }];
+    assert.deepEqual(meanScores(scores), { recall: 0.5, precision: 0.25, mrr: 0.5, ndcg: 0.5 });
+    assert.deepEqual(meanScores([]), { recall: 0, precision: 0, mrr: 0, ndcg: 0 });
+  });
+});
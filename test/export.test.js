@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { toExportRecord, csvField, writeWithBackpressure } from "../manage.js";
+
+describe("toExportRecord", () => {
+  it("keeps properties named like metadata apart from the metadata", () => {
+    const record = toExportRecord("Doc", { id: "own", vector: "text", _additional: { id: "u1", vector: [1, 2] } });
+    assert.deepEqual(record, { id: "u1", class: "Doc", properties: { id: "own", vector: "text" }, vector: [1, 2] });
+  });
+});
+
+describe("csvField", () => {
+  it("quotes fields with separators, quotes or line breaks", () => {
+    assert.equal(csvField("plain"), "plain");
+    assert.equal(csvField('say "hi", then\nleave'), '"say ""hi"", then\nleave"');
+    assert.equal(csvField(null), "");
+    assert.equal(csvField([1, 2]), '"[1,2]"');
+  });
+});
+
+describe("writeWithBackpressure", () => {
+  // a response whose buffer is always full
+  const fullResponse = () => Object.assign(new EventEmitter(), { destroyed: false, write: () => false });
+
+  it("waits for the client to drain", async () => {
+    const res = fullResponse();
+    let written = false;
+    const write = writeWithBackpressure(res, "x").then(() => { written = true; });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(written, false);
+    res.emit("drain");
+    await write;
+    assert.equal(res.listenerCount("close"), 0);
+  });
+
+  it("stops waiting when the client disconnects", async () => {
+    const res = fullResponse();
+    const write = writeWithBackpressure(res, "x");
+    res.emit("close");
+    await write;
+    assert.equal(res.listenerCount("drain"), 0);
+  });
+
+  it("does not wait on a response that is already gone", async () => {
+    await writeWithBackpressure({ ...fullResponse(), destroyed: true }, "x");
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startWeaviate, loadManage, json } from "./support/server.js";
+
+const weaviate = await startWeaviate();
+const { routes, received, count } = weaviate;
+const { HttpError, weaviateFetch, buildCountsQuery, post, close } = await loadManage({
+  profiles: { mock: { url: weaviate.url } },
+  requestTimeoutMs: 300,
+  requestRetries: 1,
+});
+const slow = (ms, status = 200) => (_, res) => setTimeout(() => res.writeHead(status).end("{}"), ms);
+const hang = () => {};
+
+const conn = { name: "mock", url: weaviate.url, apiKey: "key", headers: {} };
+
+after(() => {
+  close();
+  weaviate.close();
+});
+describe("weaviateFetch", () => {
+  it("sends the API key and parses the answer", async () => {
+    routes["GET /v1/meta"] = (req, res) => res.end(JSON.stringify({ auth: req.headers.authorization }));
+    assert.deepEqual(await weaviateFetch(conn, "/v1/meta"), { auth: "Bearer key" });
+  });
+
+  it("rejects hosts outside the allowed hosts", async () => {
+    await assert.rejects(
+      weaviateFetch({ ...conn, url: "http://other.invalid" }, "/v1/meta"),
+      (e) => e instanceof HttpError && e.status === 403,
+    );
+  });
+
+  it("does not follow redirects", async () => {
+    received.length = 0;
+    routes["GET /v1/schema"] = (_, res) => res.writeHead(302, { Location: "http://other.invalid/v1/schema" }).end();
+    await assert.rejects(
+      weaviateFetch(conn, "/v1/schema"),
+      (e) => e instanceof HttpError && e.status === 502 && /redirected to http:\/\/other\.invalid/.test(e.message),
+    );
+    assert.deepEqual(received, ["GET /v1/schema"]);
+  });
+
+  it("retries reads and GraphQL queries on 503, but not writes", async () => {
+    received.length = 0;
+    routes["GET /v1/nodes"] = (_, res) => res.writeHead(503).end("busy");
+    routes["POST /v1/graphql"] = (_, res) => res.writeHead(503).end("busy");
+    routes["POST /v1/objects"] = (_, res) => res.writeHead(503).end("busy");
+    await assert.rejects(weaviateFetch(conn, "/v1/nodes"), /busy/);
+    await assert.rejects(weaviateFetch(conn, "/v1/graphql", { method: "POST", body: "{}" }), /busy/);
+    await assert.rejects(weaviateFetch(conn, "/v1/objects", { method: "POST", body: "{}" }), /busy/);
+    assert.equal(count("GET /v1/nodes"), 2);
+    assert.equal(count("POST /v1/graphql"), 2);
+    assert.equal(count("POST /v1/objects"), 1);
+  });
+
+  it("gives up on reads after the timeout with 504", async () => {
+    received.length = 0;
+    routes["GET /v1/schema/Doc"] = hang;
+    await assert.rejects(
+      weaviateFetch(conn, "/v1/schema/Doc"),
+      (e) => e instanceof HttpError && e.status === 504 && /timed out after 300 ms/.test(e.message),
+    );
+    assert.equal(count("GET /v1/schema/Doc"), 2);
+  });
+
+  it("lets batches, backups and deletes run past the timeout", async () => {
+    routes["POST /v1/batch/objects"] = slow(500);
+    routes["POST /v1/backups/filesystem"] = slow(500);
+    routes["DELETE /v1/objects/abc"] = slow(500, 204);
+    await weaviateFetch(conn, "/v1/batch/objects", { method: "POST", body: "{}" });
+    await weaviateFetch(conn, "/v1/backups/filesystem", { method: "POST", body: "{}" });
+    assert.equal(await weaviateFetch(conn, "/v1/objects/abc", { method: "DELETE" }), null);
+  });
+
+  it("takes the timeout of the profile or the call", async () => {
+    routes["GET /v1/slow"] = slow(500);
+    assert.deepEqual(await weaviateFetch({ ...conn, timeoutMs: 1000 }, "/v1/slow"), {});
+    await assert.rejects(weaviateFetch(conn, "/v1/batch/objects", { method: "POST", body: "{}", timeout: 100 }), /timed out after 100 ms/);
+  });
+
+  it("stops at once when the caller aborts, next to its own timeout", async () => {
+    received.length = 0;
+    routes["GET /v1/wait"] = hang;
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(weaviateFetch(conn, "/v1/wait", { signal: controller.signal }), { name: "AbortError" });
+    assert.equal(count("GET /v1/wait"), 1);
+  });
+});
+
+describe("buildCountsQuery", () => {
+  it("asks every count in one Aggregate query under c0, c1, …", () => {
+    const query = buildCountsQuery([{ className: "Doc", tenant: null }, { className: "Mt", tenant: 'a "b"' }]);
+    assert.equal(query.replace(/\s+/g, " ").trim(), '{ Aggregate { c0: Doc { meta { count } } c1: Mt(tenant: "a \\"b\\"") { meta { count } } } }');
+  });
+});
+
+describe("/info", () => {
+  before(() => {
+    routes["GET /v1/meta"] = json({ version: "1.25.0" });
+    routes["GET /v1/schema"] = json({ classes: [{ class: "Doc" }, { class: "Mt", multiTenancyConfig: { enabled: true } }] });
+    routes["GET /v1/schema/Mt/tenants"] = json([{ name: "t1", activityStatus: "HOT" }, { name: "t2", activityStatus: "COLD" }]);
+  });
+
+  it("counts all classes and active tenants in one query", async () => {
+    received.length = 0;
+    let query;
+    routes["POST /v1/graphql"] = (_, res, body) => {
+      query = JSON.parse(body).query;
+      res.end(JSON.stringify({ data: { Aggregate: { c0: [{ meta: { count: 3 } }], c1: [{ meta: { count: 4 } }] } } }));
+    };
+    const info = await (await post("/info", { profile: "mock", refresh: true })).json();
+    assert.equal(count("POST /v1/graphql"), 1);
+    assert.match(query, /c0: Doc .* c1: Mt\(tenant: "t1"\)/s);
+    assert.equal(info.total, 7);
+    assert.deepEqual(info.classDetails.Mt.tenants, [{ name: "t1", activityStatus: "HOT", count: 4 }, { name: "t2", activityStatus: "COLD", count: null }]);
+  });
+
+  it("answers from the cache until a change is made or a refresh asked", async () => {
+    await post("/info", { profile: "mock", refresh: true });
+    received.length = 0;
+    const first = await (await post("/info", { profile: "mock" })).json();
+    assert.equal(count("GET /v1/meta"), 0);
+
+    routes["GET /v1/objects/abc"] = json({ class: "Doc", id: "abc", properties: {} });
+    routes["DELETE /v1/objects/abc"] = (_, res) => res.writeHead(204).end();
+    assert.equal((await post("/delete", { profile: "mock", id: "abc" })).status, 200);
+    const second = await (await post("/info", { profile: "mock" })).json();
+    assert.equal(count("GET /v1/meta"), 1);
+    assert.notEqual(second.fetchedAt, first.fetchedAt);
+
+    await post("/info", { profile: "mock", refresh: true });
+    assert.equal(count("GET /v1/meta"), 2);
+  });
+});
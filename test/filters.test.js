@@ -0,0 +1,75 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeWhereFilter, serializeWhereFilter, buildWhereFilter } from "../manage.js";
+
+const properties = [
+  { name: "title", dataType: ["text"] },
+  { name: "rank", dataType: ["int"] },
+  { name: "tags", dataType: ["text[]"] },
+  { name: "author", dataType: ["Person"] },
+  { name: "where", dataType: ["geoCoordinates"] },
+];
+
+describe("normalizeWhereFilter", () => {
+  it("types values by the property", () => {
+    assert.deepEqual(normalizeWhereFilter({ path: "rank", operator: "GreaterThan", value: "3" }, properties), {
+      path: ["rank"], operator: "GreaterThan", valueInt: 3,
+    });
+    assert.deepEqual(normalizeWhereFilter({ path: ["_id"], operator: "Equal", value: "u1" }, properties), {
+      path: ["_id"], operator: "Equal", valueText: "u1",
+    });
+  });
+
+  it("puts Contains lists under the array key", () => {
+    assert.deepEqual(normalizeWhereFilter({ path: "tags", operator: "ContainsAny", value: ["a", "b"] }, properties), {
+      path: ["tags"], operator: "ContainsAny", valueTextArray: ["a", "b"],
+    });
+  });
+
+  it("nests And and Or filters", () => {
+    const filter = { operator: "Or", operands: [{ path: "title", operator: "Like", value: "a*" }, { path: "rank", operator: "IsNull", value: "false" }] };
+    assert.deepEqual(normalizeWhereFilter(filter, properties), {
+      operator: "Or",
+      operands: [
+        { path: ["title"], operator: "Like", valueText: "a*" },
+        { path: ["rank"], operator: "IsNull", valueBoolean: false },
+      ],
+    });
+  });
+
+  it("rejects empty filters", () => {
+    assert.throws(() => normalizeWhereFilter(null, properties), /must be an object/);
+    assert.throws(() => normalizeWhereFilter({}, properties), /Unknown filter operator/);
+    assert.throws(() => normalizeWhereFilter({ operator: "And", operands: [] }, properties), /And filter needs operands/);
+    assert.throws(() => normalizeWhereFilter({ path: "title", operator: "Equal", value: "" }, properties), /Missing filter value for title/);
+  });
+
+  it("rejects unknown, reference and unfilterable properties", () => {
+    assert.throws(() => normalizeWhereFilter({ path: "missing", operator: "Equal", value: "x" }, properties), /Unknown filter property missing/);
+    assert.throws(() => normalizeWhereFilter({ path: "author", operator: "Equal", value: "x" }, properties), /Unknown filter property author/);
+    assert.throws(() => normalizeWhereFilter({ path: "where", operator: "Equal", value: "x" }, properties), /Cannot filter on geoCoordinates/);
+    assert.throws(() => normalizeWhereFilter({ path: "title", operator: "Near", value: "x" }, properties), /Unknown filter operator Near/);
+  });
+});
+
+describe("serializeWhereFilter", () => {
+  it("writes GraphQL with lists under the plain value key and escaped strings", () => {
+    const where = {
+      operator: "And",
+      operands: [
+        { path: ["tags"], operator: "ContainsAll", valueTextArray: ["a", 'say "hi"'] },
+        { path: ["rank"], operator: "LessThan", valueInt: 5 },
+      ],
+    };
+    assert.equal(
+      serializeWhereFilter(where),
+      '{ operator: And, operands: [{ path: ["tags"], operator: ContainsAll, valueText: ["a", "say \\"hi\\""] }, { path: ["rank"], operator: LessThan, valueInt: 5 }] }',
+    );
+  });
+});
+
+describe("buildWhereFilter", () => {
+  it("validates and serializes in one step", () => {
+    assert.equal(buildWhereFilter({ path: "title", operator: "Equal", value: "x" }, properties), '{ path: ["title"], operator: Equal, valueText: "x" }');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { startWeaviate, loadManage } from "./support/server.js";
+
+const weaviate = await startWeaviate();
+const { routes } = weaviate;
+const { post, close } = await loadManage({ profiles: { mock: { url: weaviate.url } } });
+
+after(() => {
+  close();
+  weaviate.close();
+});
+
+let sent;
+routes["POST /v1/graphql"] = (_, res, body) => {
+  sent = JSON.parse(body);
+  const errors = sent.query.includes("Broken") ? [{ message: "Cannot query field Broken" }] : undefined;
+  res.end(JSON.stringify({ data: { Get: {} }, errors }));
+};
+
+const run = async (body) => {
+  const res = await post("/graphql", { profile: "mock", ...body });
+  return [res.status, await res.json()];
+};
+
+describe("/graphql", () => {
+  it("sends the query with its variables and returns data and errors", async () => {
+    const [status, result] = await run({ query: "query ($n: Int) { Get { Doc(limit: $n) { title } } }", variables: '{"n": 2}' });
+    assert.equal(status, 200);
+    assert.deepEqual(sent.variables, { n: 2 });
+    assert.deepEqual(result.data, { Get: {} });
+    assert.deepEqual(result.errors, []);
+
+    const [, failed] = await run({ query: "{ Get { Broken } }" });
+    assert.deepEqual(failed.errors, [{ message: "Cannot query field Broken" }]);
+  });
+
+  it("rejects empty queries and invalid variables", async () => {
+    assert.deepEqual(await run({ query: " " }), [400, { error: "Missing query" }]);
+    const [status, { error }] = await run({ query: "{ Get { Doc { title } } }", variables: "{n:" });
+    assert.equal(status, 400);
+    assert.match(error, /Invalid variables JSON/);
+  });
+
+  it("keeps each query once in the history of the instance, newest first", async () => {
+    await run({ query: "{ Get { Doc { a } } }" });
+    await run({ query: "{ Get { Doc { b } } }" });
+    await run({ query: "{ Get { Doc { a } } }" });
+    const history = await (await post("/graphql/history", { profile: "mock" })).json();
+    assert.deepEqual(history.slice(0, 3).map((h) => h.query), ["{ Get { Doc { a } } }", "{ Get { Doc { b } } }", "{ Get { Broken } }"]);
+    assert.equal(history.filter((h) => h.query === "{ Get { Doc { a } } }").length, 1);
+    assert.equal(history[2].errors, 1);
+  });
+});
+
+describe("saved queries", () => {
+  const save = (body) => post("/graphql/saved/save", body);
+  const saved = async () => (await post("/graphql/saved", {})).json();
+
+  it("saves by name, replacing a query of the same name", async () => {
+    const first = await (await save({ name: "b list", query: "{ Get { Doc { b } } }" })).json();
+    await save({ name: "a list", query: "{ Get { Doc { a } } }" });
+    const replaced = await (await save({ name: " b list ", query: "{ Get { Doc { c } } }", variables: "{}" })).json();
+    assert.equal(replaced.id, first.id);
+    assert.deepEqual((await saved()).map((q) => [q.name, q.query]), [["a list", "{ Get { Doc { a } } }"], ["b list", "{ Get { Doc { c } } }"]]);
+  });
+
+  it("needs a name and a query", async () => {
+    for (const body of [{ query: "{ x }" }, { name: 42, query: "{ x }" }, { name: "x", query: "" }]) {
+      assert.equal((await save(body)).status, 400);
+    }
+  });
+
+  it("deletes a saved query", async () => {
+    const [query] = await saved();
+    assert.equal((await post("/graphql/saved/delete", { id: query.id })).status, 200);
+    assert.deepEqual((await saved()).map((q) => q.name), ["b list"]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { startWeaviate, loadManage, json } from "./support/server.js";
+
+const weaviate = await startWeaviate();
+const { routes, received, count } = weaviate;
+const { collectHealth, post, close } = await loadManage({ profiles: { mock: { url: weaviate.url } }, requestRetries: 0 });
+const conn = { name: "mock", url: weaviate.url, apiKey: "", headers: {} };
+
+after(() => {
+  close();
+  weaviate.close();
+});
+
+beforeEach(() => {
+  received.length = 0;
+  routes["GET /v1/.well-known/live"] = (_, res) => res.writeHead(200).end();
+  routes["GET /v1/.well-known/ready"] = (_, res) => res.writeHead(503).end();
+  routes["GET /v1/nodes"] = json({
+    nodes: [{
+      name: "node1",
+      status: "HEALTHY",
+      version: "1.25.0",
+      stats: { objectCount: 12, shardCount: 2 },
+      shards: [
+        { class: "Doc", name: "s1", objectCount: 10, vectorIndexingStatus: "READY", vectorQueueLength: 3 },
+        { class: "Mt", name: "t1", objectCount: 2, vectorIndexingStatus: "INDEXING", vectorQueueLength: 1 },
+      ],
+    }],
+  });
+  routes["GET /v1/schema"] = json({ classes: [{ class: "Doc" }, { class: "Mt", multiTenancyConfig: { enabled: true } }] });
+  routes["GET /v1/schema/Doc/shards"] = json([{ name: "s1", status: "READONLY", vectorQueueSize: 3 }]);
+});
+
+describe("collectHealth", () => {
+  it("reports probes, nodes and shards with their status", async () => {
+    const health = await collectHealth(conn);
+    assert.equal(health.live, true);
+    assert.equal(health.ready, false);
+    assert.deepEqual(health.nodes, [{ name: "node1", status: "HEALTHY", version: "1.25.0", objectCount: 12, shardCount: 2, vectorQueueLength: 4 }]);
+    assert.deepEqual(health.shards, [
+      { node: "node1", class: "Doc", name: "s1", objectCount: 10, status: "READONLY", vectorIndexingStatus: "READY", vectorQueueLength: 3 },
+      { node: "node1", class: "Mt", name: "t1", objectCount: 2, status: "INDEXING", vectorIndexingStatus: "INDEXING", vectorQueueLength: 1 },
+    ]);
+    assert.deepEqual(health.errors, []);
+  });
+
+  it("asks shard status only for classes without tenants", async () => {
+    await collectHealth(conn);
+    assert.equal(count("GET /v1/schema/Doc/shards"), 1);
+    assert.equal(count("GET /v1/schema/Mt/shards"), 0);
+  });
+
+  it("collects errors instead of failing", async () => {
+    routes["GET /v1/nodes"] = (_, res) => res.writeHead(500).end("nodes down");
+    routes["GET /v1/.well-known/live"] = (_, res) => res.writeHead(500).end();
+    const health = await collectHealth(conn);
+    assert.equal(health.live, false);
+    assert.deepEqual(health.nodes, []);
+    assert.match(health.errors[0], /nodes down/);
+  });
+});
+
+describe("/shards/ready", () => {
+  it("sets a shard back to READY", async () => {
+    let sent;
+    routes["PUT /v1/schema/Doc/shards/s1"] = (_, res, body) => {
+      sent = JSON.parse(body);
+      json(sent)(_, res);
+    };
+    const res = await post("/shards/ready", { profile: "mock", class: "Doc", shard: "s1" });
+    assert.deepEqual(await res.json(), { status: "READY" });
+    assert.deepEqual(sent, { status: "READY" });
+  });
+
+  it("needs the class and shard", async () => {
+    assert.equal((await post("/shards/ready", { profile: "mock", class: "Doc" })).status, 400);
+  });
+});
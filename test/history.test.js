@@ -0,0 +1,87 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { appendFileSync } from "node:fs";
+import { join } from "node:path";
+import { startWeaviate, loadManage, json } from "./support/server.js";
+
+const weaviate = await startWeaviate();
+const { routes } = weaviate;
+const { snapshotToObject, post, dataDir, close } = await loadManage({ profiles: { mock: { url: weaviate.url } } });
+
+after(() => {
+  close();
+  weaviate.close();
+});
+
+const snapshot = {
+  class: "Doc",
+  id: "u1",
+  tenant: "t1",
+  properties: { title: "x", author: [{ beacon: "weaviate://localhost/Person/p1", href: "/v1/objects/Person/p1" }], tags: [] },
+  vector: [0.1, 0.2],
+  vectors: {},
+  creationTimeUnix: 1,
+};
+
+describe("snapshotToObject", () => {
+  it("turns a snapshot into a create request with the same UUID", () => {
+    assert.deepEqual(snapshotToObject(snapshot), {
+      class: "Doc",
+      id: "u1",
+      tenant: "t1",
+      properties: { title: "x", author: [{ beacon: "weaviate://localhost/Person/p1" }], tags: [] },
+      vector: [0.1, 0.2],
+    });
+  });
+});
+
+describe("history and undo", () => {
+  let created;
+  before(async () => {
+    routes["GET /v1/objects/u1"] = json({ ...snapshot, tenant: undefined });
+    routes["DELETE /v1/objects/u1"] = (_, res) => res.writeHead(204).end();
+    routes["POST /v1/objects"] = (_, res, body) => {
+      created = JSON.parse(body);
+      json(created)(_, res);
+    };
+    assert.equal((await post("/delete", { profile: "mock", id: "u1" })).status, 200);
+    // a line cut short by a crash is skipped
+    appendFileSync(join(dataDir, "audit.jsonl"), '{"id":"broken"\n');
+  });
+
+  const history = async (body = {}) => (await post("/history", body)).json();
+
+  it("lists the delete without its snapshot", async () => {
+    const { entries, total } = await history();
+    assert.equal(total, 1);
+    assert.equal(entries[0].action, "delete");
+    assert.equal(entries[0].hasBefore, true);
+    assert.equal(entries[0].before, undefined);
+    assert.equal((await history({ action: "add" })).total, 0);
+    assert.equal((await post("/history", { limit: 0 })).status, 400);
+  });
+
+  it("returns the full entry", async () => {
+    const [{ id }] = (await history()).entries;
+    const entry = await (await post("/history/entry", { id })).json();
+    assert.deepEqual(entry.before.properties.title, "x");
+  });
+
+  it("recreates the deleted object once", async () => {
+    const [{ id }] = (await history()).entries;
+    assert.equal((await post("/history/undo", { profile: "mock", id })).status, 200);
+    assert.deepEqual(created, { class: "Doc", id: "u1", properties: snapshotToObject(snapshot).properties, vector: [0.1, 0.2] });
+
+    const again = await post("/history/undo", { profile: "mock", id });
+    assert.equal(again.status, 409);
+    assert.match((await again.json()).error, /undone already/);
+    const { entries } = await history();
+    assert.deepEqual(entries.map((e) => [e.action, e.undone]), [["undo", false], ["delete", true]]);
+  });
+
+  it("only undoes deletes", async () => {
+    const [undo] = (await history({ action: "undo" })).entries;
+    assert.equal((await post("/history/undo", { profile: "mock", id: undo.id })).status, 400);
+    assert.equal((await post("/history/undo", { profile: "mock", id: "missing" })).status, 404);
+  });
+});
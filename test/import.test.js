@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { HttpError, parseCsv, parseImportRecords, parseVector, buildImportObject } from "../manage.js";
+
+describe("parseCsv", () => {
+  it("splits rows and fields", () => {
+    assert.deepEqual(parseCsv("a,b\n1,2\n"), [["a", "b"], ["1", "2"]]);
+  });
+
+  it("keeps commas, line breaks and doubled quotes inside quoted fields", () => {
+    assert.deepEqual(parseCsv('title,body\n"Hello, world","line 1\nline ""2"""\n'), [
+      ["title", "body"],
+      ["Hello, world", 'line 1\nline "2"'],
+    ]);
+  });
+
+  it("accepts CRLF line endings and a last row without a line break", () => {
+    assert.deepEqual(parseCsv("a,b\r\n1,2\r\n3,4"), [["a", "b"], ["1", "2"], ["3", "4"]]);
+  });
+
+  it("skips blank lines but keeps empty fields", () => {
+    assert.deepEqual(parseCsv("a,b\n\n,2\n"), [["a", "b"], ["", "2"]]);
+  });
+});
+
+describe("parseImportRecords", () => {
+  it("maps CSV rows by the header, ignoring a byte order mark", () => {
+    assert.deepEqual(parseImportRecords("\uFEFFtitle, rank\nx,1\ny\n", "csv"), [
+      { title: "x", rank: "1" },
+      { title: "y", rank: "" },
+    ]);
+  });
+
+  it("reads JSON arrays and JSON lines", () => {
+    assert.deepEqual(parseImportRecords('[{"a":1}]', "json"), [{ a: 1 }]);
+    assert.deepEqual(parseImportRecords('{"a":1}\n\n{"a":2}\n', "jsonl"), [{ a: 1 }, { a: 2 }]);
+  });
+
+  it("names the line of invalid JSON", () => {
+    assert.throws(() => parseImportRecords('{"a":1}\n{"a":', "jsonl"), /Invalid JSON on line 2/);
+    assert.throws(() => parseImportRecords('{"a":1}', "json"), /must be an array/);
+  });
+});
+
+describe("parseVector", () => {
+  it("reads arrays, JSON and separated numbers", () => {
+    assert.deepEqual(parseVector([1, "2"]), [1, 2]);
+    assert.deepEqual(parseVector(" [0.1, 0.2] "), [0.1, 0.2]);
+    assert.deepEqual(parseVector("0.1, 0.2; 0.3 0.4"), [0.1, 0.2, 0.3, 0.4]);
+    assert.equal(parseVector(""), undefined);
+  });
+
+  it("answers malformed vectors with 400", () => {
+    for (const value of ["[1,2", "1,x", "[]", '["a"]']) {
+      assert.throws(() => parseVector(value), (e) => e instanceof HttpError && e.status === 400);
+    }
+  });
+});
+
+describe("buildImportObject", () => {
+  const properties = [{ name: "title", dataType: ["text"] }, { name: "rank", dataType: ["int"] }];
+
+  it("recognizes id and vector fields of flat records", () => {
+    assert.deepEqual(buildImportObject("Doc", properties, { id: "u1", vector: "1,2", title: "x", rank: "3" }), {
+      class: "Doc",
+      id: "u1",
+      vector: [1, 2],
+      properties: { title: "x", rank: 3 },
+    });
+  });
+
+  it("maps fields and skips unmapped ones", () => {
+    const mapping = { key: "_id", heading: "title", note: "" };
+    assert.deepEqual(buildImportObject("Doc", properties, { key: "u1", heading: "x", note: "n" }, mapping), {
+      class: "Doc",
+      id: "u1",
+      properties: { title: "x" },
+    });
+  });
+
+  it("rejects records that do not fit the class", () => {
+    assert.throws(() => buildImportObject("Doc", properties, [1]), /not an object/);
+    assert.throws(() => buildImportObject("Doc", properties, { missing: 1 }), /Unknown property missing/);
+  });
+});
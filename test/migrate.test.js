@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { migrateObject } from "../manage.js";
+
+describe("migrateObject", () => {
+  const obj = {
+    class: "Doc",
+    id: "u1",
+    properties: {
+      title: "x",
+      body: "y",
+      parent: [{ beacon: "weaviate://localhost/Doc/u0", href: "/v1/objects/Doc/u0" }],
+      author: [{ beacon: "weaviate://localhost/Person/p1" }],
+    },
+    vector: [1, 2],
+    vectors: { title: [3, 4] },
+  };
+  const options = { sourceClass: "Doc", targetClass: "Page", mapping: null, includeVectors: false, tenant: null };
+
+  it("keeps the UUID and leaves vectors out unless asked for", () => {
+    const migrated = migrateObject(obj, options);
+    assert.equal(migrated.class, "Page");
+    assert.equal(migrated.id, "u1");
+    assert.equal(migrated.vector, undefined);
+    assert.equal(migrated.vectors, undefined);
+    assert.equal(migrated.tenant, undefined);
+  });
+
+  it("copies vectors and sets the tenant when asked", () => {
+    const migrated = migrateObject(obj, { ...options, includeVectors: true, tenant: "t1" });
+    assert.deepEqual(migrated.vector, [1, 2]);
+    assert.deepEqual(migrated.vectors, { title: [3, 4] });
+    assert.equal(migrated.tenant, "t1");
+  });
+
+  it("points references to the source class at the target class", () => {
+    const { properties } = migrateObject(obj, options);
+    assert.deepEqual(properties.parent, [{ beacon: "weaviate://localhost/Page/u0" }]);
+    assert.deepEqual(properties.author, [{ beacon: "weaviate://localhost/Person/p1" }]);
+  });
+
+  it("renames mapped properties and drops those mapped to nothing", () => {
+    const { properties } = migrateObject(obj, { ...options, mapping: { title: "heading", body: "" } });
+    assert.equal(properties.heading, "x");
+    assert.equal("title" in properties, false);
+    assert.equal("body" in properties, false);
+  });
+
+  it("writes an object without properties as empty", () => {
+    assert.deepEqual(migrateObject({ id: "u2" }, options), { class: "Page", id: "u2", properties: {} });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseListPaging, nextListPage } from "../manage.js";
+
+const properties = [{ name: "title", dataType: ["text"] }];
+
+describe("parseListPaging", () => {
+  it("defaults to the newest objects first", () => {
+    assert.deepEqual(parseListPaging({}), { limit: 20, sort: "_creationTimeUnix", order: "desc", offset: 0, after: null });
+  });
+
+  it("accepts class properties as sort", () => {
+    assert.equal(parseListPaging({ sort: "title", order: "asc" }, properties).sort, "title");
+    assert.throws(() => parseListPaging({ sort: "missing" }, properties), /Unknown sort property missing/);
+  });
+
+  it("rejects limits outside the allowed range", () => {
+    for (const limit of [0, -1, 1.5, "x", 501]) assert.throws(() => parseListPaging({ limit }), /limit must be between/);
+  });
+
+  it("pages by cursor in UUID order when sorting by _id", () => {
+    assert.deepEqual(parseListPaging({ sort: "_id", order: "desc", after: "abc" }), { limit: 20, sort: "_id", order: "asc", offset: 0, after: "abc" });
+    assert.throws(() => parseListPaging({ sort: "_id", offset: 20 }), /offset cannot be combined/);
+    assert.throws(() => parseListPaging({ sort: "_id", where: {} }), /Filters cannot be combined/);
+    assert.throws(() => parseListPaging({ after: "abc" }), /after cursor requires sort _id/);
+  });
+
+  it("keeps offset + limit within Weaviate's query maximum", () => {
+    assert.equal(parseListPaging({ offset: 9980, limit: 20 }).offset, 9980);
+    assert.throws(() => parseListPaging({ offset: 9990, limit: 20 }), /may not exceed 10000/);
+    assert.throws(() => parseListPaging({ offset: -20 }), /non-negative integer/);
+  });
+});
+
+describe("nextListPage", () => {
+  const page = (n) => Array.from({ length: n }, (_, i) => ({ _additional: { id: `id-${i}` } }));
+
+  it("ends on a short page", () => {
+    assert.equal(nextListPage({ sort: "_creationTimeUnix", limit: 20, offset: 0 }, page(5)), null);
+  });
+
+  it("continues after the last id or at the next offset", () => {
+    assert.deepEqual(nextListPage({ sort: "_id", limit: 2 }, page(2)), { after: "id-1" });
+    assert.deepEqual(nextListPage({ sort: "title", limit: 2, offset: 4 }, page(2)), { offset: 6 });
+  });
+
+  it("stops before the query maximum", () => {
+    assert.equal(nextListPage({ sort: "title", limit: 20, offset: 9970 }, page(20)), null);
+  });
+});
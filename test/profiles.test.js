@@ -0,0 +1,57 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// the config is read when manage.js loads, so it is written before the import
+const dir = mkdtempSync(join(tmpdir(), "weaviate-admin-profiles-"));
+writeFileSync(join(dir, "config.json"), JSON.stringify({ profiles: { dev: { url: "http://localhost:8080/", apiKey: "k" } } }));
+process.env.WEAVIATE_ADMIN_CONFIG = join(dir, "config.json");
+const { HttpError, loadProfiles, resolveConnection } = await import("../manage.js");
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe("loadProfiles", () => {
+  const withEnv = (values, fn) => {
+    Object.assign(process.env, values);
+    try {
+      return fn();
+    } finally {
+      for (const key of Object.keys(values)) delete process.env[key];
+    }
+  };
+
+  it("reads profiles from the config and the environment, the environment winning", () => {
+    const profiles = withEnv({
+      WEAVIATE_PROFILE_DEV_URL: "http://dev:8080",
+      WEAVIATE_PROFILE_STAGING_URL: "https://staging.example",
+      WEAVIATE_PROFILE_STAGING_API_KEY: "s",
+      WEAVIATE_PROFILE_STAGING_HEADERS: '{"X-OpenAI-Api-Key": "o"}',
+    }, () => loadProfiles({ profiles: { dev: { url: "http://localhost:8080/", timeoutMs: 5000 }, none: {} } }));
+    assert.deepEqual(profiles.get("dev"), { name: "dev", url: "http://dev:8080", apiKey: "", headers: {}, timeoutMs: null });
+    assert.deepEqual(profiles.get("staging"), { name: "staging", url: "https://staging.example", apiKey: "s", headers: { "X-OpenAI-Api-Key": "o" }, timeoutMs: null });
+    assert.equal(profiles.has("none"), false);
+  });
+
+  it("names the variable holding invalid headers", () => {
+    withEnv({ WEAVIATE_PROFILE_BAD_URL: "http://bad", WEAVIATE_PROFILE_BAD_HEADERS: "{nope" }, () => {
+      assert.throws(() => loadProfiles({}), /Invalid WEAVIATE_PROFILE_BAD_HEADERS, expected a JSON object/);
+    });
+    withEnv({ WEAVIATE_PROFILE_BAD_URL: "http://bad", WEAVIATE_PROFILE_BAD_HEADERS: '["X-Key: 1"]' }, () => {
+      assert.throws(() => loadProfiles({}), /Invalid WEAVIATE_PROFILE_BAD_HEADERS, expected a JSON object/);
+    });
+  });
+});
+
+describe("resolveConnection", () => {
+  it("finds the profile of a request", () => {
+    assert.equal(resolveConnection({ profile: "dev" }).url, "http://localhost:8080");
+  });
+
+  it("rejects unknown, missing and raw connections", () => {
+    for (const body of [{ profile: "nope" }, {}, { base: "http://localhost:8080", apiKey: "k" }]) {
+      assert.throws(() => resolveConnection(body), (e) => e instanceof HttpError && e.status === 400);
+    }
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { projectPca, projectTsne } from "../manage.js";
+
+describe("projectPca", () => {
+  it("finds the directions of largest variance", async () => {
+    const vectors = [-2, -1, 1, 2].flatMap((x) => [[x, 0.1, 0], [x, -0.1, 0]]);
+    const { points, components, explained } = await projectPca(vectors);
+    assert.ok(Math.abs(components[0][0]) > 0.999);
+    assert.ok(Math.abs(components[1][1]) > 0.999);
+    assert.ok(Math.abs(explained[0] + explained[1] - 1) < 1e-9);
+    assert.ok(Math.abs(Math.abs(points[0][0]) - 2) < 1e-6);
+  });
+
+  it("lets other work run while it iterates", async () => {
+    // two almost equal variances make power iteration converge slowly
+    const vectors = Array.from({ length: 200 }, (_, i) => [Math.cos(i) * 1, Math.sin(i) * 0.99, 0]);
+    let ran = false;
+    setImmediate(() => { ran = true; });
+    const projection = projectPca(vectors);
+    assert.equal(ran, false);
+    await projection;
+    assert.equal(ran, true);
+  });
+});
+
+describe("projectTsne", () => {
+  it("keeps separate clusters apart and reports progress", async () => {
+    const cluster = (axis) => Array.from({ length: 10 }, (_, i) => {
+      const v = [0.02 * Math.cos(i), 0.02 * Math.sin(i), 0.02 * Math.cos(2 * i)];
+      v[axis] += 1;
+      return v;
+    });
+    const vectors = [...cluster(0), ...cluster(1)];
+    const progress = [];
+    const positions = await projectTsne(vectors, vectors.map((v) => [v[0], v[1]]), {
+      perplexity: 5,
+      iterations: 300,
+      onProgress: (processed) => progress.push(processed),
+    });
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+    const within = Math.max(distance(positions[0], positions[9]), distance(positions[10], positions[19]));
+    assert.ok(distance(positions[0], positions[10]) > within);
+    assert.equal(progress.length, 12);
+    assert.equal(progress.at(-1), 300);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { HttpError, coercePropertyValue, coerceProperties } from "../manage.js";
+
+const prop = (name, dataType) => ({ name, dataType: [dataType] });
+
+describe("coercePropertyValue", () => {
+  it("treats empty values as missing", () => {
+    for (const value of [undefined, null, ""]) assert.equal(coercePropertyValue(prop("title", "text"), value), undefined);
+  });
+
+  it("types numbers, booleans and dates from form strings", () => {
+    assert.equal(coercePropertyValue(prop("rank", "int"), "42"), 42);
+    assert.equal(coercePropertyValue(prop("score", "number"), "0.5"), 0.5);
+    assert.equal(coercePropertyValue(prop("published", "boolean"), "false"), false);
+    assert.equal(coercePropertyValue(prop("created", "date"), "2024-01-02"), "2024-01-02T00:00:00.000Z");
+  });
+
+  it("rejects values that do not fit the data type", () => {
+    assert.throws(() => coercePropertyValue(prop("rank", "int"), "4.2"), (e) => e instanceof HttpError && e.status === 400);
+    assert.throws(() => coercePropertyValue(prop("score", "number"), "abc"), /expects a number/);
+    assert.throws(() => coercePropertyValue(prop("published", "boolean"), "yes"), /expects true or false/);
+    assert.throws(() => coercePropertyValue(prop("created", "date"), "not a date"), /expects a date/);
+  });
+
+  it("reads arrays as JSON or one value per line", () => {
+    assert.deepEqual(coercePropertyValue(prop("tags", "text[]"), '["a", "b"]'), ["a", "b"]);
+    assert.deepEqual(coercePropertyValue(prop("tags", "text[]"), "a\n\n b \n"), ["a", "b"]);
+    assert.deepEqual(coercePropertyValue(prop("ranks", "int[]"), "1\n2"), [1, 2]);
+    assert.throws(() => coercePropertyValue(prop("tags", "text[]"), "[a"), /JSON array/);
+  });
+
+  it("reads geo coordinates from JSON", () => {
+    assert.deepEqual(
+      coercePropertyValue(prop("where", "geoCoordinates"), '{"latitude": "52.5", "longitude": 13.4}'),
+      { latitude: 52.5, longitude: 13.4 },
+    );
+    assert.throws(() => coercePropertyValue(prop("where", "geoCoordinates"), '{"latitude": 1}'), /latitude and longitude/);
+  });
+});
+
+describe("coerceProperties", () => {
+  const properties = [prop("title", "text"), prop("rank", "int")];
+
+  it("drops empty values", () => {
+    assert.deepEqual(coerceProperties(properties, { title: "", rank: "3" }), { rank: 3 });
+  });
+
+  it("rejects properties the class does not have", () => {
+    assert.throws(() => coerceProperties(properties, { missing: "x" }), /Unknown property missing/);
+  });
+});
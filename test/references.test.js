@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { HttpError, isReferenceProperty, referenceBeacon, buildPropertySelection } from "../manage.js";
+
+const classDef = {
+  class: "Article",
+  properties: [
+    { name: "title", dataType: ["text"] },
+    { name: "author", dataType: ["Person"] },
+    { name: "about", dataType: ["Person", "Company"] },
+  ],
+};
+
+describe("isReferenceProperty", () => {
+  it("tells references by their class data type", () => {
+    assert.equal(isReferenceProperty(classDef.properties[1]), true);
+    assert.equal(isReferenceProperty(classDef.properties[0]), false);
+    assert.equal(isReferenceProperty({ name: "x" }), false);
+  });
+});
+
+describe("referenceBeacon", () => {
+  it("points at the only class a property allows", () => {
+    assert.equal(referenceBeacon(classDef, "author", null, "p 1"), "weaviate://localhost/Person/p%201");
+  });
+
+  it("needs the target class when a property allows several", () => {
+    assert.equal(referenceBeacon(classDef, "about", "Company", "c1"), "weaviate://localhost/Company/c1");
+    assert.throws(() => referenceBeacon(classDef, "about", null, "c1"), /Choose the class to reference, one of Person, Company/);
+    assert.throws(() => referenceBeacon(classDef, "author", "Company", "c1"), /author cannot reference Company/);
+  });
+
+  it("rejects other properties and missing IDs with 400", () => {
+    for (const [property, id] of [["title", "x"], ["missing", "x"], ["author", ""]]) {
+      assert.throws(() => referenceBeacon(classDef, property, null, id), (e) => e instanceof HttpError && e.status === 400);
+    }
+  });
+});
+
+describe("buildPropertySelection", () => {
+  it("skips references and blobs and selects nested fields", () => {
+    const properties = [
+      ...classDef.properties,
+      { name: "image", dataType: ["blob"] },
+      { name: "where", dataType: ["geoCoordinates"] },
+      { name: "phone", dataType: ["phoneNumber"] },
+      { name: "meta", dataType: ["object"], nestedProperties: [{ name: "source", dataType: ["text"] }, { name: "empty", dataType: ["object"] }] },
+    ];
+    assert.equal(
+      buildPropertySelection(properties),
+      "title where { latitude longitude } phone { input internationalFormatted } meta { source }",
+    );
+  });
+});
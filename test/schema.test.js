@@ -0,0 +1,87 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { startWeaviate, loadManage, json } from "./support/server.js";
+
+const weaviate = await startWeaviate();
+const { routes, received, count } = weaviate;
+const { post, dataDir, close } = await loadManage({ profiles: { mock: { url: weaviate.url } } });
+
+after(() => {
+  close();
+  weaviate.close();
+});
+
+const audit = () => readFileSync(join(dataDir, "audit.jsonl"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+const errorOf = async (res) => [res.status, (await res.json()).error];
+
+describe("/schema/create", () => {
+  it("sends the definition to Weaviate and records it", async () => {
+    let sent;
+    routes["POST /v1/schema"] = (_, res, body) => {
+      sent = JSON.parse(body);
+      json(sent)(_, res);
+    };
+    const definition = { class: "Article", vectorizer: "none", properties: [{ name: "title", dataType: ["text"] }] };
+    const res = await post("/schema/create", { profile: "mock", definition });
+    assert.equal(res.status, 200);
+    assert.deepEqual(sent, definition);
+    assert.equal(audit().at(-1).action, "class-create");
+  });
+
+  it("rejects invalid class and property names before calling Weaviate", async () => {
+    received.length = 0;
+    assert.deepEqual(await errorOf(await post("/schema/create", { profile: "mock" })), [400, "Missing class definition"]);
+    assert.match((await errorOf(await post("/schema/create", { profile: "mock", definition: { class: "article" } })))[1], /must start with an uppercase letter/);
+    assert.deepEqual(
+      await errorOf(await post("/schema/create", { profile: "mock", definition: { class: "Article", properties: [{ name: "1st" }] } })),
+      [400, "Invalid property name 1st"],
+    );
+    assert.deepEqual(
+      await errorOf(await post("/schema/create", { profile: "mock", definition: { class: "Article", properties: { name: "title" } } })),
+      [400, "properties must be a list of property definitions"],
+    );
+    assert.deepEqual(received, []);
+  });
+
+  it("passes Weaviate's validation errors on", async () => {
+    routes["POST /v1/schema"] = json({ error: [{ message: "class name Article already exists" }] }, 422);
+    const res = await post("/schema/create", { profile: "mock", definition: { class: "Article" } });
+    assert.equal(res.ok, false);
+    assert.match((await res.json()).error, /class name Article already exists/);
+  });
+});
+
+describe("/schema/property", () => {
+  it("adds a property to the class", async () => {
+    routes["POST /v1/schema/Article/properties"] = (_, res, body) => json(JSON.parse(body))(_, res);
+    const res = await post("/schema/property", { profile: "mock", class: "Article", property: { name: "rank", dataType: ["int"] } });
+    assert.deepEqual(await res.json(), { name: "rank", dataType: ["int"] });
+    assert.equal(audit().at(-1).action, "property-add");
+  });
+
+  it("needs a valid name and a data type", async () => {
+    assert.deepEqual(await errorOf(await post("/schema/property", { profile: "mock", class: "Article", property: { name: "a b" } })), [400, "Invalid property name"]);
+    assert.deepEqual(await errorOf(await post("/schema/property", { profile: "mock", class: "Article", property: { name: "rank" } })), [400, "Missing data type"]);
+  });
+});
+
+describe("/schema/delete", () => {
+  before(() => {
+    routes["GET /v1/schema/Article"] = json({ class: "Article", properties: [] });
+    routes["DELETE /v1/schema/Article"] = (_, res) => res.writeHead(200).end();
+  });
+
+  it("needs the class name typed as confirmation", async () => {
+    received.length = 0;
+    assert.deepEqual(await errorOf(await post("/schema/delete", { profile: "mock", class: "Article", confirm: "article" })), [400, "Type the class name to confirm deletion"]);
+    assert.equal(count("DELETE /v1/schema/Article"), 0);
+  });
+
+  it("deletes the class and keeps its definition in the audit log", async () => {
+    assert.equal((await post("/schema/delete", { profile: "mock", class: "Article", confirm: "Article" })).status, 200);
+    assert.equal(count("DELETE /v1/schema/Article"), 1);
+    assert.deepEqual(audit().at(-1).before, { class: "Article", properties: [] });
+  });
+});
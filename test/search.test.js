@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { HttpError, parseSearchOptions, buildSearchQuery } from "../manage.js";
+
+const classDef = { class: "Doc", properties: [{ name: "title", dataType: ["text"] }, { name: "rank", dataType: ["int"] }] };
+const badRequest = (e) => e instanceof HttpError && e.status === 400;
+
+describe("parseSearchOptions", () => {
+  it("defaults to hybrid search", () => {
+    assert.deepEqual(parseSearchOptions({ query: "cats" }, classDef), {
+      type: "hybrid", query: "cats", tenant: null, limit: 5, offset: 0, properties: [], alpha: 0.5, fusionType: null,
+    });
+  });
+
+  it("reads keyword properties from a list or a comma separated string", () => {
+    assert.deepEqual(parseSearchOptions({ type: "bm25", query: "x", properties: "title^2, rank" }, classDef).properties, ["title^2", "rank"]);
+    assert.deepEqual(parseSearchOptions({ type: "bm25", query: "x", properties: ["title"] }, classDef).properties, ["title"]);
+    assert.throws(() => parseSearchOptions({ type: "bm25", query: "x", properties: ["missing"] }, classDef), /Unknown search property missing/);
+  });
+
+  it("answers properties that are neither a list nor a string with 400", () => {
+    for (const properties of [{ title: true }, 1, true]) {
+      assert.throws(() => parseSearchOptions({ type: "bm25", query: "x", properties }, classDef), badRequest);
+    }
+  });
+
+  it("rejects out of range limits, alphas and autocut", () => {
+    assert.throws(() => parseSearchOptions({ query: "x", limit: 101 }, classDef), /limit must be between 1 and 100/);
+    assert.throws(() => parseSearchOptions({ query: "x", alpha: 2 }, classDef), /alpha must be between 0 and 1/);
+    assert.throws(() => parseSearchOptions({ query: "x", autocut: "a" }, classDef), /autocut must be a positive integer/);
+    assert.throws(() => parseSearchOptions({ query: "x", offset: 9999, limit: 5 }, classDef), /may not exceed 10000/);
+  });
+
+  it("needs a query, a vector or an object for the search type", () => {
+    assert.throws(() => parseSearchOptions({ type: "nearText" }, classDef), /Missing query/);
+    assert.throws(() => parseSearchOptions({ type: "nearVector" }, classDef), /Missing vector/);
+    assert.throws(() => parseSearchOptions({ type: "nearObject" }, classDef), /Missing id/);
+    assert.throws(() => parseSearchOptions({ type: "vector", query: "x" }, classDef), /type must be one of/);
+  });
+
+  it("defaults nearText to a certainty and allows certainty only with cosine distance", () => {
+    assert.equal(parseSearchOptions({ type: "nearText", query: "x" }, classDef).certainty, 0.5);
+    assert.equal(parseSearchOptions({ type: "nearVector", vector: "1,2", distance: "0.3" }, classDef).distance, 0.3);
+    const dot = { ...classDef, vectorIndexConfig: { distance: "dot" } };
+    assert.throws(() => parseSearchOptions({ type: "nearObject", id: "u1", certainty: 0.8 }, dot), /certainty requires cosine/);
+    assert.throws(() => parseSearchOptions({ type: "nearObject", id: "u1", certainty: 0.8, distance: 0.2 }, classDef), /either certainty or distance/);
+  });
+
+  it("searches the named vector the request picks, the first by default", () => {
+    const named = { ...classDef, vectorConfig: { body: { vectorizer: { none: {} } }, title: { vectorizer: { none: {} }, vectorIndexConfig: { distance: "l2-squared" } } } };
+    assert.equal(parseSearchOptions({ query: "x" }, named).targetVector, "body");
+    assert.equal(parseSearchOptions({ type: "nearObject", id: "u1", targetVector: "title" }, named).cosine, false);
+    assert.throws(() => parseSearchOptions({ query: "x", targetVector: "nope" }, named), /Unknown named vector nope/);
+  });
+});
+
+describe("buildSearchQuery", () => {
+  const squash = (query) => query.replace(/\s+/g, " ");
+
+  it("escapes the query and searches the text properties in hybrid mode", () => {
+    const query = squash(buildSearchQuery("Doc", classDef.properties, { type: "hybrid", query: 'say "hi"', limit: 3, alpha: 0.7 }));
+    assert.match(query, /hybrid: \{ query: "say \\"hi\\"" properties: \["title"\] alpha: 0.7/);
+    assert.match(query, /limit: 3/);
+    assert.match(query, /_additional \{ id score explainScore \}/);
+  });
+
+  it("adds thresholds, target vectors, tenant, offset and autocut", () => {
+    const query = squash(buildSearchQuery("Doc", classDef.properties, {
+      type: "nearVector", vector: [0.1, 0.2], distance: 0.3, targetVector: "body", tenant: "t1", limit: 5, offset: 10, autocut: 2,
+    }));
+    assert.match(query, /nearVector: \{ vector: \[0.1,0.2\] distance: 0.3 targetVectors: \["body"\] \}/);
+    assert.match(query, /tenant: "t1"/);
+    assert.match(query, /offset: 10/);
+    assert.match(query, /autocut: 2/);
+    assert.match(query, /_additional \{ id distance \}/);
+  });
+
+  it("asks for the certainty only with cosine distance", () => {
+    assert.match(buildSearchQuery("Doc", classDef.properties, { type: "nearObject", id: "u1", cosine: true }), /_additional \{ id distance certainty \}/);
+  });
+});
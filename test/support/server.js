@@ -0,0 +1,77 @@
+import { createServer } from "node:http";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+/**
+ * Start a stand-in for Weaviate on a free port
+ * Requests are answered by routes["METHOD /path"](req, res, body), the query string left out,
+ * and recorded in received as "METHOD /path"; unknown routes answer 404
+ * @returns {Promise<object>} { url, routes, received, count(request), close() }
+ */
+export async function startWeaviate() {
+  const routes = {};
+  const received = [];
+  const server = createServer((req, res) => {
+    const path = req.url.split("?")[0];
+    received.push(`${req.method} ${path}`);
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const route = routes[`${req.method} ${path}`] || ((_, res) => res.writeHead(404).end());
+      route(req, res, body);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    routes,
+    received,
+    count: (request) => received.filter((r) => r === request).length,
+    close: () => {
+      server.closeAllConnections();
+      server.close();
+    },
+  };
+}
+
+/**
+ * Answer a stand-in route with a JSON body
+ * @param {*} value - Response body
+ * @param {number} status - HTTP status
+ * @returns {function} Route handler
+ */
+export const json = (value, status = 200) => (_, res) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(value));
+
+/**
+ * Load manage.js with a config file and data directory of its own, and start the app on a free port
+ * The config is read when manage.js loads, so this runs once per test file, before anything else imports it
+ * @param {object} config - Contents of config.json
+ * @returns {Promise<object>} The exports of manage.js, and { dataDir, request(path, options), post(path, body, headers), close() }
+ */
+export async function loadManage(config) {
+  const dir = mkdtempSync(join(tmpdir(), "weaviate-admin-test-"));
+  writeFileSync(join(dir, "config.json"), JSON.stringify(config));
+  process.env.WEAVIATE_ADMIN_CONFIG = join(dir, "config.json");
+  process.env.WEAVIATE_ADMIN_DATA = join(dir, "data");
+  const manage = await import("../../manage.js");
+
+  const server = manage.app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const request = (path, options = {}) => fetch(`http://127.0.0.1:${server.address().port}${path}`, { redirect: "manual", ...options });
+  return {
+    ...manage,
+    dataDir: join(dir, "data"),
+    request,
+    post: (path, body, headers = {}) => request(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    }),
+    close: () => {
+      server.closeAllConnections();
+      server.close();
+      rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { HttpError, resolveTenant, withTenant, tenantArg, buildListQuery, buildAggregateQuery } from "../manage.js";
+
+const squash = (query) => query.replace(/\s+/g, " ");
+
+describe("resolveTenant", () => {
+  const multiTenant = { class: "Doc", multiTenancyConfig: { enabled: true } };
+
+  it("ignores the tenant of classes without multi-tenancy", () => {
+    assert.equal(resolveTenant({ class: "Doc" }, "t1"), null);
+  });
+
+  it("requires a tenant on multi-tenant classes", () => {
+    assert.equal(resolveTenant(multiTenant, "t1"), "t1");
+    assert.throws(() => resolveTenant(multiTenant, ""), (e) => e instanceof HttpError && e.status === 400 && /Doc is multi-tenant/.test(e.message));
+  });
+});
+
+describe("withTenant", () => {
+  it("adds an encoded tenant parameter", () => {
+    assert.equal(withTenant("/v1/objects/Doc/u1", "a b"), "/v1/objects/Doc/u1?tenant=a%20b");
+    assert.equal(withTenant("/v1/objects?include=vector", "t1"), "/v1/objects?include=vector&tenant=t1");
+    assert.equal(withTenant("/v1/objects", null), "/v1/objects");
+  });
+});
+
+describe("tenantArg", () => {
+  it("escapes the tenant name", () => {
+    assert.equal(tenantArg('a"b'), 'tenant: "a\\"b"');
+    assert.equal(tenantArg(null), null);
+  });
+});
+
+describe("buildListQuery", () => {
+  const properties = [{ name: "title", dataType: ["text"] }];
+
+  it("sorts and pages by offset", () => {
+    const query = squash(buildListQuery("Doc", properties, { limit: 10, sort: "title", order: "asc", offset: 20 }, null, "t1"));
+    assert.match(query, /Doc\( limit: 10 tenant: "t1" offset: 20 sort: \[\{ path: \["title"\], order: asc \}\] \)/);
+    assert.match(query, /title _additional \{ id \}/);
+  });
+
+  it("pages after a cursor when sorted by _id", () => {
+    const query = squash(buildListQuery("Doc", properties, { limit: 10, sort: "_id", after: "u1" }));
+    assert.match(query, /Doc\( limit: 10 after: "u1" \)/);
+  });
+
+  it("adds the where filter", () => {
+    assert.match(squash(buildListQuery("Doc", properties, {}, '{ path: ["title"] }')), /where: \{ path: \["title"\] \}/);
+  });
+});
+
+describe("buildAggregateQuery", () => {
+  it("counts a class, a tenant or the objects matching a filter", () => {
+    assert.match(squash(buildAggregateQuery("Doc")), /Aggregate \{ Doc \{ meta \{ count \} \}/);
+    assert.match(squash(buildAggregateQuery("Doc", "t1", "{ x }")), /Doc\(tenant: "t1", where: \{ x \}\) \{ meta/);
+  });
+});
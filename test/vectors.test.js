@@ -0,0 +1,23 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { namedVectors } from "../manage.js";
+
+describe("namedVectors", () => {
+  it("is empty for classes with a single vector", () => {
+    assert.deepEqual(namedVectors({ class: "Doc", vectorizer: "none" }), []);
+    assert.deepEqual(namedVectors(null), []);
+  });
+
+  it("lists each named vector with its vectorizer, index and distance", () => {
+    const classDef = {
+      vectorConfig: {
+        body: { vectorizer: { "text2vec-openai": { properties: ["body"] } }, vectorIndexType: "flat", vectorIndexConfig: { distance: "dot" } },
+        title: { vectorizer: { none: {} } },
+      },
+    };
+    assert.deepEqual(namedVectors(classDef), [
+      { name: "body", vectorizer: "text2vec-openai", vectorIndexType: "flat", distance: "dot" },
+      { name: "title", vectorizer: "none", vectorIndexType: "hnsw", distance: "cosine" },
+    ]);
+  });
+});